@@ -7,6 +7,8 @@
  * @property {boolean} success - Whether the operation succeeded
  * @property {string} sheetName - Name of the processed sheet
  * @property {number} dataCount - Number of rows processed
+ * @property {string} [skipped] - Reason the import was skipped (e.g. 'already-processed')
+ * @property {boolean} [replay] - True if the sheet was rebuilt from the raw archive
  * @property {string} [error] - Error message if operation failed
  *
  * @typedef {Object} StatusInfo
@@ -64,11 +66,15 @@ function updateSheetsFromEmail() {
       var results = EmailProcessor_processAllConfigs();
       var successful = results.filter(function(r) { return r.success; }).length;
       var failed = results.length - successful;
+      var skipped = results.filter(function(r) { return r.skipped; }).length;
       if (failed === 0) {
         Logger.log("All sheets updated successfully!");
       } else {
         Logger.log('Completed with ' + successful + ' successful and ' + failed + ' failed updates');
       }
+      if (skipped > 0) {
+        Logger.log(skipped + ' configuration(s) skipped because the latest email was already processed');
+      }
       return results;
     },
     'updateSheetsFromEmail',
@@ -80,18 +86,131 @@ function updateSheetsFromEmail() {
 /**
  * Processes emails for a specific Gmail label (for testing/debugging).
  * @function
- * @param {string} labelName - The Gmail label to process.
+ * @param {string} labelName - The Gmail label to process, or the configuration name
+ *   of a search-query configuration.
+ * @param {boolean} [force=false] - Re-import the latest email even if it was already processed,
+ *   and write it even if a write guard trips.
  * @returns {ProcessingResult} Processing result for the label.
  */
-function processSpecificLabel(labelName) {
+function processSpecificLabel(labelName, force) {
   try {
-    return EmailProcessor_processSpecificLabel(labelName);
+    return EmailProcessor_processSpecificLabel(labelName, { force: force === true });
   } catch (error) {
     var errorMessage = ErrorHandler_handle(error, 'processSpecificLabel');
     throw error;
   }
 }
 
+/**
+ * Rebuilds a sheet from the report attachment archived in the raw archive on a given
+ * day, through the same parse and sheet update path as the daily import. The run is
+ * recorded in the ingestion ledger as a replay.
+ * @function
+ * @param {string} sheetName - The sheet to rebuild (or a configuration name for all its routes).
+ * @param {string} date - The report day to replay (yyyy-MM-dd).
+ * @returns {ProcessingResult} Processing result, with replay set to true.
+ * @example
+ * replayFromArchive('Schedules', '2025-10-14');
+ */
+function replayFromArchive(sheetName, date) {
+  try {
+    return EmailProcessor_replayFromArchive(sheetName, date);
+  } catch (error) {
+    var errorMessage = ErrorHandler_handle(error, 'replayFromArchive');
+    throw error;
+  }
+}
+
+/**
+ * Restores a dataset to the data saved in one of its snapshots. Snapshots are taken
+ * before every import replaces a sheet; the data being replaced by the rollback is
+ * snapshotted too, so a rollback can be undone.
+ * @function
+ * @param {string} sheetName - The dataset (sheet) to restore.
+ * @param {string} snapshotId - The snapshot to restore (see SnapshotService_listSnapshots
+ *   or the Rollback Dataset dialog).
+ * @returns {Object} Sheet update result with the restored snapshotId.
+ * @example
+ * rollbackDataset('Schedules', '20251014-071502-3f9a1c2e');
+ */
+function rollbackDataset(sheetName, snapshotId) {
+  try {
+    return SnapshotService_restore(sheetName, snapshotId);
+  } catch (error) {
+    var errorMessage = ErrorHandler_handle(error, 'rollbackDataset');
+    throw error;
+  }
+}
+
+/**
+ * Backfills the history sheet(s) of an email configuration with every report email
+ * in a date range, oldest first. Each row gets an as_of_date column. If the run hits
+ * the execution time limit, it saves its progress and schedules continueBackfills.
+ * @function
+ * @param {string} labelName - The Gmail label, or the configuration name (id or sheetName).
+ * @param {string} startDate - First day to import (yyyy-MM-dd).
+ * @param {string} endDate - Last day to import (yyyy-MM-dd).
+ * @param {boolean} [restart=false] - Replace an unfinished backfill of the same configuration.
+ * @returns {BackfillState} Backfill progress.
+ * @example
+ * backfillLabel('Entry_Withdrawal2', '2025-08-01', '2025-12-19');
+ */
+function backfillLabel(labelName, startDate, endDate, restart) {
+  try {
+    return Backfill_start(labelName, startDate, endDate, { restart: restart === true });
+  } catch (error) {
+    var errorMessage = ErrorHandler_handle(error, 'backfillLabel');
+    throw error;
+  }
+}
+
+/**
+ * Continues unfinished backfills (called by the trigger that backfillLabel schedules).
+ * @function
+ * @returns {BackfillState[]} Progress of each continued backfill.
+ */
+
+
+function continueBackfills() {
+  return withOperationLogging(
+    function continueBackfillsBusinessLogic() {
+      return Backfill_resumeAll();
+    },
+    'continueBackfills',
+    { triggerType: 'scheduled' }
+  )();
+}
+
+/**
+ * Gets the progress of all backfills.
+ * @function
+ * @returns {BackfillState[]} Progress of each backfill.
+ */
+function getBackfillStatus() {
+  try {
+    return Backfill_getStatus();
+  } catch (error) {
+    var errorMessage = ErrorHandler_handle(error, 'getBackfillStatus');
+    throw error;
+  }
+}
+
+/**
+ * Lists the schema version and columns of every dataset that has a schema contract.
+ * The version is also stored in each sheet's developer metadata
+ * (CONFIG.SCHEMA_VALIDATION.metadataKey) after every import.
+ * @function
+ * @returns {Array<{sheetName: string, version: string, columns: Array<string>}>} Schema summary.
+ */
+function getSchemaVersions() {
+  try {
+    return SchemaService_getSchemaVersions();
+  } catch (error) {
+    var errorMessage = ErrorHandler_handle(error, 'getSchemaVersions');
+    throw error;
+  }
+}
+
 /**
  * Gets the status of all email processing configurations.
  * @function
@@ -120,6 +239,49 @@ function runEmailProcessingDryRun() {
   }
 }
 
+/**
+ * Trashes processed report threads older than the retention period (retention job).
+ * Meant for a weekly time-based trigger.
+ * @function
+ * @param {number} [retentionDays=CONFIG.MAILBOX.retentionDays] - Age in days after which threads are trashed.
+ * @returns {{query: string, trashed: number, complete: boolean}} Purge summary.
+ */
+
+
+function purgeProcessedEmails(retentionDays) {
+  return withOperationLogging(
+    function purgeProcessedEmailsBusinessLogic() {
+      var summary = MailboxService_purgeProcessed(retentionDays);
+      Logger.log('Moved ' + summary.trashed + ' processed report thread(s) to the trash' +
+        (summary.complete ? '' : '; more remain for the next run'));
+      return summary;
+    },
+    'purgeProcessedEmails',
+    { triggerType: 'scheduled' }
+  )();
+}
+
+/**
+ * Trashes raw archive copies older than the retention period (retention job).
+ * Meant for a weekly time-based trigger.
+ * @function
+ * @param {number} [retentionDays=CONFIG.RAW_ARCHIVE.retentionDays] - Age in days after which archived files are trashed.
+ * @returns {{cutoffDate: string, trashed: number}} Purge summary.
+ */
+
+
+function purgeRawArchive(retentionDays) {
+  return withOperationLogging(
+    function purgeRawArchiveBusinessLogic() {
+      var summary = ArchiveService_purgeExpired(retentionDays);
+      Logger.log('Moved ' + summary.trashed + ' raw archive file(s) dated before ' + summary.cutoffDate + ' to the trash');
+      return summary;
+    },
+    'purgeRawArchive',
+    { triggerType: 'scheduled' }
+  )();
+}
+
 /**
  * Pushes data manually from source sheets to target spreadsheets.
  * @function
@@ -31,6 +31,8 @@ function onOpen() {
     .addSeparator()
     .addItem('Check Push Status', 'showPushDataStatus')
     .addItem('Test Email Processing', 'showEmailProcessingStatus')
+    .addItem('Replay From Archive...', 'showReplayFromArchiveDialog')
+    .addItem('Rollback Dataset...', 'showRollbackDatasetDialog')
     .addSeparator()
     .addItem('Run System Tests', 'showSystemTestResults')
     .addToUi();
@@ -209,12 +211,27 @@ function showEmailProcessingStatus() {
         message += '❌ ' + config.sheetName + ': ERROR - ' + config.error + '\n';
       } else {
         message += (config.labelExists ? '✅' : '❌') + ' ' + config.sheetName + ':\n';
-        message += '   • Label: ' + (config.labelExists ? 'Found' : 'Not Found') + '\n';
+        if (config.sourceType === 'query') {
+          message += '   • Search: ' + config.query + '\n';
+        } else {
+          message += '   • Label: ' + (config.labelExists ? 'Found' : 'Not Found') + '\n';
+        }
         message += '   • Emails: ' + config.emailCount + '\n';
         if (config.latestEmailDate) {
-          message += '   • Latest: ' + DateUtils_formatDate(config.latestEmailDate) + '\n';
+          message += '   • Latest: ' + DateUtils_formatDate(config.latestEmailDate) +
+            ' (' + config.latestEmailAgeHours + ' hours old)\n';
+        }
+        if (config.isStale) {
+          message += '   ⚠️ Stale: older than ' + config.maxAgeHours + ' hours\n';
+        }
+        if (config.routes.length === 1) {
+          message += '   • Range: ' + config.routes[0].rangeToClear + '\n\n';
+        } else {
+          config.routes.forEach(function(route) {
+            message += '   • Tab ' + route.tab + ' → ' + route.sheetName + ' (' + route.rangeToClear + ')\n';
+          });
+          message += '\n';
         }
-        message += '   • Range: ' + config.rangeToClear + '\n\n';
       }
     });
     
@@ -228,6 +245,50 @@ function showEmailProcessingStatus() {
   }
 }
 
+/**
+ * Shows the dialog for rebuilding a sheet from an archived raw report.
+ * The dialog calls replayFromArchive with the chosen sheet and date.
+ * @function
+ * @returns {void}
+ */
+function showReplayFromArchiveDialog() {
+  try {
+    var htmlOutput = HtmlService.createHtmlOutput(EmailProcessor_createReplayDialogContent())
+      .setWidth(360)
+      .setHeight(240);
+      
+    SpreadsheetApp.getUi().showModalDialog(htmlOutput, "Replay From Archive");
+    
+    AppLogger_info('Replay dialog displayed');
+    
+  } catch (error) {
+    AppLogger_error('Failed to show replay dialog', error);
+    SpreadsheetApp.getUi().alert('Error opening the replay dialog: ' + error.message);
+  }
+}
+
+/**
+ * Shows the dialog for restoring a dataset from a snapshot.
+ * The dialog lists recent snapshots and calls rollbackDataset with the chosen one.
+ * @function
+ * @returns {void}
+ */
+function showRollbackDatasetDialog() {
+  try {
+    var htmlOutput = HtmlService.createHtmlOutput(SnapshotService_createRollbackDialogContent())
+      .setWidth(480)
+      .setHeight(240);
+      
+    SpreadsheetApp.getUi().showModalDialog(htmlOutput, "Rollback Dataset");
+    
+    AppLogger_info('Rollback dialog displayed');
+    
+  } catch (error) {
+    AppLogger_error('Failed to show rollback dialog', error);
+    SpreadsheetApp.getUi().alert('Error opening the rollback dialog: ' + error.message);
+  }
+}
+
 /**
  * Shows system test results.
  * @function
@@ -52,6 +52,89 @@ function setupScriptProperties() {
   Logger.log('Script Properties set. Verify with: PropertiesService.getScriptProperties().getProperties()');
 }
 
+/**
+ * Gets the name used to identify an email configuration in logs, results and the
+ * ingestion ledger: its id, its sheetName, or the route sheet names joined by "+".
+ * @param {Object} emailConfig - An entry of CONFIG.EMAIL_CONFIGS.
+ * @returns {string} Configuration name.
+ */
+function Config_getEmailConfigName(emailConfig) {
+  if (emailConfig.id) {
+    return emailConfig.id;
+  }
+  if (emailConfig.sheetName) {
+    return emailConfig.sheetName;
+  }
+  return (emailConfig.routes || []).map(function(route) { return route.sheetName; }).join('+');
+}
+
+/**
+ * @typedef {Object} EmailSource
+ * @property {string} type - "label" or "query".
+ * @property {string} value - The Gmail label path or search query.
+ * @property {string} description - Human-readable form for logs and messages,
+ *   e.g. 'label "Reports/Daily"' or 'search "from:cognos has:attachment"'.
+ */
+
+/**
+ * Gets where an email configuration reads its emails from: a Gmail label, or a
+ * Gmail search query run through GmailApp.search.
+ * @param {Object} emailConfig - An entry of CONFIG.EMAIL_CONFIGS.
+ * @returns {EmailSource} The email source.
+ */
+function Config_getEmailSource(emailConfig) {
+  if (emailConfig.query !== undefined) {
+    return { type: 'query', value: emailConfig.query, description: 'search "' + emailConfig.query + '"' };
+  }
+  return { type: 'label', value: emailConfig.label, description: 'label "' + emailConfig.label + '"' };
+}
+
+/**
+ * Gets the routes of an email configuration. A configuration without `routes`
+ * has a single implicit route built from its own sheetName, rangeToClear and tab.
+ * Routes without their own attachmentNamePattern, layout, derivedColumns, columnMap,
+ * normalizers, filters, primaryKey, onDuplicate, pipeline, guards, writeMode, onMissing or
+ * trackChanges inherit the configuration's.
+ * @param {Object} emailConfig - An entry of CONFIG.EMAIL_CONFIGS.
+ * @returns {Array<Object>} Routes, each with sheetName, rangeToClear, tab,
+ *   historySheetName (backfill target), optional attachmentNamePattern, optional layout,
+ *   optional derivedColumns, optional columnMap, optional normalizers, optional filters,
+ *   optional primaryKey, optional onDuplicate, optional pipeline, optional guards,
+ *   optional writeMode, optional onMissing and optional trackChanges.
+ */
+function Config_getEmailConfigRoutes(emailConfig) {
+  var routes = emailConfig.routes || [{
+    sheetName: emailConfig.sheetName,
+    rangeToClear: emailConfig.rangeToClear,
+    tab: emailConfig.tab,
+    historySheetName: emailConfig.historySheetName
+  }];
+  
+  return routes.map(function(route) {
+    return {
+      sheetName: route.sheetName,
+      rangeToClear: route.rangeToClear,
+      tab: route.tab === undefined ? 1 : route.tab,
+      attachmentNamePattern: route.attachmentNamePattern !== undefined ?
+        route.attachmentNamePattern :
+        emailConfig.attachmentNamePattern,
+      historySheetName: route.historySheetName || route.sheetName + CONFIG.BACKFILL.historySheetSuffix,
+      layout: route.layout !== undefined ? route.layout : emailConfig.layout,
+      derivedColumns: route.derivedColumns !== undefined ? route.derivedColumns : emailConfig.derivedColumns,
+      columnMap: route.columnMap !== undefined ? route.columnMap : emailConfig.columnMap,
+      normalizers: route.normalizers !== undefined ? route.normalizers : emailConfig.normalizers,
+      filters: route.filters !== undefined ? route.filters : emailConfig.filters,
+      primaryKey: route.primaryKey !== undefined ? route.primaryKey : emailConfig.primaryKey,
+      onDuplicate: route.onDuplicate !== undefined ? route.onDuplicate : emailConfig.onDuplicate,
+      pipeline: route.pipeline !== undefined ? route.pipeline : emailConfig.pipeline,
+      guards: route.guards !== undefined ? route.guards : emailConfig.guards,
+      writeMode: route.writeMode !== undefined ? route.writeMode : emailConfig.writeMode,
+      onMissing: route.onMissing !== undefined ? route.onMissing : emailConfig.onMissing,
+      trackChanges: route.trackChanges !== undefined ? route.trackChanges : emailConfig.trackChanges
+    };
+  });
+}
+
 /**
  * Main configuration object containing all project settings.
  * @namespace CONFIG
@@ -81,20 +164,156 @@ var CONFIG = {
     TARGET_2: _IDS.TARGET_2,
     NOTES:  _IDS.NOTES,
   },
-
+  
   /**
    * @type {Array<Object>}
    * @description Email configuration for automated data processing
    * @property {string} label - Gmail label to monitor for incoming data
+   * @property {string} [query] - Gmail search query to run instead of reading a label
+   *   (e.g. 'from:cognos@nisd.net subject:"Alt_HS" has:attachment newer_than:2d');
+   *   set either label or query
    * @property {string} sheetName - Target sheet name in the main spreadsheet
    * @property {string} rangeToClear - Range to clear before importing new data
+   * @property {number|string} [tab=1] - Report tab to import (1-based position or name)
+   * @property {string} [historySheetName] - Sheet that backfills write to (defaults to
+   *   sheetName + BACKFILL.historySheetSuffix); routes accept it too
+   * @property {Object} [layout] - Where the data table sits on the report tab (defaults
+   *   to a header in row 1 and every other row as data); routes accept it too
+   * @property {number} [layout.headerRow=1] - 1-based header row; title and parameter
+   *   rows above it are dropped
+   * @property {RegExp|string} [layout.skipRowsBefore] - Find the header instead of
+   *   using headerRow: rows above the first row with a cell matching it are dropped
+   * @property {Array<RegExp|string>} [layout.footerPatterns] - Drop rows whose first
+   *   non-empty cell matches, e.g. [/^Total/i, /^Page \d+/i]
+   * @property {boolean} [layout.removeEmptyRows=false] - Drop blank separator rows
+   * @property {boolean} [layout.removeEmptyColumns=false] - Drop columns with no header
+   *   and no values
+   * @property {Array<Object>} [derivedColumns] - Columns computed from the report's
+   *   columns and added after them, each {name, fn, args, options}: fn names a function
+   *   in DERIVED_COLUMN_FUNCTIONS (fullName, concat, ageFromBirthdate, daysEnrolled,
+   *   gradeBand) and args the report columns passed to it, e.g.
+   *   { name: "Full Name", fn: "fullName", args: ["First Name", "Last Name"] }.
+   *   Derived columns can be mapped, normalized, filtered on and listed in SCHEMAS like
+   *   report columns. Routes accept it too
+   * @property {Object<string, string>} [columnMap] - Write report columns by header name
+   *   instead of by position: the target columns are read from row 1 of the target
+   *   sheet (within rangeToClear) and filled from the report column with the same
+   *   name, or from the report column mapped to them here (report header -> target
+   *   header). Use {} when every name matches; routes accept it too
+   * @property {Object<string, Object>} [normalizers] - Per-column value normalization
+   *   before the rows are written, keyed by header name ("*" for every column). Rules:
+   *   trim, emptyToNull, case ("upper", "lower", "title"), padLength (zero-padded IDs),
+   *   date (parse text dates in SETTINGS.timezone), phone ("(210) 555-0100") and
+   *   numberFormat; e.g. { "*": { trim: true }, "Student ID": { padLength: 6 } }.
+   *   Routes accept it too
+   * @property {Array<string>} [filters] - Only import rows that pass every filter, e.g.
+   *   ["Campus in ['NAHS']", "Grade >= 9", "Status != 'Withdrawn'"] (see
+   *   RowFilterService_parse); applied after columnMap and normalizers. Routes accept it too
+   * @property {Array<string>} [primaryKey] - Columns that identify a row, e.g.
+   *   ["Student ID", "Period"]; rows sharing a key are resolved with onDuplicate after
+   *   the filters. Routes accept it too
+   * @property {string} [onDuplicate="fail"] - What to do with rows sharing a primaryKey:
+   *   "keepFirst", "keepLast", "fail" (DUPLICATE_KEY, sheet left unchanged) or
+   *   "quarantine" (every row of the key goes to DEDUPE.quarantineSheetName instead of
+   *   the sheet). Routes accept it too
+   * @property {Array<string>} [pipeline] - Transform steps to run, in order, instead of
+   *   PIPELINE.emailSteps: built-in steps (stripLayout, deriveColumns, mapColumns,
+   *   normalize, filterRows, dedupe) act on the options above; custom steps are defined
+   *   in CUSTOM_PIPELINE_STEPS (PipelineSteps.js). Routes accept it too
+   * @property {Object} [guards] - Refuse (WRITE_GUARD_TRIPPED, sheet left unchanged)
+   *   imports that look broken; processSpecificLabel(label, true) overrides them.
+   *   Routes accept it too
+   * @property {number} [guards.minRows] - Fewest data rows an import may write
+   * @property {number} [guards.maxDropPercent] - Largest accepted drop in rows, in
+   *   percent, from dropBaseline
+   * @property {string} [guards.dropBaseline="current"] - "current" (rows now in the
+   *   sheet) or "average" (average of the last WRITE_GUARDS.historySize imports)
+   * @property {boolean} [guards.matchColumnCount=false] - Require as many columns as
+   *   the sheet's header row (within rangeToClear)
+   * @property {string} [writeMode="replace"] - "replace" clears the sheet's data and
+   *   writes the report; "upsert" matches rows by primaryKey, rewrites changed cells in
+   *   place, appends new rows and handles missing rows with onMissing, leaving the
+   *   columns right of the data (e.g. staff notes) on their rows. Routes accept it too
+   * @property {string} [onMissing="delete"] - Upsert only: rows whose key is no longer
+   *   in the report are "delete"d (whole sheet rows), "flag"ged (the column headed
+   *   UPSERT.flagColumnName gets the time they went missing) or "keep" (left as is).
+   *   Routes accept it too
+   * @property {boolean} [trackChanges=false] - Compare the sheet's rows with the
+   *   report's by primaryKey before each import and log the added, removed and changed
+   *   rows to CHANGE_LOG.sheetName. Routes accept it too
+   * @property {string} [id] - Configuration name for logs and the ingestion ledger
+   *   (defaults to sheetName)
+   * @property {Array<Object>} [routes] - Import several attachments/tabs from one
+   *   email instead of sheetName/rangeToClear/tab. Each route has sheetName,
+   *   rangeToClear, optional tab and optional attachmentNamePattern (RegExp or
+   *   string matched against the attachment file name)
+   * @property {string} [onAlreadyProcessed="skip"] - What to do when the latest email
+   *   was already imported (see LEDGER): "skip" leaves the sheet untouched, "flag"
+   *   imports it again and marks the result as a repeat
+   * @property {number} [maxAgeHours] - Refuse the latest email (STALE_REPORT) if it is
+   *   older than this many hours
+   * @property {RegExp|string} [subjectPattern] - Only import emails whose subject
+   *   matches (strings are case-insensitive regular expressions, so escape ( . + etc.
+   *   to match them literally)
+   * @property {Array<string>} [fromAllowlist] - Only import emails from these sender
+   *   addresses; entries starting with "@" allow a whole domain
+   * @property {RegExp|string} [attachmentNamePattern] - Only import emails carrying a
+   *   report attachment whose file name matches; also the default for routes
+   * @property {Object} [postProcess] - Mailbox actions after an import (see MAILBOX)
+   * @property {string|boolean} [postProcess.processedLabel] - Label added to the thread
+   *   after a successful import (true for MAILBOX.processedLabel)
+   * @property {string|boolean} [postProcess.failedLabel] - Label added to the thread when
+   *   the import fails, removed again once it succeeds (true for MAILBOX.failedLabel)
+   * @property {boolean} [postProcess.markRead=false] - Mark the thread read after a successful import
+   * @property {boolean} [postProcess.archive=false] - Archive the thread after a successful import
+   * @property {boolean} [stagedWrite] - Write through a hidden staging sheet and swap
+   *   the data in with one write, restoring the old data if the swap fails; defaults to
+   *   STAGED_WRITES.enabled (off)
+   * @property {boolean} [archiveRaw] - Keep a copy of each imported attachment in the
+   *   raw archive; defaults to RAW_ARCHIVE.enabled (off)
+   * @property {boolean} [snapshot] - Save each sheet's data before an import replaces
+   *   it (see rollbackDataset); defaults to SNAPSHOTS.enabled
+   * @property {string} [attachmentFormat="xlsx"] - Attachment format to import:
+   *   "xlsx", "xls", "csv" or "auto" (first attachment of any supported format)
+   * @property {string} [xlsxReader="native"] - How xlsx attachments are read: "native"
+   *   parses the file in-script; "drive" converts it through Google Drive (the fallback
+   *   for workbooks the native reader cannot handle). xls files always use Drive
+   * @property {Object} [csv] - CSV parsing options (csv attachments only)
+   * @property {string} [csv.delimiter=","] - Field delimiter, a single character
+   * @property {string} [csv.encoding="auto"] - Character set, e.g. "UTF-8" or
+   *   "windows-1252"; "auto" detects UTF-8/UTF-16 byte order marks
    * @example
    * // Each configuration object:
    * {
    *   label: "Campuses/NAHS/Reports/Daily",
    *   sheetName: "DailyData",
+   *   rangeToClear: "A2:Z",
+   *   maxAgeHours: 24
+   * }
+   * // Ignore replies and forwards that land under the same label:
+   * {
+   *   label: "Campuses/NAHS/Reports/Daily",
+   *   sheetName: "DailyData",
+   *   rangeToClear: "A2:Z",
+   *   subjectPattern: /^Daily Attendance/,
+   *   fromAllowlist: ["cognos@nisd.net"],
+   *   attachmentNamePattern: /\.xlsx$/
+   * }
+   * // Search instead of relying on a Gmail filter to apply a label:
+   * {
+   *   query: 'from:cognos@nisd.net subject:"Alt_HS" has:attachment newer_than:2d',
+   *   sheetName: "Alt_HS_Attendance",
    *   rangeToClear: "A2:Z"
    * }
+   * // One email carrying several reports:
+   * {
+   *   id: "TransitionBundle",
+   *   label: "Campuses/NAHS/Reports/Bundle",
+   *   routes: [
+   *     { attachmentNamePattern: /Schedules/, tab: 1, sheetName: "Schedules", rangeToClear: "A2:O" },
+   *     { attachmentNamePattern: /Schedules/, tab: "Contacts", sheetName: "ContactInfo", rangeToClear: "A2:N" }
+   *   ]
+   * }
    */
   EMAIL_CONFIGS: [
     {
@@ -128,13 +347,26 @@ var CONFIG = {
       rangeToClear: "A2:H",
     },
   ],
-
+  
   /**
    * @type {Object}
    * @description Manual data push configuration for copying data between spreadsheets
    * @property {Object} [sheetName] - Configuration for each source sheet
    * @property {string} [sheetName].range - Source range to read data from
    * @property {Array<Object>} [sheetName].targets - Target spreadsheets to push data to
+   * @property {Array<string>} [sheetName].targets[].filters - Only push rows that pass every
+   *   filter, e.g. ["Campus in ['NAHS']"]; columns are named by the source sheet's header row
+   * @property {Array<string|Object>} [sheetName].targets[].columns - Only push these source
+   *   columns, in this order: a header name, or {source, target} to rename, e.g.
+   *   ["Student ID", { source: "Campus", target: "School" }]. The target sheet's header
+   *   row must start with the same names in the same order (user columns may follow)
+   * @property {Array<string>} [sheetName].targets[].pipeline - Transform steps to run, in
+   *   order, instead of PIPELINE.pushSteps; steps read their options (filters, columns,
+   *   primaryKey...) from the target
+   * @property {string} [sheetName].targets[].writeMode - "replace" (default) or "upsert"
+   *   by the target's primaryKey, as for EMAIL_CONFIGS
+   * @property {string} [sheetName].targets[].onMissing - Upsert only: "delete" (default),
+   *   "flag" or "keep" target rows whose key is no longer pushed
    * @example
    * // Configuration structure:
    * PUSH_DATA_CONFIGS: {
@@ -191,7 +423,7 @@ var CONFIG = {
       // },
     },
   },
-
+  
   /**
    * Retry configuration for operations that may fail temporarily
    */
@@ -200,7 +432,208 @@ var CONFIG = {
     retryDelay: 1000, // milliseconds
     fileCleanupDelay: 2000, // milliseconds
   },
-
+  
+  /**
+   * Ingestion ledger settings.
+   * Processed Gmail message IDs and attachment hashes are stored per email
+   * configuration in Script Properties (one property per configuration).
+   */
+  LEDGER: {
+    propertyPrefix: "LEDGER_",
+    maxEntriesPerConfig: 30,
+  },
+  
+  /**
+   * Email selection settings.
+   * When a configuration sets subjectPattern, fromAllowlist or attachmentNamePattern,
+   * labelled (or searched) threads are scanned newest first (pageSize threads per Gmail call)
+   * until a matching message is found or maxThreadsScanned threads were read.
+   */
+  EMAIL_MATCHING: {
+    pageSize: 10,
+    maxThreadsScanned: 50,
+  },
+  
+  /**
+   * Mailbox post-processing settings.
+   * Default label names for EMAIL_CONFIGS[].postProcess, and the retention job
+   * (purgeProcessedEmails) that trashes processed threads older than retentionDays,
+   * purgeBatchSize threads at a time, at most maxPurgeBatches batches per run.
+   */
+  MAILBOX: {
+    processedLabel: "DataLake/Processed",
+    failedLabel: "DataLake/Failed",
+    retentionDays: 90,
+    purgeBatchSize: 100,
+    maxPurgeBatches: 10,
+  },
+  
+  /**
+   * Schema contracts for the datasets in the main spreadsheet, keyed by sheet name.
+   * Every import into a sheet with a schema is checked against it (see SchemaService).
+   * Each schema has:
+   * - version: shown to downstream projects in the sheet's developer metadata
+   *   (SCHEMA_VALIDATION.metadataKey); bump it whenever the contract changes
+   * - columns: in sheet order, each {name, type, required, allowedValues}; type is
+   *   "string" (default), "integer", "number", "date", "phone" or "studentId"
+   * - onDrift: "fail" (default) or "warn" when columns are missing, extra, renamed
+   *   or reordered
+   * - onInvalid: "fail" (default) or "warn" when cell values break the column rules
+   * @example
+   * Entry_Withdrawal2: {
+   *   version: "1.0.0",
+   *   onDrift: "fail",
+   *   columns: [
+   *     { name: "Student ID", type: "studentId", required: true },
+   *     { name: "Campus", type: "string", required: true, allowedValues: ["NAHS", "NAMS"] },
+   *     { name: "Entry Date", type: "date" },
+   *     { name: "Parent Phone", type: "phone" }
+   *   ]
+   * }
+   */
+  SCHEMAS: {},
+  
+  /**
+   * Schema validation settings. At most maxReportedErrors invalid values are listed
+   * in an error; studentIdPattern is the rule for "studentId" columns.
+   */
+  SCHEMA_VALIDATION: {
+    studentIdPattern: /^\d{6,10}$/,
+    maxReportedErrors: 20,
+    metadataKey: "datalake.schemaVersion",
+  },
+  
+  /**
+   * Derived column settings. gradeBands are the default bands of the gradeBand
+   * function (PK = -1, K = 0).
+   */
+  DERIVED_COLUMNS: {
+    gradeBands: [
+      { name: "Elementary", from: -1, to: 5 },
+      { name: "Middle", from: 6, to: 8 },
+      { name: "High", from: 9, to: 12 },
+    ],
+  },
+  
+  /**
+   * Staged write settings. With enabled, or stagedWrite on an email configuration,
+   * imports replace a sheet's data through a hidden "<sheetName><sheetSuffix>" staging
+   * sheet, so downstream IMPORTRANGE readers never see the sheet cleared but not yet
+   * filled. The swap waits up to lockTimeoutMs for the document lock.
+   */
+  STAGED_WRITES: {
+    enabled: false,
+    sheetSuffix: "__staging",
+    lockTimeoutMs: 30000,
+  },
+  
+  /**
+   * Write guard settings (see the guards option of EMAIL_CONFIGS). The row counts of
+   * the last historySize imports of each sheet are kept in Script Properties under
+   * "<propertyPrefix><sheetName>" for the "average" drop baseline.
+   */
+  WRITE_GUARDS: {
+    propertyPrefix: "ROWCOUNTS_",
+    historySize: 10,
+  },
+  
+  /**
+   * Default transform pipelines (see PipelineService_run), used when an email
+   * configuration, route or push target has no pipeline of its own. Each step only
+   * acts when its option is set.
+   */
+  PIPELINE: {
+    emailSteps: ["stripLayout", "deriveColumns", "mapColumns", "normalize", "filterRows", "dedupe"],
+    pushSteps: ["filterRows", "selectColumns"],
+  },
+  
+  /**
+   * Deduplication settings (see the primaryKey option of EMAIL_CONFIGS).
+   * Quarantined rows are appended to quarantineSheetName in the main spreadsheet; at
+   * most maxReportedKeys duplicated keys are listed in results and errors.
+   */
+  DEDUPE: {
+    quarantineSheetName: "_Duplicates",
+    maxReportedKeys: 20,
+  },
+  
+  /**
+   * Upsert settings (see the writeMode and onMissing options of EMAIL_CONFIGS).
+   * With onMissing "flag", the time a row went missing is written under the header
+   * flagColumnName in row 1; the column is added after the last header if missing.
+   */
+  UPSERT: {
+    flagColumnName: "missing_since",
+  },
+  
+  /**
+   * Change log settings (see the trackChanges option of EMAIL_CONFIGS).
+   * Each import's added, removed, flagged and changed rows are appended to sheetName
+   * in the main spreadsheet, at most maxRowsPerImport rows per import.
+   */
+  CHANGE_LOG: {
+    sheetName: "_Changes",
+    maxRowsPerImport: 5000,
+  },
+  
+  /**
+   * Normalization settings (see the normalizers option of EMAIL_CONFIGS).
+   * dateNumberFormat is the Sheets number format of normalized date columns.
+   */
+  NORMALIZATION: {
+    dateNumberFormat: "mm/dd/yyyy",
+    maxReportedValues: 20,
+  },
+  
+  /**
+   * Raw-zone archive settings.
+   * With enabled, or archiveRaw on an email configuration, each imported attachment
+   * is copied to "<rootFolderName>/<sheetName>/<yyyy>/<yyyy-MM-dd>_<filename>" in My
+   * Drive, with the message ID and SHA-256 hash in the file description. The retention job
+   * (purgeRawArchive) trashes copies older than retentionDays.
+   */
+  RAW_ARCHIVE: {
+    enabled: false,
+    rootFolderName: "DataLake Raw",
+    retentionDays: 365,
+  },
+  
+  /**
+   * Dataset snapshot settings (see rollbackDataset).
+   * Before an import replaces a sheet's data, the data is saved as
+   * "<rootFolderName>/<sheetName>/<snapshotId>.json" in My Drive, with the run ID and
+   * source email in the file description. Only the newest retentionCount snapshots of
+   * each sheet are kept; the rollback dialog lists the newest maxListed.
+   */
+  SNAPSHOTS: {
+    enabled: true,
+    rootFolderName: "DataLake Snapshots",
+    retentionCount: 30,
+    maxListed: 10,
+  },
+  
+  /**
+   * Historical backfill settings (see backfillLabel).
+   * Each day's rows go to the route's history sheet with a dateColumn prefix.
+   * A run stops after maxRuntimeMs (below the 6-minute Apps Script limit), saves its
+   * progress in Script Properties and schedules continueBackfills after resumeDelayMs.
+   * The range is searched listWindowDays at a time, searchPageSize threads per page.
+   * To keep the saved progress within a Script Property's 9 KB, each day keeps its
+   * newest maxCandidatesPerDay emails, and only the first maxReportedFailures failed
+   * days are kept with their error (all are counted).
+   */
+  BACKFILL: {
+    propertyPrefix: "BACKFILL_",
+    historySheetSuffix: "_History",
+    dateColumn: "as_of_date",
+    maxRuntimeMs: 270000, // 4.5 minutes
+    resumeDelayMs: 60000, // 1 minute
+    searchPageSize: 100,
+    listWindowDays: 31,
+    maxCandidatesPerDay: 3,
+    maxReportedFailures: 5,
+  },
+  
   /**
    * Application settings
    */
@@ -209,7 +642,7 @@ var CONFIG = {
     dateFormat: "MM/dd/yyyy",
     logLevel: "INFO",
   },
-
+  
   /**
    * Success dialog links for the manual push feature.
    * URLs are constructed from Script Properties at runtime.
@@ -231,9 +664,32 @@ var CONFIG = {
  */
 var MIME_TYPES = {
   EXCEL: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  EXCEL_LEGACY: "application/vnd.ms-excel",
+  CSV: "text/csv",
   GOOGLE_SHEETS: MimeType.GOOGLE_SHEETS
 };
 
+/**
+ * Attachment formats accepted by the email pipeline (see attachmentFormat in
+ * EMAIL_CONFIGS). An attachment matches a format by content type first, then by
+ * file extension, since Gmail often reports CSV and XLS files as
+ * application/octet-stream.
+ */
+var ATTACHMENT_FORMATS = {
+  xlsx: {
+    mimeTypes: [MIME_TYPES.EXCEL],
+    extensions: [".xlsx"]
+  },
+  xls: {
+    mimeTypes: [MIME_TYPES.EXCEL_LEGACY],
+    extensions: [".xls"]
+  },
+  csv: {
+    mimeTypes: [MIME_TYPES.CSV, "application/csv", "text/comma-separated-values"],
+    extensions: [".csv"]
+  }
+};
+
 /**
  * Common range patterns
  */
@@ -0,0 +1,39 @@
+/**
+ * Custom pipeline steps for DataLake Project
+ * Steps defined here can be listed by name in the pipeline option of EMAIL_CONFIGS,
+ * their routes and PUSH_DATA_CONFIGS targets, next to the built-in steps
+ * (PIPELINE_STEPS in PipelineService.js). Built-in names take precedence.
+ *
+ * A step is a function(table, step):
+ * - table: {header, rows, numberFormats}; treat it as read-only
+ * - step: {options, spreadsheetId, sheetName, range, context}; options is the route
+ *   or push target, so a step can read its own settings from it
+ * It returns {rows, header, numberFormats, diagnostics}: rows is required, header
+ * and numberFormats only when they change, and diagnostics (a plain object) is
+ * listed under result.pipeline.diagnostics[stepName].
+ *
+ * @file Custom pipeline step registry for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * Custom pipeline steps, by name.
+ * @example
+ * // pipeline: ["stripLayout", "mapColumns", "campusCodes", "filterRows"]
+ * campusCodes: function(table, step) {
+ *   var index = table.header.indexOf("Campus");
+ *   var changed = 0;
+ *   var rows = table.rows.map(function(row) {
+ *     var code = index === -1 ? undefined : step.options.campusCodes[row[index]];
+ *     if (code === undefined) {
+ *       return row;
+ *     }
+ *     changed++;
+ *     var copy = row.slice();
+ *     copy[index] = code;
+ *     return copy;
+ *   });
+ *   return { rows: rows, diagnostics: { changed: changed } };
+ * }
+ */
+var CUSTOM_PIPELINE_STEPS = {};
@@ -0,0 +1,550 @@
+/**
+ * Historical Backfill for DataLake Project
+ * Imports every report email of an email configuration within a date range, oldest
+ * first, into history sheets that carry an as_of_date column. One email per day is
+ * imported (the newest one of that day). Progress is saved in Script Properties after
+ * each day, so a backfill that hits the Apps Script execution limit continues where
+ * it stopped on the next run.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Historical backfill for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} BackfillState
+ * @property {string} configName - Name of the email configuration (see Config_getEmailConfigName).
+ * @property {string} startDate - First day to import (yyyy-MM-dd).
+ * @property {string} endDate - Last day to import (yyyy-MM-dd).
+ * @property {string|null} lastCompletedDate - Last day handled; the next run starts after it.
+ * @property {number} daysWritten - Days imported so far.
+ * @property {number} rowsWritten - Rows appended so far.
+ * @property {number} failedDayCount - Days whose email could not be imported.
+ * @property {Array<{date: string, error: string}>} failedDays - The first
+ *   BACKFILL.maxReportedFailures of those days, with their (shortened) error.
+ * @property {string} status - "running", "paused", "complete" or "failed" (stopped by an
+ *   error; not continued until it is started again).
+ * @property {string} [error] - Message of the error that stopped a failed backfill.
+ * @property {BackfillListing|null} [listing] - The window of days being listed or imported.
+ * @property {number} runs - Number of executions spent on the backfill.
+ * @property {string} startedAt - ISO timestamp of the start.
+ * @property {string} updatedAt - ISO timestamp of the last saved progress.
+ */
+
+/**
+ * @typedef {Object} BackfillListing
+ * @property {string} fromDate - First day of the window (yyyy-MM-dd).
+ * @property {string} toDate - Last day of the window (yyyy-MM-dd).
+ * @property {number} nextStart - Offset of the next search page to read.
+ * @property {boolean} listed - True once every search page of the window was read.
+ * @property {Object<string, Array<{id: string, time: number}>>} candidates - Message IDs
+ *   of each day not yet imported, newest first (at most BACKFILL.maxCandidatesPerDay).
+ */
+
+/**
+ * Starts a backfill of an email configuration for a date range. Rows already in
+ * the history sheets for days inside the range are removed first, so a range can
+ * be backfilled again without duplicates.
+ * @param {string} labelName - The Gmail label or configuration name (see EmailProcessor_findConfig).
+ * @param {string} startDate - First day to import (yyyy-MM-dd).
+ * @param {string} endDate - Last day to import (yyyy-MM-dd).
+ * @param {Object} [options] - Backfill options.
+ * @param {boolean} [options.restart=false] - Replace an unfinished backfill of the same configuration.
+ * @returns {BackfillState} The backfill state after this run.
+ * @throws {Error} If the dates are invalid or an unfinished backfill exists.
+ * @example
+ * Backfill_start('Entry_Withdrawal2', '2025-08-01', '2025-12-19');
+ */
+function Backfill_start(labelName, startDate, endDate, options) {
+  options = options || {};
+  var deadline = Date.now() + CONFIG.BACKFILL.maxRuntimeMs;
+  var config = EmailProcessor_findConfig(labelName);
+  var configName = Config_getEmailConfigName(config);
+  var context = 'Backfill_' + configName;
+  
+  Validators_validateDay(startDate, context + '.startDate');
+  Validators_validateDay(endDate, context + '.endDate');
+  if (startDate > endDate) {
+    throw ErrorHandler_createError(
+      context + ': startDate must not be after endDate',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { startDate: startDate, endDate: endDate }
+    );
+  }
+  
+  var existing = Backfill__loadState(configName);
+  if (existing && existing.status !== 'complete' && existing.status !== 'failed' && !options.restart) {
+    throw ErrorHandler_createError(
+      context + ': A backfill for ' + existing.startDate + ' to ' + existing.endDate +
+        ' is not finished; resume it or start again with restart',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { existing: existing }
+    );
+  }
+  
+  Config_getEmailConfigRoutes(config).forEach(function(route) {
+    var removed = SheetService_removeRows(CONFIG.SPREADSHEETS.MAIN, route.historySheetName, function(row) {
+      var day = Backfill__toDayKey(row[0]);
+      return day >= startDate && day <= endDate;
+    }, context);
+    if (removed > 0) {
+      AppLogger_info('Removed history rows inside the backfill range', {
+        sheetName: route.historySheetName,
+        removed: removed
+      });
+    }
+  });
+  
+  var state = {
+    configName: configName,
+    startDate: startDate,
+    endDate: endDate,
+    lastCompletedDate: null,
+    daysWritten: 0,
+    rowsWritten: 0,
+    failedDayCount: 0,
+    failedDays: [],
+    status: 'running',
+    runs: 0,
+    startedAt: DateUtils_getCurrentTimestamp(),
+    updatedAt: DateUtils_getCurrentTimestamp()
+  };
+  Backfill__saveState(state);
+  
+  try {
+    state = Backfill__run(state, deadline);
+  } catch (error) {
+    Backfill__fail(state, error);
+    throw error;
+  } finally {
+    Backfill__updateContinuationTrigger();
+  }
+  return state;
+}
+
+/**
+ * Continues every paused or running backfill until the run's time budget is used up.
+ * A backfill that throws is marked "failed" and is not continued again.
+ * Called by the continuation trigger; safe to call by hand.
+ * @returns {Array<BackfillState>} The state of each backfill that was continued.
+ */
+function Backfill_resumeAll() {
+  var deadline = Date.now() + CONFIG.BACKFILL.maxRuntimeMs;
+  var results = [];
+  
+  Backfill_getStatus().forEach(function(state) {
+    if (state.status === 'complete' || state.status === 'failed') {
+      return;
+    }
+    if (Date.now() > deadline) {
+      results.push(state);
+      return;
+    }
+    try {
+      results.push(Backfill__run(state, deadline));
+    } catch (error) {
+      ErrorHandler_handle(error, 'Backfill_resumeAll', { configName: state.configName });
+      results.push(Backfill__fail(state, error));
+    }
+  });
+  
+  Backfill__updateContinuationTrigger();
+  return results;
+}
+
+/**
+ * Gets the saved state of all backfills, or of one configuration.
+ * @param {string} [labelName] - The Gmail label or configuration name.
+ * @returns {Array<BackfillState>} Backfill states.
+ */
+function Backfill_getStatus(labelName) {
+  if (labelName) {
+    var state = Backfill__loadState(Config_getEmailConfigName(EmailProcessor_findConfig(labelName)));
+    return state ? [state] : [];
+  }
+  
+  var properties = PropertiesService.getScriptProperties().getProperties();
+  return Object.keys(properties)
+    .filter(function(key) { return key.indexOf(CONFIG.BACKFILL.propertyPrefix) === 0; })
+    .map(function(key) { return Backfill__loadState(key.substring(CONFIG.BACKFILL.propertyPrefix.length)); })
+    .filter(function(state) { return state !== null; });
+}
+
+/**
+ * Imports the remaining days of a backfill until it completes or the deadline passes.
+ * The range is handled in windows of CONFIG.BACKFILL.listWindowDays days: the
+ * window's report emails are listed (see Backfill__listDays), then its days are
+ * imported oldest first. The listing cursor and the days still to import are saved
+ * with the state, so a run that stops at the deadline, while listing or importing,
+ * carries on from there.
+ * @private
+ * @param {BackfillState} state - The backfill state (updated and saved after each day).
+ * @param {number} deadline - Time (ms since epoch) after which no new day is started.
+ * @returns {BackfillState} The updated state.
+ */
+function Backfill__run(state, deadline) {
+  var timer = AppLogger_startTimer('backfill_' + state.configName);
+  var config = EmailProcessor_findConfig(state.configName);
+  var context = 'Backfill_' + state.configName;
+  
+  AppLogger_operationStart('backfill', {
+    configName: state.configName,
+    startDate: state.startDate,
+    endDate: state.endDate,
+    resumeAfter: state.lastCompletedDate
+  });
+  
+  state.runs++;
+  state.status = 'running';
+  
+  while (true) {
+    if (!state.listing) {
+      var fromDate = state.lastCompletedDate && state.lastCompletedDate >= state.startDate ?
+        Backfill__shiftDay(state.lastCompletedDate, 1) :
+        state.startDate;
+      if (fromDate > state.endDate) {
+        break;
+      }
+      var toDate = Backfill__shiftDay(fromDate, CONFIG.BACKFILL.listWindowDays - 1);
+      state.listing = {
+        fromDate: fromDate,
+        toDate: toDate < state.endDate ? toDate : state.endDate,
+        nextStart: 0,
+        listed: false,
+        candidates: {}
+      };
+    }
+    
+    if (!state.listing.listed && !Backfill__listDays(config, state, deadline)) {
+      return Backfill__pause(state, timer);
+    }
+    
+    var days = Object.keys(state.listing.candidates).sort();
+    for (var i = 0; i < days.length; i++) {
+      if (Date.now() > deadline) {
+        return Backfill__pause(state, timer);
+      }
+      
+      var message = Backfill__pickMessage(config, state.listing.candidates[days[i]]);
+      if (message) {
+        try {
+          state.rowsWritten += Backfill__importDay(config, message, days[i], context + '_' + days[i]);
+          state.daysWritten++;
+        } catch (error) {
+          ErrorHandler_handle(error, context, { date: days[i] });
+          state.failedDayCount = (state.failedDayCount || 0) + 1;
+          if (state.failedDays.length < CONFIG.BACKFILL.maxReportedFailures) {
+            state.failedDays.push({ date: days[i], error: Backfill__shorten(error.message) });
+          }
+        }
+      }
+      
+      delete state.listing.candidates[days[i]];
+      state.lastCompletedDate = days[i];
+      Backfill__saveState(state);
+    }
+    
+    // Days of the window without a report are done too
+    state.lastCompletedDate = state.listing.toDate;
+    state.listing = null;
+    Backfill__saveState(state);
+  }
+  
+  state.status = 'complete';
+  Backfill__saveState(state);
+  
+  AppLogger_operationSuccess('backfill', {
+    configName: state.configName,
+    daysWritten: state.daysWritten,
+    rowsWritten: state.rowsWritten,
+    failedDays: state.failedDayCount || 0
+  }, timer.stop());
+  
+  return state;
+}
+
+/**
+ * Saves a backfill as paused at the execution time limit.
+ * @private
+ * @param {BackfillState} state - The backfill state.
+ * @param {Object} timer - The run's timer (see AppLogger_startTimer).
+ * @returns {BackfillState} The paused state.
+ */
+function Backfill__pause(state, timer) {
+  state.status = 'paused';
+  Backfill__saveState(state);
+  AppLogger_info('Backfill paused at the execution time limit', {
+    configName: state.configName,
+    lastCompletedDate: state.lastCompletedDate,
+    listing: state.listing && {
+      fromDate: state.listing.fromDate,
+      toDate: state.listing.toDate,
+      listed: state.listing.listed,
+      remainingDays: Object.keys(state.listing.candidates).length
+    }
+  });
+  timer.stop();
+  return state;
+}
+
+/**
+ * Marks a backfill as failed and saves it, so the continuation trigger stops
+ * rescheduling it.
+ * @private
+ * @param {BackfillState} state - The backfill state.
+ * @param {Error} error - The error that stopped the backfill.
+ * @returns {BackfillState} The failed state.
+ */
+function Backfill__fail(state, error) {
+  state.status = 'failed';
+  state.error = Backfill__shorten(error.message);
+  Backfill__saveState(state);
+  AppLogger_warn('Backfill stopped by an error; start it again to retry', {
+    configName: state.configName,
+    lastCompletedDate: state.lastCompletedDate,
+    error: error.message
+  });
+  return state;
+}
+
+/**
+ * Lists the report emails of the current window (state.listing), one search page at
+ * a time, recording the newest BACKFILL.maxCandidatesPerDay candidate messages of
+ * each day, newest first. Only the subject and sender rules are checked here,
+ * because they need no attachment downloads; attachments are checked when a day is
+ * imported (see Backfill__pickMessage). The cursor is saved after every page.
+ * @private
+ * @param {Object} config - The email configuration object.
+ * @param {BackfillState} state - The backfill state, with its listing.
+ * @param {number} deadline - Time (ms since epoch) after which no new page is read.
+ * @returns {boolean} True if the window is fully listed, false if the deadline passed first.
+ */
+function Backfill__listDays(config, state, deadline) {
+  var listing = state.listing;
+  
+  // Gmail's after:/before: use the mailbox time zone, so search a day wider and filter exactly below
+  var query = EmailService_getSearchQuery(Config_getEmailSource(config)) +
+    ' after:' + Backfill__shiftDay(listing.fromDate, -1).replace(/-/g, '/') +
+    ' before:' + Backfill__shiftDay(listing.toDate, 2).replace(/-/g, '/');
+  var matchRules = {
+    subjectPattern: config.subjectPattern,
+    fromAllowlist: config.fromAllowlist
+  };
+  
+  var pageSize = CONFIG.BACKFILL.searchPageSize;
+  while (!listing.listed) {
+    if (Date.now() > deadline) {
+      return false;
+    }
+    
+    var threads = GmailApp.search(query, listing.nextStart, pageSize);
+    threads.forEach(function(thread) {
+      thread.getMessages().forEach(function(message) {
+        var day = Backfill__toDayKey(message.getDate());
+        if (day < listing.fromDate || day > listing.toDate || !EmailService_messageMatches(message, matchRules)) {
+          return;
+        }
+        var candidates = listing.candidates[day] || (listing.candidates[day] = []);
+        var id = message.getId();
+        if (candidates.some(function(candidate) { return candidate.id === id; })) {
+          return;
+        }
+        candidates.push({ id: id, time: message.getDate().getTime() });
+        candidates.sort(function(a, b) { return b.time - a.time; });
+        candidates.splice(CONFIG.BACKFILL.maxCandidatesPerDay);
+      });
+    });
+    
+    listing.nextStart += pageSize;
+    listing.listed = threads.length < pageSize;
+    Backfill__saveState(state);
+  }
+  
+  AppLogger_debug('Backfill days listed', {
+    query: query,
+    dayCount: Object.keys(listing.candidates).length
+  });
+  return true;
+}
+
+/**
+ * Picks the report email of a day: the newest candidate carrying a report
+ * attachment of the configured format (and name pattern). Attachments are only
+ * loaded until a candidate qualifies, which is normally the newest one.
+ * @private
+ * @param {Object} config - The email configuration object.
+ * @param {Array<{id: string, time: number}>} candidates - The day's candidate messages, newest first.
+ * @returns {GoogleAppsScript.Gmail.GmailMessage|null} The message, or null if none qualifies.
+ */
+function Backfill__pickMessage(config, candidates) {
+  var matchRules = {
+    attachmentNamePattern: config.attachmentNamePattern || '',
+    attachmentFormat: config.attachmentFormat || 'xlsx'
+  };
+  
+  for (var i = 0; i < candidates.length; i++) {
+    var message = GmailApp.getMessageById(candidates[i].id);
+    if (message && EmailService_messageMatches(message, matchRules)) {
+      return message;
+    }
+  }
+  return null;
+}
+
+/**
+ * Appends one day's report rows to the history sheet of every route.
+ * @private
+ * @param {Object} config - The email configuration object.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The day's report email.
+ * @param {string} day - The as_of_date value (yyyy-MM-dd).
+ * @param {string} context - Context for error messages.
+ * @returns {number} Rows appended.
+ * @throws {Error} If the email cannot be imported.
+ */
+function Backfill__importDay(config, message, day, context) {
+  var attachments = EmailService_getReportAttachments(message, config.attachmentFormat || 'xlsx', context);
+  var workbooks = {};
+  var rowsWritten = 0;
+  
+  Config_getEmailConfigRoutes(config).forEach(function(route) {
+    var routeData = EmailProcessor_readRoute(config, route, attachments, workbooks, context);
+    var rows = routeData.rows.map(function(row) { return [day].concat(row); });
+    
+    SheetService_appendRows(
+      CONFIG.SPREADSHEETS.MAIN,
+      route.historySheetName,
+      rows,
+      [CONFIG.BACKFILL.dateColumn].concat(routeData.header),
+      context,
+      routeData.numberFormats ? [null].concat(routeData.numberFormats) : undefined
+    );
+    rowsWritten += rows.length;
+    
+    if (routeData.duplicates && routeData.duplicates.policy === 'quarantine') {
+      DedupeService_quarantine(route.historySheetName, routeData.header, routeData.duplicates.removedRows,
+        route.primaryKey, context);
+    }
+  });
+  
+  return rowsWritten;
+}
+
+/**
+ * Schedules a one-off continueBackfills trigger if a backfill is paused or running, and
+ * removes the previous one.
+ * @private
+ * @returns {void}
+ */
+function Backfill__updateContinuationTrigger() {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'continueBackfills') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  
+  var unfinished = Backfill_getStatus().filter(function(state) {
+    return state.status !== 'complete' && state.status !== 'failed';
+  });
+  if (unfinished.length > 0) {
+    ScriptApp.newTrigger('continueBackfills')
+      .timeBased()
+      .after(CONFIG.BACKFILL.resumeDelayMs)
+      .create();
+    AppLogger_info('Backfill continuation scheduled', {
+      backfills: unfinished.map(function(state) { return state.configName; })
+    });
+  }
+}
+
+/**
+ * Loads a backfill state from Script Properties.
+ * @private
+ * @param {string} configName - The configuration name.
+ * @returns {BackfillState|null} The state, or null if none is saved.
+ */
+function Backfill__loadState(configName) {
+  var raw = PropertiesService.getScriptProperties().getProperty(CONFIG.BACKFILL.propertyPrefix + configName);
+  if (!raw) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    AppLogger_warn('Backfill state could not be parsed', { configName: configName, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Saves a backfill state to Script Properties.
+ * @private
+ * @param {BackfillState} state - The state to save.
+ * @returns {void}
+ */
+function Backfill__saveState(state) {
+  state.updatedAt = DateUtils_getCurrentTimestamp();
+  PropertiesService.getScriptProperties().setProperty(
+    CONFIG.BACKFILL.propertyPrefix + state.configName,
+    JSON.stringify(state)
+  );
+}
+
+/**
+ * Shortens an error message for the saved state, which must fit in one Script Property.
+ * @private
+ * @param {string} message - The error message.
+ * @returns {string} The message, cut to 200 characters.
+ */
+function Backfill__shorten(message) {
+  message = String(message);
+  return message.length > 200 ? message.substring(0, 197) + '...' : message;
+}
+
+/**
+ * Converts a date (or a yyyy-MM-dd cell value) to a yyyy-MM-dd day key in the
+ * application time zone.
+ * @private
+ * @param {Date|string} value - The date or day key.
+ * @returns {string} The day key, or '' if the value is not a date.
+ */
+function Backfill__toDayKey(value) {
+  if (value instanceof Date) {
+    return DateUtils_formatDate(value, 'yyyy-MM-dd');
+  }
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Shifts a yyyy-MM-dd day key by a number of days.
+ * @private
+ * @param {string} day - The day key.
+ * @param {number} days - Days to add (can be negative).
+ * @returns {string} The shifted day key.
+ */
+function Backfill__shiftDay(day, days) {
+  var parts = day.split('-');
+  return new Date(Date.UTC(+parts[0], +parts[1] - 1, +parts[2] + days)).toISOString().substring(0, 10);
+}
+
+/**
+ * Backfill object for backward compatibility and easier access.
+ * @namespace Backfill
+ */
+var Backfill = {
+  start: Backfill_start,
+  resumeAll: Backfill_resumeAll,
+  getStatus: Backfill_getStatus,
+  _run: Backfill__run,
+  _pause: Backfill__pause,
+  _fail: Backfill__fail,
+  _listDays: Backfill__listDays,
+  _pickMessage: Backfill__pickMessage,
+  _importDay: Backfill__importDay,
+  _updateContinuationTrigger: Backfill__updateContinuationTrigger,
+  _loadState: Backfill__loadState,
+  _saveState: Backfill__saveState,
+  _shorten: Backfill__shorten,
+  _toDayKey: Backfill__toDayKey,
+  _shiftDay: Backfill__shiftDay
+};
@@ -83,7 +83,11 @@ function DataPusher_pushAllData() {
 }
 
 /**
- * Pushes data from a single source sheet to its configured targets.
+ * Pushes data from a single source sheet to its configured targets. Each target's
+ * rows go through its pipeline steps (target.pipeline, or PIPELINE.pushSteps; see
+ * PipelineService_run): by default targets with filters get only the rows that pass
+ * them, and targets with columns get only those columns, in that order. Targets with
+ * writeMode "upsert" are upserted by their primaryKey instead of cleared and rewritten.
  * @param {string} sourceSheetName - The name of the source sheet.
  * @param {Object} config - The push configuration for this sheet.
  * @param {string} [context] - Context for error messages.
@@ -117,6 +121,14 @@ function DataPusher_pushSingleSheet(sourceSheetName, config, context) {
       range: config.range
     });
     
+    // Pipeline steps and upserts name columns by the source header row
+    var sourceHeader = [];
+    if (config.targets.some(function(target) {
+      return target.filters || target.columns || target.pipeline || target.writeMode === 'upsert';
+    })) {
+      sourceHeader = SheetService_getHeaderRow(CONFIG.SPREADSHEETS.MAIN, sourceSheetName, config.range, context + '.readHeader');
+    }
+    
     // Step 2: Push to each target
     var targetResults = [];
     
@@ -125,7 +137,20 @@ function DataPusher_pushSingleSheet(sourceSheetName, config, context) {
       var targetContext = context + '.target[' + i + ']';
       
       try {
-        var targetResult = DataPusher__pushToTarget(sourceData, target, targetContext);
+        var pipeline = PipelineService_run(target.pipeline || CONFIG.PIPELINE.pushSteps, {
+          header: sourceHeader,
+          rows: sourceData
+        }, {
+          options: target,
+          spreadsheetId: target.spreadsheetId,
+          sheetName: target.sheetName,
+          context: targetContext
+        });
+        
+        var targetResult = DataPusher__pushToTarget(pipeline.rows, target, targetContext, pipeline.header);
+        targetResult.rowFilter = pipeline.diagnostics.filterRows;
+        targetResult.columns = pipeline.diagnostics.selectColumns && pipeline.diagnostics.selectColumns.columns;
+        targetResult.pipeline = PipelineService_summarize(pipeline);
         
         targetResults.push({
           success: true,
@@ -187,10 +212,22 @@ function DataPusher_pushSingleSheet(sourceSheetName, config, context) {
  * @param {Array<Array<any>>} data - The data to push.
  * @param {Object} target - The target configuration.
  * @param {string} context - Context for error messages.
+ * @param {Array<any>} [header] - Header row of the data (needed for writeMode "upsert").
  * @returns {Object} Push result for this target.
  */
-function DataPusher__pushToTarget(data, target, context) {
+function DataPusher__pushToTarget(data, target, context, header) {
   try {
+    if (target.writeMode === 'upsert') {
+      return SheetService_upsertSheet(
+        target.spreadsheetId,
+        target.sheetName,
+        header || [],
+        data,
+        { primaryKey: target.primaryKey, onMissing: target.onMissing },
+        context
+      );
+    }
+    
     // Clear existing data in the target sheet (from row 2 down)
     var targetSpreadsheet = SpreadsheetApp.openById(target.spreadsheetId);
     var targetSheet = targetSpreadsheet.getSheetByName(target.sheetName);
@@ -39,34 +39,39 @@ function EmailProcessor_processAllConfigs() {
     // Process each configuration sequentially to avoid rate limiting
     for (var i = 0; i < CONFIG.EMAIL_CONFIGS.length; i++) {
       var config = CONFIG.EMAIL_CONFIGS[i];
-      var configContext = 'config[' + i + ']_' + config.sheetName;
+      var configName = Config_getEmailConfigName(config);
+      var configContext = 'config[' + i + ']_' + configName;
       
       try {
         AppLogger_info('Processing configuration ' + (i + 1) + '/' + CONFIG.EMAIL_CONFIGS.length, {
-          sheetName: config.sheetName,
-          label: config.label
+          sheetName: configName,
+          source: Config_getEmailSource(config).description
         });
         
         var result = EmailProcessor_processSingleConfig(config, configContext);
         
         results.push({
           success: true,
-          config: config.sheetName,
+          config: configName,
           label: config.label,
+          query: config.query,
+          skipped: result.skipped || null,
           result: result
         });
         
       } catch (error) {
-        var errorMessage = ErrorHandler_handle(error, 'Processing ' + config.sheetName, {
+        var errorMessage = ErrorHandler_handle(error, 'Processing ' + configName, {
           configIndex: i,
-          label: config.label
+          source: Config_getEmailSource(config).description
         });
         
         results.push({
           success: false,
-          config: config.sheetName,
+          config: configName,
           label: config.label,
-          error: errorMessage
+          query: config.query,
+          error: errorMessage,
+          routes: error.details && error.details.routes ? error.details.routes : null
         });
       }
       
@@ -96,70 +101,531 @@ function EmailProcessor_processAllConfigs() {
 
 /**
  * Processes a single email configuration.
+ * Each route of the configuration (see Config_getEmailConfigRoutes) imports one
+ * attachment tab into one sheet and gets its own entry in `result.routes`; if any
+ * route fails the error carries every route result in `error.details.routes`.
+ * If the latest email was already imported (according to the ingestion ledger) and
+ * the configuration's onAlreadyProcessed policy is "skip", the sheets are left
+ * untouched and the result carries `skipped: 'already-processed'`.
+ * After a successful import the configuration's postProcess mailbox actions are
+ * applied and listed in `result.mailboxActions`; a failed import labels the email
+ * with the failed label, if one is configured.
+ * Unless raw archiving is off, the attachments are copied to the raw archive before
+ * the import and listed in `result.archivedFiles`.
+ * Routes with trackChanges log their added, removed and changed rows to the change
+ * log; `result.changes` sums their counts.
  * @param {Object} config - The email configuration object.
  * @param {string} [context] - Context for error messages.
+ * @param {Object} [options] - Processing options.
+ * @param {boolean} [options.force=false] - Import even if the email was already processed,
+ *   and even if a write guard trips (see GuardService_check).
  * @returns {Object} Processing result with metadata.
  * @throws {Error} If processing fails.
  */
-function EmailProcessor_processSingleConfig(config, context) {
+function EmailProcessor_processSingleConfig(config, context, options) {
   context = context || 'Single config processing';
-  var timer = AppLogger_startTimer('processSingleConfig_' + config.sheetName);
+  options = options || {};
+  var configName = Config_getEmailConfigName(config);
+  var timer = AppLogger_startTimer('processSingleConfig_' + configName);
   
   try {
     AppLogger_operationStart('processSingleConfig', {
-      sheetName: config.sheetName,
-      label: config.label,
+      sheetName: configName,
+      source: Config_getEmailSource(config).description,
       context: context
     });
     
     // Validate the configuration
     Validators_validateEmailConfig(config, context);
     
-    // Step 1: Get the latest email
-    var message = EmailService_getLatestEmailByLabel(config.label);
+    // Step 1: Get the latest email and make sure it is recent enough
+    var message = EmailService_getLatestEmail(Config_getEmailSource(config), config);
+    var emailAgeHours = EmailProcessor__checkFreshness(config, message, context);
     
-    // Step 2: Extract Excel attachment
-    var attachment = EmailService_getExcelAttachment(message, context);
+    // Step 2: Extract the report attachments (xlsx, xls or csv)
+    var attachments = EmailService_getReportAttachments(message, config.attachmentFormat || 'xlsx', context);
+    var attachmentNames = attachments.map(function(att) { return att.getName(); }).join(', ');
     
-    // Step 3: Process Excel data
-    var data = DriveService_processExcelData(attachment, context);
+    // Step 2b: Check the ingestion ledger for a repeat of an earlier import
+    var ledgerKey = LedgerService_getConfigKey(config);
+    var attachmentHash = LedgerService_computeHash(attachments);
+    var ledgerEntry = LedgerService_findEntry(ledgerKey, message.getId(), attachmentHash);
     
-    // Step 4: Update the target sheet
-    var updateResult = SheetService_updateSheet(
-      CONFIG.SPREADSHEETS.MAIN,
-      config.sheetName,
-      config.rangeToClear,
-      data,
-      context
-    );
+    if (ledgerEntry && !options.force) {
+      if ((config.onAlreadyProcessed || 'skip') === 'skip') {
+        var skippedResult = EmailProcessor__createSkippedResult(config, message, attachmentNames, attachmentHash, ledgerEntry);
+        AppLogger_warn('Latest email was already processed; sheet left unchanged', skippedResult);
+        AppLogger_operationSuccess('processSingleConfig', skippedResult, timer.stop());
+        return skippedResult;
+      }
+      
+      AppLogger_warn('Latest email was already processed; importing it again', {
+        sheetName: configName,
+        messageId: message.getId(),
+        previouslyProcessedAt: ledgerEntry.processedAt
+      });
+    }
+    
+    // Step 2c: Keep an untouched copy of the attachments in the raw archive
+    var archivedFiles = ArchiveService_isEnabled(config) ?
+      ArchiveService_archiveAttachments(attachments, config, message, context) :
+      [];
+      
+    // Step 3: Import each route (attachment tab -> sheet)
+    var run = {
+      runId: Utilities.getUuid(),
+      messageId: message.getId(),
+      emailSubject: message.getSubject(),
+      emailDate: message.getDate().toISOString(),
+      attachmentName: attachmentNames,
+      force: options.force === true
+    };
+    var routeResults = EmailProcessor__processRoutes(config, Config_getEmailConfigRoutes(config), attachments, context, run);
     
     var result = {
-      spreadsheetId: updateResult.spreadsheetId,
-      sheetName: updateResult.sheetName,
-      rowsInserted: updateResult.rowsInserted,
-      columnsInserted: updateResult.columnsInserted,
-      rangeToClear: updateResult.rangeToClear,
-      timestamp: updateResult.timestamp,
+      sheetName: configName,
+      rowsInserted: routeResults.reduce(function(sum, r) { return sum + r.rowsInserted; }, 0),
+      timestamp: DateUtils_getCurrentTimestamp(),
+      runId: run.runId,
       emailSubject: message.getSubject(),
       emailDate: message.getDate(),
-      attachmentName: attachment.getName(),
-      attachmentSize: attachment.getSize(),
-      label: config.label
+      emailAgeHours: emailAgeHours,
+      attachmentName: attachmentNames,
+      attachmentHash: attachmentHash,
+      messageId: message.getId(),
+      alreadyProcessed: !!ledgerEntry,
+      label: config.label,
+      query: config.query,
+      routes: routeResults,
+      changes: EmailProcessor__sumChanges(routeResults),
+      archivedFiles: archivedFiles
     };
     
+    EmailProcessor__mergeSingleRoute(result, routeResults);
+    
+    if (ledgerEntry) {
+      result.previouslyProcessedAt = ledgerEntry.processedAt;
+    }
+    
+    LedgerService_record(ledgerKey, {
+      messageId: message.getId(),
+      attachmentHash: attachmentHash,
+      attachmentName: attachmentNames,
+      emailDate: message.getDate().toISOString()
+    });
+    
+    // Step 4: Tidy the mailbox (processed label, mark read, archive)
+    result.mailboxActions = MailboxService_applySuccessActions(message, config);
+    
     AppLogger_operationSuccess('processSingleConfig', result, timer.stop());
     return result;
     
   } catch (error) {
     timer.stop();
+    // A stale email was not this run's report, so only label real import failures
+    if (message && error.code !== ERROR_CODES.STALE_REPORT) {
+      MailboxService_applyFailureActions(message, config);
+    }
     AppLogger_operationFailure('processSingleConfig', error, {
-      sheetName: config.sheetName,
+      sheetName: configName,
       context: context
     });
     throw error;
   }
 }
 
+/**
+ * Imports every route of an email configuration from the email's attachments.
+ * @private
+ * @param {Object} config - The email configuration object.
+ * @param {Array<Object>} routes - The routes to import (see Config_getEmailConfigRoutes).
+ * @param {Array<GoogleAppsScript.Base.Blob>} attachments - The email's report attachments.
+ * @param {string} context - Context for error messages.
+ * @param {Object} [run] - The import run: runId, the source email (messageId,
+ *   emailSubject, emailDate, attachmentName) and force (override write guards).
+ * @returns {Array<Object>} Route results, one per route.
+ * @throws {Error} If any route fails; with several routes the error carries every
+ *   route result in `error.details.routes`.
+ */
+function EmailProcessor__processRoutes(config, routes, attachments, context, run) {
+  var workbooks = {};
+  var routeErrors = [];
+  var routeResults = routes.map(function(route, index) {
+    var routeContext = routes.length > 1 ? context + '.route[' + index + ']_' + route.sheetName : context;
+    
+    try {
+      return EmailProcessor__processRoute(config, route, attachments, workbooks, routeContext, run);
+    } catch (error) {
+      routeErrors.push(error);
+      if (routes.length > 1) {
+        ErrorHandler_handle(error, routeContext, { sheetName: route.sheetName });
+      }
+      return {
+        success: false,
+        sheetName: route.sheetName,
+        rangeToClear: route.rangeToClear,
+        tab: route.tab,
+        error: error.message
+      };
+    }
+  });
+  
+  if (routeErrors.length > 0) {
+    if (routes.length === 1) {
+      throw routeErrors[0];
+    }
+    throw ErrorHandler_createError(
+      context + ': ' + routeErrors.length + ' of ' + routes.length + ' routes failed: ' + routeErrors[0].message,
+      routeErrors[0].code || ERROR_CODES.GENERAL_ERROR,
+      { routes: routeResults }
+    );
+  }
+  
+  return routeResults;
+}
+
+/**
+ * Copies the sheet details of a single-route import to the top level of the result.
+ * @private
+ * @param {Object} result - The processing result (modified in place).
+ * @param {Array<Object>} routeResults - The route results.
+ * @returns {void}
+ */
+function EmailProcessor__mergeSingleRoute(result, routeResults) {
+  if (routeResults.length !== 1) {
+    return;
+  }
+  for (var key in routeResults[0]) {
+    if (routeResults[0].hasOwnProperty(key) && key !== 'success') {
+      result[key] = routeResults[0][key];
+    }
+  }
+}
+
+/**
+ * Adds up the change counts of the routes that track changes.
+ * @private
+ * @param {Array<Object>} routeResults - Route results.
+ * @returns {Object|undefined} Summed added, removed, flagged, kept, changed, unchanged
+ *   and unkeyed rows and loggedRows, or undefined if no route tracks changes.
+ */
+function EmailProcessor__sumChanges(routeResults) {
+  var tracked = routeResults.filter(function(r) { return r.changes; });
+  if (tracked.length === 0) {
+    return undefined;
+  }
+  
+  var totals = { added: 0, removed: 0, flagged: 0, kept: 0, changed: 0, unchanged: 0, unkeyed: 0, loggedRows: 0 };
+  tracked.forEach(function(r) {
+    for (var key in totals) {
+      totals[key] += r.changes[key];
+    }
+  });
+  return totals;
+}
+
+/**
+ * Diffs a route's sheet with the rows about to be written (see ChangeService_diff),
+ * telling the diff how the rows will be written, so rows an upsert keeps or flags are
+ * not logged as removed. For onMissing "flag", each current row gets its cell of the
+ * flag column (UPSERT.flagColumnName, usually right of the range) as a last column,
+ * so rows flagged by an earlier import are not logged again.
+ * @private
+ * @param {Object} route - The route (see Config_getEmailConfigRoutes).
+ * @param {Object} routeData - The route's rows (see EmailProcessor_readRoute).
+ * @param {string} context - Context for error messages.
+ * @returns {ChangeDiff} The differences.
+ */
+function EmailProcessor__diffRoute(route, routeData, context) {
+  var flagging = route.writeMode === 'upsert' && route.onMissing === 'flag';
+  var previousRows = SheetService_readSheetData(CONFIG.SPREADSHEETS.MAIN, route.sheetName, route.rangeToClear,
+    context, { keepEmptyRows: flagging });
+  var flagIndex = -1;
+  
+  if (flagging) {
+    var flags = SheetService_readColumnByHeader(CONFIG.SPREADSHEETS.MAIN, route.sheetName,
+      CONFIG.UPSERT.flagColumnName, route.rangeToClear, context);
+    var width = previousRows.length > 0 ? previousRows[0].length : 0;
+    if (flags) {
+      flagIndex = width;
+      previousRows = previousRows.map(function(row, index) {
+        return row.concat([index < flags.length ? flags[index] : '']);
+      });
+    }
+    
+    // Drop the empty rows readSheetData kept for lining up the flags
+    previousRows = previousRows.filter(function(row) {
+      return row.slice(0, width).some(function(cell) {
+        return cell !== null && cell !== undefined && cell !== '';
+      });
+    });
+  }
+  
+  return ChangeService_diff(
+    routeData.header,
+    previousRows,
+    routeData.rows,
+    route.primaryKey,
+    context,
+    { writeMode: route.writeMode, onMissing: route.onMissing, flagIndex: flagIndex }
+  );
+}
+
+/**
+ * Imports one route of an email configuration: reads the route's rows (see
+ * EmailProcessor_readRoute), checks them against the route's write guards, snapshots
+ * the sheet's current data (unless the configuration turns snapshot off) and replaces
+ * it with them, through a staging sheet unless the configuration turns stagedWrite
+ * off; with writeMode "upsert" the rows are upserted by primaryKey instead (see
+ * SheetService_upsertSheet). The row count of every successful write is recorded for the guards' "average"
+ * baseline. With trackChanges the sheet's current rows are diffed with the new rows
+ * before the write and the changes logged after it (see ChangeService_record).
+ * @private
+ * @param {Object} config - The email configuration object.
+ * @param {Object} route - The route (see Config_getEmailConfigRoutes).
+ * @param {Array<GoogleAppsScript.Base.Blob>} attachments - The email's report attachments.
+ * @param {Object<number, Array<WorkbookTab>>} workbooks - Parsed attachments, keyed by index (filled lazily).
+ * @param {string} context - Context for error messages.
+ * @param {Object} [run] - The import run (see EmailProcessor__processRoutes).
+ * @returns {Object} Route result with sheet update metadata.
+ * @throws {Error} If the route cannot be imported, or with code WRITE_GUARD_TRIPPED if
+ *   a write guard trips (the sheet is left unchanged).
+ */
+function EmailProcessor__processRoute(config, route, attachments, workbooks, context, run) {
+  run = run || {};
+  var routeData = EmailProcessor_readRoute(config, route, attachments, workbooks, context);
+  var guards = GuardService_check(route, routeData.header, routeData.rows, { force: run.force === true }, context);
+  var snapshot = SnapshotService_isEnabled(config) ? SnapshotService_snapshotRoute(route, run, context) : undefined;
+  var diff = route.trackChanges ? EmailProcessor__diffRoute(route, routeData, context) : undefined;
+  
+  var updateResult = route.writeMode === 'upsert' ?
+    SheetService_upsertSheet(
+      CONFIG.SPREADSHEETS.MAIN,
+      route.sheetName,
+      routeData.header,
+      routeData.rows,
+      { primaryKey: route.primaryKey, onMissing: route.onMissing },
+      context,
+      routeData.numberFormats
+    ) :
+    SheetService_updateSheet(
+      CONFIG.SPREADSHEETS.MAIN,
+      route.sheetName,
+      route.rangeToClear,
+      routeData.rows,
+      context,
+      routeData.numberFormats,
+      { staged: config.stagedWrite !== undefined ? config.stagedWrite : CONFIG.STAGED_WRITES.enabled }
+    );
+  
+  GuardService_recordRowCount(route.sheetName, updateResult.rowsInserted);
+  var changes = diff && ChangeService_record(route.sheetName, routeData.header, diff, run, context);
+  
+  if (routeData.duplicates && routeData.duplicates.policy === 'quarantine') {
+    DedupeService_quarantine(route.sheetName, routeData.header, routeData.duplicates.removedRows,
+      route.primaryKey, context);
+  }
+  
+  // Tell downstream projects which contract the data follows
+  if (routeData.schemaVersion !== undefined) {
+    SheetService_setSheetMetadata(CONFIG.SPREADSHEETS.MAIN, route.sheetName,
+      CONFIG.SCHEMA_VALIDATION.metadataKey, String(routeData.schemaVersion), context);
+  }
+  
+  return {
+    success: true,
+    spreadsheetId: updateResult.spreadsheetId,
+    sheetName: updateResult.sheetName,
+    rowsInserted: updateResult.rowsInserted,
+    columnsInserted: updateResult.columnsInserted,
+    rangeToClear: route.rangeToClear,
+    writeMode: route.writeMode || 'replace',
+    staged: updateResult.staged,
+    upsert: updateResult.upsert,
+    timestamp: updateResult.timestamp,
+    tab: routeData.tab,
+    attachmentName: routeData.attachment.getName(),
+    attachmentSize: routeData.attachment.getSize(),
+    attachmentFormat: routeData.attachmentFormat,
+    layoutRemoved: routeData.layoutRemoved,
+    unmappedColumns: routeData.unmappedColumns,
+    normalization: routeData.normalization,
+    rowFilter: routeData.rowFilter,
+    duplicates: routeData.duplicates && {
+      policy: routeData.duplicates.policy,
+      duplicateKeyCount: routeData.duplicates.duplicateKeyCount,
+      removedRowCount: routeData.duplicates.removedRows.length,
+      sampleKeys: routeData.duplicates.sampleKeys
+    },
+    schemaVersion: routeData.schemaVersion,
+    schemaWarnings: routeData.schemaWarnings,
+    pipeline: routeData.pipeline,
+    guards: guards,
+    changes: changes,
+    snapshot: snapshot && {
+      snapshotId: snapshot.snapshotId,
+      rowCount: snapshot.rowCount,
+      error: snapshot.error
+    }
+  };
+}
+
+/**
+ * Reads one route of an email configuration: picks the route's attachment,
+ * parses it (once per attachment), selects the route's tab and runs the tab through
+ * the route's pipeline steps (route.pipeline, or PIPELINE.emailSteps; see
+ * PipelineService_run): stripLayout, deriveColumns, mapColumns, normalize, filterRows
+ * and dedupe each act only when the route sets their option. If the target sheet has
+ * a schema (CONFIG.SCHEMAS) the resulting header and rows are checked against it.
+ * @param {Object} config - The email configuration object.
+ * @param {Object} route - The route (see Config_getEmailConfigRoutes).
+ * @param {Array<GoogleAppsScript.Base.Blob>} attachments - The email's report attachments.
+ * @param {Object<number, Array<WorkbookTab>>} workbooks - Parsed attachments, keyed by index (filled lazily).
+ * @param {string} context - Context for error messages.
+ * @returns {{attachment: GoogleAppsScript.Base.Blob, attachmentFormat: string, tab: string,
+ *   header: Array<any>, rows: Array<Array<any>>, layoutRemoved: (LayoutRemovedCounts|undefined),
+ *   unmappedColumns: (Array<string>|undefined), numberFormats: (Array<string|null>|undefined),
+ *   normalization: (Object|undefined), rowFilter: ({kept: number, dropped: number}|undefined),
+ *   duplicates: (Object|undefined), pipeline: Object,
+ *   schemaVersion: (string|undefined), schemaWarnings: (Array<string>|undefined)}}
+ *   The route's header row and data rows.
+ * @throws {Error} If no attachment matches, the tab does not exist, a pipeline step
+ *   fails (e.g. the header row cannot be found, the columns cannot be mapped or a
+ *   primary key is duplicated under the "fail" policy) or the data breaks the schema.
+ */
+function EmailProcessor_readRoute(config, route, attachments, workbooks, context) {
+  var attachmentIndex = -1;
+  for (var i = 0; i < attachments.length; i++) {
+    if (EmailService_matchesPattern(attachments[i].getName(), route.attachmentNamePattern)) {
+      attachmentIndex = i;
+      break;
+    }
+  }
+  
+  if (attachmentIndex === -1) {
+    throw ErrorHandler_createError(
+      context + ': No attachment matches ' + route.attachmentNamePattern,
+      ERROR_CODES.ATTACHMENT_NOT_FOUND,
+      {
+        sheetName: route.sheetName,
+        attachmentNames: attachments.map(function(att) { return att.getName(); })
+      }
+    );
+  }
+  
+  var attachment = attachments[attachmentIndex];
+  var attachmentFormat = EmailService_detectAttachmentFormat(attachment);
+  
+  if (!workbooks[attachmentIndex]) {
+    workbooks[attachmentIndex] = ParserService_parseWorkbook(attachment, attachmentFormat, config, context);
+  }
+  
+  var tab = ParserService_getTab(workbooks[attachmentIndex], route.tab, context);
+  
+  // Row 1 of the tab is the header until the stripLayout step finds the real one
+  var pipeline = PipelineService_run(route.pipeline || CONFIG.PIPELINE.emailSteps, {
+    header: tab.values.length > 0 ? tab.values[0] : [],
+    rows: tab.values.slice(1)
+  }, {
+    options: route,
+    spreadsheetId: CONFIG.SPREADSHEETS.MAIN,
+    sheetName: route.sheetName,
+    range: route.rangeToClear,
+    context: context
+  });
+  
+  var diagnostics = pipeline.diagnostics;
+  var routeData = {
+    attachment: attachment,
+    attachmentFormat: attachmentFormat,
+    tab: tab.name,
+    header: pipeline.header,
+    rows: pipeline.rows,
+    numberFormats: pipeline.numberFormats,
+    layoutRemoved: diagnostics.stripLayout,
+    unmappedColumns: diagnostics.mapColumns && diagnostics.mapColumns.unmappedColumns,
+    normalization: diagnostics.normalize,
+    rowFilter: diagnostics.filterRows,
+    duplicates: diagnostics.dedupe,
+    pipeline: PipelineService_summarize(pipeline)
+  };
+  
+  // The schema contract is checked on whatever the pipeline produced
+  var schema = SchemaService_getSchema(route.sheetName);
+  if (schema) {
+    var schemaCheck = SchemaService_validate(routeData.header, routeData.rows, schema, context);
+    if (schemaCheck.warnings.length > 0) {
+      AppLogger_warn('Report does not match the dataset schema', {
+        sheetName: route.sheetName,
+        schemaVersion: schemaCheck.version,
+        warnings: schemaCheck.warnings,
+        context: context
+      });
+    }
+    routeData.schemaVersion = schemaCheck.version;
+    routeData.schemaWarnings = schemaCheck.warnings;
+  }
+  
+  return routeData;
+}
+
+/**
+ * Refuses an email that is older than the configuration's maxAgeHours.
+ * @private
+ * @param {Object} config - The email configuration object.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The email to check.
+ * @param {string} context - Context for error messages.
+ * @returns {number} Age of the email in hours.
+ * @throws {Error} With code STALE_REPORT if the email is too old.
+ */
+function EmailProcessor__checkFreshness(config, message, context) {
+  var ageHours = DateUtils_getAgeInHours(message.getDate());
+  
+  if (config.maxAgeHours && ageHours > config.maxAgeHours) {
+    throw ErrorHandler_createError(
+      context + ': Latest email is ' + ageHours + ' hours old (maximum ' + config.maxAgeHours + ')',
+      ERROR_CODES.STALE_REPORT,
+      {
+        sheetName: Config_getEmailConfigName(config),
+        source: Config_getEmailSource(config).description,
+        emailDate: message.getDate(),
+        emailSubject: message.getSubject(),
+        ageHours: ageHours,
+        maxAgeHours: config.maxAgeHours
+      }
+    );
+  }
+  
+  return ageHours;
+}
+
+/**
+ * Builds the result returned when an already-processed email is skipped.
+ * @private
+ * @param {Object} config - The email configuration object.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The skipped email.
+ * @param {string} attachmentNames - Comma-separated names of the skipped attachments.
+ * @param {string} attachmentHash - SHA-256 hex digest of the attachments.
+ * @param {LedgerEntry} ledgerEntry - The matching ledger entry.
+ * @returns {Object} Skipped processing result.
+ */
+function EmailProcessor__createSkippedResult(config, message, attachmentNames, attachmentHash, ledgerEntry) {
+  return {
+    skipped: 'already-processed',
+    sheetName: Config_getEmailConfigName(config),
+    rowsInserted: 0,
+    timestamp: DateUtils_getCurrentTimestamp(),
+    emailSubject: message.getSubject(),
+    emailDate: message.getDate(),
+    attachmentName: attachmentNames,
+    attachmentHash: attachmentHash,
+    messageId: message.getId(),
+    previouslyProcessedAt: ledgerEntry.processedAt,
+    label: config.label,
+    query: config.query
+  };
+}
+
 /**
  * Validates all email configurations before processing.
  * @private
@@ -184,8 +650,8 @@ function EmailProcessor__validateAllConfigurations() {
     try {
       Validators_validateEmailConfig(config, 'CONFIG.EMAIL_CONFIGS[' + index + ']');
       
-      // Check if Gmail label exists
-      if (!EmailService_labelExists(config.label)) {
+      // Check if Gmail label exists (search queries need no label)
+      if (Config_getEmailSource(config).type === 'label' && !EmailService_labelExists(config.label)) {
         throw ErrorHandler_createError(
           'Gmail label does not exist: ' + config.label,
           ERROR_CODES.LABEL_NOT_FOUND,
@@ -207,7 +673,12 @@ function EmailProcessor__validateAllConfigurations() {
   });
   
   // Validate that all target sheets exist
-  var requiredSheets = CONFIG.EMAIL_CONFIGS.map(function(config) { return config.sheetName; });
+  var requiredSheets = [];
+  CONFIG.EMAIL_CONFIGS.forEach(function(config) {
+    Config_getEmailConfigRoutes(config).forEach(function(route) {
+      requiredSheets.push(route.sheetName);
+    });
+  });
   SheetService_validateRequiredSheets(
     CONFIG.SPREADSHEETS.MAIN,
     requiredSheets,
@@ -233,14 +704,24 @@ function EmailProcessor_getProcessingStatus() {
     
     CONFIG.EMAIL_CONFIGS.forEach(function(config, index) {
       try {
+        var source = Config_getEmailSource(config);
+        var latestEmailDate = EmailService_getLatestEmailDate(source, config);
+        var latestEmailAgeHours = latestEmailDate ? DateUtils_getAgeInHours(latestEmailDate) : null;
+        
         var configStatus = {
           index: index,
-          sheetName: config.sheetName,
+          sheetName: Config_getEmailConfigName(config),
+          sourceType: source.type,
           label: config.label,
-          labelExists: EmailService_labelExists(config.label),
-          emailCount: EmailService_getEmailCountByLabel(config.label),
-          latestEmailDate: EmailService_getLatestEmailDate(config.label),
-          rangeToClear: config.rangeToClear
+          query: config.query,
+          labelExists: EmailService_sourceExists(source),
+          emailCount: EmailService_getEmailCount(source),
+          latestEmailDate: latestEmailDate,
+          latestEmailAgeHours: latestEmailAgeHours,
+          maxAgeHours: config.maxAgeHours || null,
+          isStale: !!(config.maxAgeHours && latestEmailAgeHours !== null && latestEmailAgeHours > config.maxAgeHours),
+          rangeToClear: config.rangeToClear,
+          routes: Config_getEmailConfigRoutes(config)
         };
         
         status.configurations.push(configStatus);
@@ -248,8 +729,9 @@ function EmailProcessor_getProcessingStatus() {
       } catch (error) {
         status.configurations.push({
           index: index,
-          sheetName: config.sheetName,
+          sheetName: Config_getEmailConfigName(config),
           label: config.label,
+          query: config.query,
           error: error.message
         });
       }
@@ -265,45 +747,216 @@ function EmailProcessor_getProcessingStatus() {
 
 /**
  * Processes emails by specific label (for individual testing).
- * @param {string} labelName - The Gmail label to process.
+ * Search-query configurations have no label and are found by their configuration
+ * name (id or sheetName) instead.
+ * @param {string} labelName - The Gmail label or configuration name to process.
+ * @param {Object} [options] - Processing options (see EmailProcessor_processSingleConfig).
  * @returns {Object} Processing result.
  * @throws {Error} If processing fails.
  */
-function EmailProcessor_processSpecificLabel(labelName) {
+function EmailProcessor_processSpecificLabel(labelName, options) {
   try {
     AppLogger_operationStart('processSpecificLabel', { labelName: labelName });
     
     // Find the configuration for this label
-    var config = null;
-    for (var i = 0; i < CONFIG.EMAIL_CONFIGS.length; i++) {
-      if (CONFIG.EMAIL_CONFIGS[i].label === labelName) {
-        config = CONFIG.EMAIL_CONFIGS[i];
-        break;
-      }
+    var config = EmailProcessor_findConfig(labelName);
+    
+    var result = EmailProcessor_processSingleConfig(config, 'processSpecificLabel_' + labelName, options);
+    
+    AppLogger_operationSuccess('processSpecificLabel', result);
+    return result;
+    
+  } catch (error) {
+    AppLogger_operationFailure('processSpecificLabel', error, { labelName: labelName });
+    throw error;
+  }
+}
+
+/**
+ * Finds the email configuration for a Gmail label or configuration name.
+ * @param {string} labelName - The Gmail label, or the configuration name (id or sheetName).
+ * @returns {Object} The email configuration.
+ * @throws {Error} If no configuration matches.
+ */
+function EmailProcessor_findConfig(labelName) {
+  for (var i = 0; i < CONFIG.EMAIL_CONFIGS.length; i++) {
+    if (CONFIG.EMAIL_CONFIGS[i].label === labelName ||
+        Config_getEmailConfigName(CONFIG.EMAIL_CONFIGS[i]) === labelName) {
+      return CONFIG.EMAIL_CONFIGS[i];
     }
+  }
+  
+  throw ErrorHandler_createError(
+    'No configuration found for label: ' + labelName,
+    ERROR_CODES.MISSING_PARAMETERS,
+    { 
+      labelName: labelName, 
+      availableLabels: CONFIG.EMAIL_CONFIGS.map(function(c) { return c.label || Config_getEmailConfigName(c); })
+    }
+  );
+}
+
+/**
+ * Rebuilds a sheet from the raw archive: the report attachments archived for the
+ * given day go through the same parse and sheet update path as a normal import
+ * (EmailProcessor__processRoutes). The run is recorded in the ingestion ledger as
+ * a replay and the result carries `replay: true`.
+ * @param {string} sheetName - The sheet to rebuild: a route's sheet name, or a
+ *   configuration name (id or sheetName) to rebuild all of its routes.
+ * @param {string} date - The report day to replay (yyyy-MM-dd).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Object} Processing result with metadata.
+ * @throws {Error} If no configuration writes the sheet, nothing was archived that day, or the import fails.
+ */
+function EmailProcessor_replayFromArchive(sheetName, date, context) {
+  context = context || 'replayFromArchive';
+  var timer = AppLogger_startTimer('replayFromArchive_' + sheetName);
+  
+  try {
+    AppLogger_operationStart('replayFromArchive', { sheetName: sheetName, date: date, context: context });
+    
+    Validators_validateDay(date, context + '.date');
+    var target = EmailProcessor__findReplayTarget(sheetName);
+    var configName = Config_getEmailConfigName(target.config);
     
-    if (!config) {
+    var report = ArchiveService_findArchivedReport(configName, date);
+    if (!report) {
       throw ErrorHandler_createError(
-        'No configuration found for label: ' + labelName,
-        ERROR_CODES.MISSING_PARAMETERS,
-        { 
-          labelName: labelName, 
-          availableLabels: CONFIG.EMAIL_CONFIGS.map(function(c) { return c.label; })
-        }
+        context + ': No archived report for ' + configName + ' on ' + date,
+        ERROR_CODES.ATTACHMENT_NOT_FOUND,
+        { sheetName: sheetName, date: date, folder: CONFIG.RAW_ARCHIVE.rootFolderName + '/' + configName + '/' + date.substring(0, 4) }
       );
     }
     
-    var result = EmailProcessor_processSingleConfig(config, 'processSpecificLabel_' + labelName);
+    var attachmentNames = report.attachments.map(function(att) { return att.getName(); }).join(', ');
+    var attachmentHash = LedgerService_computeHash(report.attachments);
+    var run = {
+      runId: Utilities.getUuid(),
+      messageId: report.messageId,
+      emailDate: report.emailDate,
+      attachmentName: attachmentNames,
+      replay: true
+    };
+    var routeResults = EmailProcessor__processRoutes(target.config, target.routes, report.attachments, context, run);
     
-    AppLogger_operationSuccess('processSpecificLabel', result);
+    var result = {
+      sheetName: configName,
+      rowsInserted: routeResults.reduce(function(sum, r) { return sum + r.rowsInserted; }, 0),
+      timestamp: DateUtils_getCurrentTimestamp(),
+      runId: run.runId,
+      replay: true,
+      replayDate: date,
+      emailDate: report.emailDate,
+      attachmentName: attachmentNames,
+      attachmentHash: attachmentHash,
+      messageId: report.messageId,
+      archivedFiles: report.paths,
+      routes: routeResults,
+      changes: EmailProcessor__sumChanges(routeResults)
+    };
+    EmailProcessor__mergeSingleRoute(result, routeResults);
+    
+    LedgerService_record(LedgerService_getConfigKey(target.config), {
+      messageId: report.messageId,
+      attachmentHash: attachmentHash,
+      attachmentName: attachmentNames,
+      emailDate: report.emailDate,
+      replay: true
+    });
+    
+    AppLogger_operationSuccess('replayFromArchive', result, timer.stop());
     return result;
     
   } catch (error) {
-    AppLogger_operationFailure('processSpecificLabel', error, { labelName: labelName });
+    timer.stop();
+    AppLogger_operationFailure('replayFromArchive', error, { sheetName: sheetName, date: date, context: context });
     throw error;
   }
 }
 
+/**
+ * Finds the email configuration and routes that write a sheet.
+ * @private
+ * @param {string} sheetName - A route's sheet name, or a configuration name or label.
+ * @returns {{config: Object, routes: Array<Object>}} The configuration and the routes to replay.
+ * @throws {Error} If no configuration writes the sheet.
+ */
+function EmailProcessor__findReplayTarget(sheetName) {
+  for (var i = 0; i < CONFIG.EMAIL_CONFIGS.length; i++) {
+    var config = CONFIG.EMAIL_CONFIGS[i];
+    var routes = Config_getEmailConfigRoutes(config);
+    
+    if (config.label === sheetName || Config_getEmailConfigName(config) === sheetName) {
+      return { config: config, routes: routes };
+    }
+    
+    var matching = routes.filter(function(route) { return route.sheetName === sheetName; });
+    if (matching.length > 0) {
+      return { config: config, routes: matching };
+    }
+  }
+  
+  throw ErrorHandler_createError(
+    'No email configuration writes to sheet: ' + sheetName,
+    ERROR_CODES.MISSING_PARAMETERS,
+    { sheetName: sheetName, availableSheets: EmailProcessor__getReplaySheetNames() }
+  );
+}
+
+/**
+ * Lists the sheets written by the email configurations, in configuration order.
+ * @private
+ * @returns {Array<string>} Sheet names.
+ */
+function EmailProcessor__getReplaySheetNames() {
+  var names = [];
+  CONFIG.EMAIL_CONFIGS.forEach(function(config) {
+    Config_getEmailConfigRoutes(config).forEach(function(route) {
+      if (names.indexOf(route.sheetName) === -1) {
+        names.push(route.sheetName);
+      }
+    });
+  });
+  return names;
+}
+
+/**
+ * Creates the HTML for the replay dialog: a sheet picker, a date picker and a
+ * button that calls replayFromArchive.
+ * @returns {string} HTML content for the dialog.
+ */
+function EmailProcessor_createReplayDialogContent() {
+  var today = DateUtils_formatDate(new Date(), 'yyyy-MM-dd');
+  var options = EmailProcessor__getReplaySheetNames().map(function(name) {
+    return '<option>' + Utils_escapeHtml(name) + '</option>';
+  }).join('');
+  
+  return '<div style="font-family: Arial, sans-serif; font-size: 14px;">' +
+         '<p>Rebuild a sheet from the report archived on a given day.</p>' +
+         '<p><label>Sheet<br><select id="sheet">' + options + '</select></label></p>' +
+         '<p><label>Report date<br><input type="date" id="date" value="' + today + '" max="' + today + '"></label></p>' +
+         '<p><button id="run" onclick="replay()">Replay</button> <span id="status"></span></p>' +
+         '</div>' +
+         '<script>' +
+         'function replay() {' +
+         '  var button = document.getElementById("run");' +
+         '  var status = document.getElementById("status");' +
+         '  button.disabled = true;' +
+         '  status.textContent = "Replaying...";' +
+         '  google.script.run' +
+         '    .withSuccessHandler(function(result) {' +
+         '      status.textContent = "Done: " + result.rowsInserted + " rows written.";' +
+         '      button.disabled = false;' +
+         '    })' +
+         '    .withFailureHandler(function(error) {' +
+         '      status.textContent = "Failed: " + error.message;' +
+         '      button.disabled = false;' +
+         '    })' +
+         '    .replayFromArchive(document.getElementById("sheet").value, document.getElementById("date").value);' +
+         '}' +
+         '</script>';
+}
+
 /**
  * Dry run processing to validate configurations without making changes.
  * @returns {Object} Validation results.
@@ -321,10 +974,13 @@ function EmailProcessor_dryRun() {
     };
     
     CONFIG.EMAIL_CONFIGS.forEach(function(config, index) {
+      var source = Config_getEmailSource(config);
       var configResult = {
         index: index,
-        sheetName: config.sheetName,
+        sheetName: Config_getEmailConfigName(config),
+        sourceType: source.type,
         label: config.label,
+        query: config.query,
         valid: true,
         checks: {}
       };
@@ -334,18 +990,46 @@ function EmailProcessor_dryRun() {
         Validators_validateEmailConfig(config, 'dryRun.config[' + index + ']');
         configResult.checks.configStructure = 'PASS';
         
-        // Check if label exists
-        configResult.checks.labelExists = EmailService_labelExists(config.label) ? 'PASS' : 'FAIL';
-        if (configResult.checks.labelExists === 'FAIL') {
-          configResult.valid = false;
-          results.errors.push('Label does not exist: ' + config.label);
+        // Check if label exists (search queries need no label)
+        if (source.type === 'query') {
+          configResult.checks.labelExists = 'SKIP';
+        } else {
+          configResult.checks.labelExists = EmailService_labelExists(config.label) ? 'PASS' : 'FAIL';
+          if (configResult.checks.labelExists === 'FAIL') {
+            configResult.valid = false;
+            results.errors.push('Label does not exist: ' + config.label);
+          }
         }
         
         // Check if emails exist
-        var emailCount = EmailService_getEmailCountByLabel(config.label);
+        var emailCount = EmailService_getEmailCount(source);
         configResult.checks.hasEmails = emailCount > 0 ? 'PASS' : 'WARN';
         if (configResult.checks.hasEmails === 'WARN') {
-          results.warnings.push('No emails found for label: ' + config.label);
+          results.warnings.push('No emails found for ' + source.description);
+        }
+        
+        // Check the age of the latest email
+        var latestEmailDate = emailCount > 0 ? EmailService_getLatestEmailDate(source, config) : null;
+        configResult.latestEmailAgeHours = latestEmailDate ? DateUtils_getAgeInHours(latestEmailDate) : null;
+        if (!config.maxAgeHours || configResult.latestEmailAgeHours === null) {
+          configResult.checks.freshness = 'SKIP';
+        } else if (configResult.latestEmailAgeHours > config.maxAgeHours) {
+          configResult.checks.freshness = 'WARN';
+          results.warnings.push('Latest email for ' + configResult.sheetName + ' is ' +
+            configResult.latestEmailAgeHours + ' hours old (maximum ' + config.maxAgeHours + ')');
+        } else {
+          configResult.checks.freshness = 'PASS';
+        }
+        
+        // Check that some email satisfies the subject/sender/filename rules
+        if (!EmailService_hasMatchRules(config) || emailCount === 0) {
+          configResult.checks.matchRules = 'SKIP';
+        } else if (latestEmailDate) {
+          configResult.checks.matchRules = 'PASS';
+        } else {
+          configResult.checks.matchRules = 'WARN';
+          results.warnings.push('No email for ' + source.description + ' matches the rules of ' +
+            configResult.sheetName);
         }
         
         // Check range format
@@ -354,7 +1038,7 @@ function EmailProcessor_dryRun() {
       } catch (error) {
         configResult.valid = false;
         configResult.error = error.message;
-        results.errors.push('Config ' + index + ' (' + config.sheetName + '): ' + error.message);
+        results.errors.push('Config ' + index + ' (' + configResult.sheetName + '): ' + error.message);
       }
       
       if (!configResult.valid) {
@@ -388,5 +1072,18 @@ var EmailProcessor = {
   getProcessingStatus: EmailProcessor_getProcessingStatus,
   processSpecificLabel: EmailProcessor_processSpecificLabel,
   dryRun: EmailProcessor_dryRun,
-  _validateAllConfigurations: EmailProcessor__validateAllConfigurations
+  findConfig: EmailProcessor_findConfig,
+  readRoute: EmailProcessor_readRoute,
+  replayFromArchive: EmailProcessor_replayFromArchive,
+  createReplayDialogContent: EmailProcessor_createReplayDialogContent,
+  _processRoutes: EmailProcessor__processRoutes,
+  _mergeSingleRoute: EmailProcessor__mergeSingleRoute,
+  _sumChanges: EmailProcessor__sumChanges,
+  _diffRoute: EmailProcessor__diffRoute,
+  _processRoute: EmailProcessor__processRoute,
+  _checkFreshness: EmailProcessor__checkFreshness,
+  _createSkippedResult: EmailProcessor__createSkippedResult,
+  _validateAllConfigurations: EmailProcessor__validateAllConfigurations,
+  _findReplayTarget: EmailProcessor__findReplayTarget,
+  _getReplaySheetNames: EmailProcessor__getReplaySheetNames
 };
@@ -0,0 +1,287 @@
+/**
+ * Raw Archive Service for DataLake Project
+ * Keeps an untouched copy of every ingested report attachment in Google Drive under
+ * "DataLake Raw/<sheetName>/<yyyy>/<yyyy-MM-dd>_<filename>", with the Gmail message
+ * ID and SHA-256 hash in the file description, and trashes copies older than the
+ * retention period.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Raw-zone archive service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} ArchiveMetadata
+ * Stored as JSON in the description of each archived file.
+ * @property {string} messageId - Gmail message ID of the report email.
+ * @property {string} sha256 - SHA-256 hex digest of the attachment.
+ * @property {string} emailDate - ISO date the email was received.
+ * @property {string} emailSubject - Subject of the report email.
+ * @property {string} archivedAt - ISO timestamp of the archive.
+ */
+
+/**
+ * Checks whether raw archiving is on for an email configuration.
+ * @param {Object} config - The email configuration object.
+ * @returns {boolean} True if attachments should be archived.
+ */
+function ArchiveService_isEnabled(config) {
+  return config.archiveRaw !== undefined ? config.archiveRaw === true : CONFIG.RAW_ARCHIVE.enabled === true;
+}
+
+/**
+ * Archives the report attachments of an email. Failures are logged and never fail
+ * the import.
+ * @param {Array<GoogleAppsScript.Base.Blob>} attachments - The report attachments.
+ * @param {Object} config - The email configuration object.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The report email.
+ * @param {string} [context] - Context for log messages.
+ * @returns {Array<Object>} One entry per attachment with fileId and path, or error.
+ */
+function ArchiveService_archiveAttachments(attachments, config, message, context) {
+  var datasetName = Config_getEmailConfigName(config);
+  
+  return attachments.map(function(attachment) {
+    try {
+      return ArchiveService_archiveAttachment(attachment, datasetName, message, context);
+    } catch (error) {
+      AppLogger_warn('Raw archive failed', {
+        sheetName: datasetName,
+        attachmentName: attachment.getName(),
+        error: error.message,
+        context: context
+      });
+      return { attachmentName: attachment.getName(), error: error.message };
+    }
+  });
+}
+
+/**
+ * Stores a copy of one attachment in the raw archive. If the same file (same name
+ * and hash) is already archived for that day, the existing copy is kept.
+ * @param {GoogleAppsScript.Base.Blob} attachment - The report attachment.
+ * @param {string} datasetName - Dataset folder name (the configuration's sheet name).
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The report email.
+ * @param {string} [context] - Context for error messages.
+ * @returns {{fileId: string, path: string, attachmentName: string, alreadyArchived: boolean}} The archived file.
+ * @throws {Error} If the file cannot be created.
+ */
+function ArchiveService_archiveAttachment(attachment, datasetName, message, context) {
+  context = context || 'Raw archive';
+  var emailDate = message.getDate();
+  var day = DateUtils_formatDate(emailDate, 'yyyy-MM-dd');
+  var fileName = day + '_' + attachment.getName();
+  var hash = LedgerService_computeHash(attachment);
+  
+  var folder = ArchiveService__getFolder([datasetName, day.substring(0, 4)], true);
+  var path = CONFIG.RAW_ARCHIVE.rootFolderName + '/' + datasetName + '/' + day.substring(0, 4) + '/' + fileName;
+  
+  var existing = folder.getFilesByName(fileName);
+  while (existing.hasNext()) {
+    var existingFile = existing.next();
+    var metadata = ArchiveService_readMetadata(existingFile);
+    if (metadata && metadata.sha256 === hash) {
+      AppLogger_debug('Attachment already archived', { path: path, fileId: existingFile.getId() });
+      return { fileId: existingFile.getId(), path: path, attachmentName: attachment.getName(), alreadyArchived: true };
+    }
+  }
+  
+  try {
+    var file = folder.createFile(attachment.copyBlob().setName(fileName));
+    file.setDescription(JSON.stringify({
+      messageId: message.getId(),
+      sha256: hash,
+      emailDate: emailDate.toISOString(),
+      emailSubject: message.getSubject(),
+      archivedAt: DateUtils_getCurrentTimestamp()
+    }));
+    
+    AppLogger_info('Attachment archived', { path: path, fileId: file.getId(), messageId: message.getId() });
+    return { fileId: file.getId(), path: path, attachmentName: attachment.getName(), alreadyArchived: false };
+    
+  } catch (error) {
+    throw ErrorHandler_createError(
+      context + ': Failed to archive attachment ' + attachment.getName(),
+      ERROR_CODES.FILE_PROCESSING_ERROR,
+      { path: path, originalError: error.message }
+    );
+  }
+}
+
+/**
+ * Reads the archive metadata of an archived file.
+ * @param {GoogleAppsScript.Drive.File} file - An archived file.
+ * @returns {ArchiveMetadata|null} The metadata, or null if the description is not archive metadata.
+ */
+function ArchiveService_readMetadata(file) {
+  try {
+    var metadata = JSON.parse(file.getDescription() || '');
+    return metadata && typeof metadata === 'object' ? metadata : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the archived attachments of a dataset's report for one day. If several
+ * report emails were archived that day, the attachments of the newest one are
+ * returned.
+ * @param {string} datasetName - Dataset folder name (the configuration's sheet name).
+ * @param {string} day - The report day (yyyy-MM-dd).
+ * @returns {{messageId: string, emailDate: string, attachments: Array<GoogleAppsScript.Base.Blob>, paths: Array<string>}|null}
+ *   The archived report, with the attachments under their original names, or null if none was archived that day.
+ */
+function ArchiveService_findArchivedReport(datasetName, day) {
+  var yearPath = [datasetName, day.substring(0, 4)];
+  var folder = ArchiveService__getFolder(yearPath, false);
+  if (!folder) {
+    return null;
+  }
+  
+  var reports = {};
+  var newest = null;
+  var files = folder.getFiles();
+  while (files.hasNext()) {
+    var file = files.next();
+    if (file.getName().indexOf(day + '_') !== 0) {
+      continue;
+    }
+    
+    var metadata = ArchiveService_readMetadata(file) || {};
+    var messageId = metadata.messageId || '';
+    if (!reports[messageId]) {
+      reports[messageId] = { messageId: messageId, emailDate: metadata.emailDate || '', files: [] };
+    }
+    reports[messageId].files.push(file);
+    
+    // ISO dates sort chronologically as strings
+    if (!newest || reports[messageId].emailDate > newest.emailDate) {
+      newest = reports[messageId];
+    }
+  }
+  
+  if (!newest) {
+    return null;
+  }
+  
+  return {
+    messageId: newest.messageId,
+    emailDate: newest.emailDate,
+    attachments: newest.files.map(function(file) {
+      return file.getBlob().setName(file.getName().substring(day.length + 1));
+    }),
+    paths: newest.files.map(function(file) {
+      return [CONFIG.RAW_ARCHIVE.rootFolderName].concat(yearPath, file.getName()).join('/');
+    })
+  };
+}
+
+/**
+ * Moves archived files older than the retention period to the trash. A file's age
+ * is taken from the yyyy-MM-dd prefix of its name (the day the report was sent).
+ * @param {number} [retentionDays=CONFIG.RAW_ARCHIVE.retentionDays] - Age in days after which files are trashed.
+ * @returns {{cutoffDate: string, trashed: number}} Purge summary.
+ * @throws {Error} If the retention period is invalid.
+ */
+function ArchiveService_purgeExpired(retentionDays) {
+  retentionDays = retentionDays === undefined ? CONFIG.RAW_ARCHIVE.retentionDays : retentionDays;
+  var timer = AppLogger_startTimer('purgeRawArchive');
+  
+  try {
+    if (typeof retentionDays !== 'number' || !(retentionDays >= 1) || Math.floor(retentionDays) !== retentionDays) {
+      throw ErrorHandler_createError(
+        'purgeRawArchive: Retention must be a whole number of days (at least 1)',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: retentionDays }
+      );
+    }
+    
+    var cutoffDate = DateUtils_formatDate(DateUtils_addDays(new Date(), -retentionDays), 'yyyy-MM-dd');
+    AppLogger_operationStart('purgeRawArchive', { cutoffDate: cutoffDate, retentionDays: retentionDays });
+    
+    var trashed = 0;
+    var root = ArchiveService__getFolder([], false);
+    if (root) {
+      ArchiveService__eachFolder(root, function(datasetFolder) {
+        ArchiveService__eachFolder(datasetFolder, function(yearFolder) {
+          // Whole years after the cutoff cannot hold expired files
+          if (yearFolder.getName() > cutoffDate.substring(0, 4)) {
+            return;
+          }
+          var files = yearFolder.getFiles();
+          while (files.hasNext()) {
+            var file = files.next();
+            var day = file.getName().substring(0, 10);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(day) && day < cutoffDate) {
+              file.setTrashed(true);
+              trashed++;
+            }
+          }
+        });
+      });
+    }
+    
+    var summary = { cutoffDate: cutoffDate, trashed: trashed };
+    AppLogger_operationSuccess('purgeRawArchive', summary, timer.stop());
+    return summary;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('purgeRawArchive', error, { retentionDays: retentionDays });
+    throw error;
+  }
+}
+
+/**
+ * Gets a folder below the archive root folder (in My Drive).
+ * @private
+ * @param {Array<string>} names - Folder names below the root, e.g. ['Schedules', '2026'].
+ * @param {boolean} create - Create missing folders.
+ * @returns {GoogleAppsScript.Drive.Folder|null} The folder, or null if it does not exist.
+ */
+function ArchiveService__getFolder(names, create) {
+  var folder = DriveApp.getRootFolder();
+  var path = [CONFIG.RAW_ARCHIVE.rootFolderName].concat(names);
+  
+  for (var i = 0; i < path.length; i++) {
+    var matches = folder.getFoldersByName(path[i]);
+    if (matches.hasNext()) {
+      folder = matches.next();
+    } else if (create) {
+      folder = folder.createFolder(path[i]);
+    } else {
+      return null;
+    }
+  }
+  
+  return folder;
+}
+
+/**
+ * Calls a function for each subfolder of a folder.
+ * @private
+ * @param {GoogleAppsScript.Drive.Folder} folder - The parent folder.
+ * @param {function(GoogleAppsScript.Drive.Folder): void} fn - Called for each subfolder.
+ * @returns {void}
+ */
+function ArchiveService__eachFolder(folder, fn) {
+  var folders = folder.getFolders();
+  while (folders.hasNext()) {
+    fn(folders.next());
+  }
+}
+
+/**
+ * ArchiveService object for backward compatibility and easier access.
+ * @namespace ArchiveService
+ */
+var ArchiveService = {
+  isEnabled: ArchiveService_isEnabled,
+  archiveAttachments: ArchiveService_archiveAttachments,
+  archiveAttachment: ArchiveService_archiveAttachment,
+  readMetadata: ArchiveService_readMetadata,
+  findArchivedReport: ArchiveService_findArchivedReport,
+  purgeExpired: ArchiveService_purgeExpired,
+  _getFolder: ArchiveService__getFolder,
+  _eachFolder: ArchiveService__eachFolder
+};
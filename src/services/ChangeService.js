@@ -0,0 +1,285 @@
+/**
+ * Change Capture Service for DataLake Project
+ * Records which rows an import changes. Before a dataset with trackChanges is
+ * written, its current rows are compared with the imported rows by primary key:
+ * new keys are "added", keys no longer in the report are "removed" (or "flagged" or
+ * kept, for upserts that keep them), and keys whose cells differ are "changed", with
+ * each changed field's value before and after.
+ * The changes are appended to the CHANGE_LOG.sheetName sheet of the main
+ * spreadsheet, so staff can see which students changed schedules, contact info or
+ * enrollment status since the last import.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Change-data-capture service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} ChangeDiff
+ * @property {Array<Object>} changes - One entry per added, removed, newly flagged or
+ *   changed row: {type, key, row} for "added", "removed" and "flagged", {type, key,
+ *   fields} for "changed", where fields is a list of {field, before, after}.
+ * @property {Object} counts - added, removed, flagged, kept, changed, unchanged and
+ *   unkeyed rows.
+ * @property {boolean} baseline - True if the sheet had no rows, so every row is new.
+ */
+
+/**
+ * Header of the change log sheet.
+ */
+var CHANGE_LOG_HEADER = ['detected_at', 'dataset', 'primary_key', 'change', 'field', 'before', 'after', 'run_id'];
+
+/**
+ * Compares a dataset's current rows with the rows about to replace them. Rows are
+ * matched by primary key (numeric text matching the number Sheets stored, see
+ * UpsertService_getKey); a key found on several rows is matched occurrence by
+ * occurrence. Cells compare as in UpsertService_sameValue, column by column up to the
+ * width of the header. Rows whose key cells are all empty are counted as unkeyed and
+ * not compared. Current rows missing from the new rows are removed, unless an upsert
+ * keeps them: with onMissing "keep" they are only counted as kept, and with "flag"
+ * they are counted as flagged and logged once, when they are first flagged.
+ * @param {Array<any>} header - The header row of the new rows.
+ * @param {Array<Array<any>>} previousRows - The sheet's current data rows.
+ * @param {Array<Array<any>>} rows - The new rows.
+ * @param {Array<string>} primaryKey - Header names of the key columns.
+ * @param {string} [context] - Context for error messages.
+ * @param {Object} [options] - How the rows will be written.
+ * @param {string} [options.writeMode="replace"] - One of WRITE_MODES.
+ * @param {string} [options.onMissing="delete"] - Upsert only: one of UPSERT_MISSING_POLICIES.
+ * @param {number} [options.flagIndex=-1] - Column of the flag (UPSERT.flagColumnName)
+ *   in previousRows, so rows flagged by an earlier import are not logged again.
+ * @returns {ChangeDiff} The differences.
+ * @throws {Error} With code DUPLICATE_KEY if a key column is not in the header.
+ */
+function ChangeService_diff(header, previousRows, rows, primaryKey, context, options) {
+  context = context || 'Change capture';
+  options = options || {};
+  var onMissing = options.writeMode === 'upsert' ? options.onMissing || 'delete' : 'delete';
+  var flagIndex = options.flagIndex !== undefined ? options.flagIndex : -1;
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  var indexes = primaryKey.map(function(column) { return names.indexOf(column); });
+  var missing = primaryKey.filter(function(column, i) { return indexes[i] === -1; });
+  if (missing.length > 0) {
+    throw ErrorHandler_createError(
+      context + ': Primary key column(s) ' + missing.join(', ') + ' not in the header',
+      ERROR_CODES.DUPLICATE_KEY,
+      { primaryKey: primaryKey, missingColumns: missing, header: names }
+    );
+  }
+  
+  var counts = { added: 0, removed: 0, flagged: 0, kept: 0, changed: 0, unchanged: 0, unkeyed: 0 };
+  var changes = [];
+  
+  // Current rows of every key, in sheet order
+  var previous = {};
+  previousRows.forEach(function(row) {
+    var key = UpsertService_getKey(row, indexes);
+    if (key === null) {
+      counts.unkeyed++;
+      return;
+    }
+    if (!previous.hasOwnProperty(key)) {
+      previous[key] = [];
+    }
+    previous[key].push(row);
+  });
+  
+  rows.forEach(function(row) {
+    var key = UpsertService_getKey(row, indexes);
+    if (key === null) {
+      counts.unkeyed++;
+      return;
+    }
+    
+    var before = previous.hasOwnProperty(key) ? previous[key].shift() : undefined;
+    if (before === undefined) {
+      counts.added++;
+      changes.push({ type: 'added', key: ChangeService__formatKey(row, indexes), row: row.slice(0, names.length) });
+      return;
+    }
+    
+    var fields = [];
+    names.forEach(function(name, index) {
+      if (!UpsertService_sameValue(before[index], row[index])) {
+        fields.push({
+          field: name || ChangeService__columnLetter(index),
+          before: before[index] === undefined ? '' : before[index],
+          after: row[index] === undefined ? '' : row[index]
+        });
+      }
+    });
+    
+    if (fields.length > 0) {
+      counts.changed++;
+      changes.push({ type: 'changed', key: ChangeService__formatKey(row, indexes), fields: fields });
+    } else {
+      counts.unchanged++;
+    }
+  });
+  
+  // Current rows left over are gone from the sheet, or stay on it for keep and flag
+  Object.keys(previous).forEach(function(key) {
+    previous[key].forEach(function(row) {
+      if (onMissing === 'keep') {
+        counts.kept++;
+        return;
+      }
+      if (onMissing === 'flag') {
+        counts.flagged++;
+        if (flagIndex === -1 || UpsertService_sameValue(row[flagIndex], '')) {
+          changes.push({ type: 'flagged', key: ChangeService__formatKey(row, indexes), row: row.slice(0, names.length) });
+        }
+        return;
+      }
+      counts.removed++;
+      changes.push({ type: 'removed', key: ChangeService__formatKey(row, indexes), row: row.slice(0, names.length) });
+    });
+  });
+  
+  return {
+    changes: changes,
+    counts: counts,
+    baseline: previousRows.length === 0
+  };
+}
+
+/**
+ * Appends a diff to the CHANGE_LOG.sheetName sheet: a row per added, removed or
+ * flagged row (the row's values as JSON in "after", or in "before" for removed and
+ * flagged rows) and a row per changed field.
+ * Nothing is logged for a baseline diff (the first import into an empty sheet), and
+ * at most CHANGE_LOG.maxRowsPerImport rows are logged per import. The dataset has
+ * already been written at this point, so a failure is logged and reported in the
+ * summary instead of failing the import.
+ * @param {string} sheetName - The dataset.
+ * @param {Array<any>} header - The header row of the dataset's rows.
+ * @param {ChangeDiff} diff - The diff (see ChangeService_diff).
+ * @param {Object} [run] - The import run (runId).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Object} Summary: the diff's counts, baseline, loggedRows, truncated and
+ *   error (if the rows could not be appended).
+ */
+function ChangeService_record(sheetName, header, diff, run, context) {
+  context = context || 'Change log';
+  run = run || {};
+  var summary = {
+    added: diff.counts.added,
+    removed: diff.counts.removed,
+    flagged: diff.counts.flagged,
+    kept: diff.counts.kept,
+    changed: diff.counts.changed,
+    unchanged: diff.counts.unchanged,
+    unkeyed: diff.counts.unkeyed,
+    baseline: diff.baseline,
+    loggedRows: 0,
+    truncated: false
+  };
+  if (diff.baseline || diff.changes.length === 0) {
+    return summary;
+  }
+  
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  var detectedAt = DateUtils_getCurrentTimestamp();
+  var logRows = [];
+  diff.changes.forEach(function(change) {
+    var prefix = [detectedAt, sheetName, change.key, change.type];
+    if (change.type === 'changed') {
+      change.fields.forEach(function(field) {
+        logRows.push(prefix.concat([field.field, field.before, field.after, run.runId || '']));
+      });
+    } else {
+      var values = ChangeService__describeRow(names, change.row);
+      logRows.push(prefix.concat(change.type === 'added' ? ['', '', values] : ['', values, ''], [run.runId || '']));
+    }
+  });
+  
+  var maxRows = CONFIG.CHANGE_LOG.maxRowsPerImport;
+  if (logRows.length > maxRows) {
+    summary.truncated = true;
+    AppLogger_warn('Too many changes to log; only the first ones are written', {
+      sheetName: sheetName,
+      changeRows: logRows.length,
+      maxRowsPerImport: maxRows,
+      context: context
+    });
+    logRows = logRows.slice(0, maxRows);
+  }
+  
+  try {
+    SheetService_appendRows(CONFIG.SPREADSHEETS.MAIN, CONFIG.CHANGE_LOG.sheetName, logRows, CHANGE_LOG_HEADER, context);
+    summary.loggedRows = logRows.length;
+  } catch (error) {
+    AppLogger_warn('Change log could not be written; the import itself succeeded', {
+      sheetName: sheetName,
+      changeLogSheet: CONFIG.CHANGE_LOG.sheetName,
+      error: error.message,
+      context: context
+    });
+    summary.error = error.message;
+  }
+  
+  return summary;
+}
+
+/**
+ * Formats the key of a row for the change log, e.g. "1001234 | NAHS".
+ * @private
+ * @param {Array<any>} row - The row.
+ * @param {Array<number>} indexes - Column indexes of the key columns.
+ * @returns {string} The key cells joined with " | ".
+ */
+function ChangeService__formatKey(row, indexes) {
+  return indexes.map(function(index) {
+    var cell = row[index];
+    if (cell instanceof Date) {
+      return DateUtils_formatDate(cell, 'yyyy-MM-dd HH:mm:ss');
+    }
+    return cell === null || cell === undefined ? '' : String(cell).trim();
+  }).join(' | ');
+}
+
+/**
+ * Describes a whole row as JSON, by header name, leaving out empty cells.
+ * @private
+ * @param {Array<string>} names - The header names.
+ * @param {Array<any>} row - The row.
+ * @returns {string} JSON object of the row's non-empty cells.
+ */
+function ChangeService__describeRow(names, row) {
+  var values = {};
+  names.forEach(function(name, index) {
+    var cell = row[index];
+    if (cell !== '' && cell !== null && cell !== undefined) {
+      values[name || ChangeService__columnLetter(index)] = cell instanceof Date ?
+        DateUtils_formatDate(cell, 'yyyy-MM-dd HH:mm:ss') :
+        cell;
+    }
+  });
+  return JSON.stringify(values);
+}
+
+/**
+ * Gets the column letter of a 0-based column index, for columns without a header name.
+ * @private
+ * @param {number} index - The column index.
+ * @returns {string} The column letter, e.g. "A" or "AB".
+ */
+function ChangeService__columnLetter(index) {
+  var letter = '';
+  for (var n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * ChangeService object for backward compatibility and easier access.
+ * @namespace ChangeService
+ */
+var ChangeService = {
+  diff: ChangeService_diff,
+  record: ChangeService_record,
+  _formatKey: ChangeService__formatKey,
+  _describeRow: ChangeService__describeRow,
+  _columnLetter: ChangeService__columnLetter
+};
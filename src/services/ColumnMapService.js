@@ -0,0 +1,133 @@
+/**
+ * Column Mapping Service for DataLake Project
+ * Lines report columns up with the target sheet by header name instead of by
+ * position. The target columns are the header cells in row 1 of the target sheet;
+ * each is filled from the report column named in the configuration's columnMap
+ * (source header -> target header), or from the report column with the same name.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Header-driven column mapping service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} ColumnMapResult
+ * @property {Array<string>} header - The target header (row 1 of the target sheet).
+ * @property {Array<Array<any>>} rows - The data rows in target column order.
+ * @property {Array<{target: string, source: string}>} mapping - Report column used for each target column.
+ * @property {Array<string>} unmappedColumns - Report columns not written to any target column.
+ */
+
+/**
+ * Reorders report rows to match the target sheet's header.
+ * Blank target header cells get empty values.
+ * @param {Array<any>} sourceHeader - The report's header row.
+ * @param {Array<Array<any>>} rows - The report's data rows.
+ * @param {Array<string>} targetHeader - The target sheet's header row.
+ * @param {Object<string, string>} columnMap - Report header -> target header for renamed columns.
+ * @param {string} [context] - Context for error messages.
+ * @returns {ColumnMapResult} The mapped rows.
+ * @throws {Error} With code COLUMN_MAP_ERROR if a mapped column is missing on either
+ *   side or a target column has no report column.
+ */
+function ColumnMapService_apply(sourceHeader, rows, targetHeader, columnMap, context) {
+  context = context || 'Column mapping';
+  columnMap = columnMap || {};
+  
+  var sourceNames = sourceHeader.map(ColumnMapService_normalizeHeader);
+  var targetNames = targetHeader.map(ColumnMapService_normalizeHeader);
+  
+  // Invert the map (target -> source) and check both sides exist
+  var sourceForTarget = {};
+  var missingSourceColumns = [];
+  var missingTargetColumns = [];
+  for (var source in columnMap) {
+    if (!columnMap.hasOwnProperty(source)) {
+      continue;
+    }
+    var target = ColumnMapService_normalizeHeader(columnMap[source]);
+    sourceForTarget[target] = ColumnMapService_normalizeHeader(source);
+    if (sourceNames.indexOf(sourceForTarget[target]) === -1) {
+      missingSourceColumns.push(source);
+    }
+    if (targetNames.indexOf(target) === -1) {
+      missingTargetColumns.push(columnMap[source]);
+    }
+  }
+  
+  var mapping = [];
+  var unfilledTargetColumns = [];
+  var sourceIndexes = targetNames.map(function(target) {
+    if (target === '') {
+      return -1;
+    }
+    var sourceName = sourceForTarget.hasOwnProperty(target) ? sourceForTarget[target] : target;
+    var index = sourceNames.indexOf(sourceName);
+    if (index === -1) {
+      if (!sourceForTarget.hasOwnProperty(target)) {
+        unfilledTargetColumns.push(target);
+      }
+    } else {
+      mapping.push({ target: target, source: sourceName });
+    }
+    return index;
+  });
+  
+  if (missingSourceColumns.length > 0 || missingTargetColumns.length > 0 || unfilledTargetColumns.length > 0) {
+    var problems = [];
+    if (missingSourceColumns.length > 0) {
+      problems.push('report is missing ' + missingSourceColumns.join(', '));
+    }
+    if (missingTargetColumns.length > 0) {
+      problems.push('target sheet is missing ' + missingTargetColumns.join(', '));
+    }
+    if (unfilledTargetColumns.length > 0) {
+      problems.push('no report column for ' + unfilledTargetColumns.join(', '));
+    }
+    throw ErrorHandler_createError(
+      context + ': Column mapping failed: ' + problems.join('; '),
+      ERROR_CODES.COLUMN_MAP_ERROR,
+      {
+        missingSourceColumns: missingSourceColumns,
+        missingTargetColumns: missingTargetColumns,
+        unfilledTargetColumns: unfilledTargetColumns,
+        sourceHeader: sourceNames,
+        targetHeader: targetNames
+      }
+    );
+  }
+  
+  var usedSources = mapping.map(function(m) { return m.source; });
+  var unmappedColumns = sourceNames.filter(function(name) {
+    return name !== '' && usedSources.indexOf(name) === -1;
+  });
+  
+  return {
+    header: targetNames,
+    rows: rows.map(function(row) {
+      return sourceIndexes.map(function(index) {
+        return index === -1 || row[index] === undefined ? '' : row[index];
+      });
+    }),
+    mapping: mapping,
+    unmappedColumns: unmappedColumns
+  };
+}
+
+/**
+ * Normalizes a header cell for matching: converted to text and trimmed.
+ * @param {any} value - The header cell.
+ * @returns {string} The header name.
+ */
+function ColumnMapService_normalizeHeader(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * ColumnMapService object for backward compatibility and easier access.
+ * @namespace ColumnMapService
+ */
+var ColumnMapService = {
+  apply: ColumnMapService_apply,
+  normalizeHeader: ColumnMapService_normalizeHeader
+};
@@ -0,0 +1,177 @@
+/**
+ * Dedupe Service for DataLake Project
+ * Finds rows that share a primary key (e.g. a student with two schedule entries for
+ * the same period after a mid-day change) and resolves them with the dataset's
+ * duplicate policy: keep the first row, keep the last row, fail the import, or move
+ * every row of a duplicated key to the DEDUPE.quarantineSheetName sheet for review.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Primary key deduplication service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} DedupeResult
+ * @property {Array<Array<any>>} rows - The rows to import.
+ * @property {Array<Array<any>>} removedRows - Rows dropped by the policy (the rows to
+ *   quarantine for "quarantine").
+ * @property {number} duplicateKeyCount - Number of keys found on more than one row.
+ * @property {Array<string>} sampleKeys - Duplicated keys, up to DEDUPE.maxReportedKeys.
+ */
+
+/**
+ * Duplicate policies.
+ */
+var DEDUPE_POLICIES = ['keepFirst', 'keepLast', 'fail', 'quarantine'];
+
+/**
+ * Resolves rows that share a primary key. Rows whose key cells are all empty are
+ * never treated as duplicates.
+ * @param {Array<any>} header - The header row.
+ * @param {Array<Array<any>>} rows - The data rows.
+ * @param {Array<string>} primaryKey - Header names of the key columns.
+ * @param {string} [policy="fail"] - One of DEDUPE_POLICIES.
+ * @param {string} [context] - Context for error messages.
+ * @returns {DedupeResult} The rows to import and what was removed.
+ * @throws {Error} With code DUPLICATE_KEY if a key column is not in the header, or if
+ *   the policy is "fail" and a key is found on more than one row.
+ */
+function DedupeService_apply(header, rows, primaryKey, policy, context) {
+  context = context || 'Deduplication';
+  policy = policy || 'fail';
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  
+  var indexes = primaryKey.map(function(column) { return names.indexOf(column); });
+  var missing = primaryKey.filter(function(column, i) { return indexes[i] === -1; });
+  if (missing.length > 0) {
+    throw ErrorHandler_createError(
+      context + ': Primary key column(s) ' + missing.join(', ') + ' not in the header',
+      ERROR_CODES.DUPLICATE_KEY,
+      { primaryKey: primaryKey, missingColumns: missing, header: names }
+    );
+  }
+  
+  // Row positions of every key, in report order
+  var keys = rows.map(function(row) { return DedupeService_getKey(row, indexes); });
+  var positions = {};
+  var duplicateKeys = [];
+  keys.forEach(function(key, position) {
+    if (key === null) {
+      return;
+    }
+    if (!positions.hasOwnProperty(key)) {
+      positions[key] = [];
+    } else if (positions[key].length === 1) {
+      duplicateKeys.push(key);
+    }
+    positions[key].push(position);
+  });
+  
+  var sampleKeys = duplicateKeys.slice(0, CONFIG.DEDUPE.maxReportedKeys).map(function(key) {
+    return JSON.parse(key).join(' | ');
+  });
+  
+  if (duplicateKeys.length > 0 && policy === 'fail') {
+    throw ErrorHandler_createError(
+      context + ': ' + duplicateKeys.length + ' primary key(s) found on more than one row (' +
+        primaryKey.join(', ') + '): ' + sampleKeys.join('; '),
+      ERROR_CODES.DUPLICATE_KEY,
+      { primaryKey: primaryKey, duplicateKeyCount: duplicateKeys.length, sampleKeys: sampleKeys }
+    );
+  }
+  
+  var kept = [];
+  var removedRows = [];
+  rows.forEach(function(row, position) {
+    var rowPositions = keys[position] === null ? [position] : positions[keys[position]];
+    var keep = rowPositions.length === 1 ||
+      (policy === 'keepFirst' && position === rowPositions[0]) ||
+      (policy === 'keepLast' && position === rowPositions[rowPositions.length - 1]);
+    (keep ? kept : removedRows).push(row);
+  });
+  
+  if (duplicateKeys.length > 0) {
+    AppLogger_dataProcessing('Duplicate rows resolved', removedRows.length, {
+      policy: policy,
+      duplicateKeyCount: duplicateKeys.length,
+      context: context
+    });
+  }
+  
+  return {
+    rows: kept,
+    removedRows: removedRows,
+    duplicateKeyCount: duplicateKeys.length,
+    sampleKeys: sampleKeys
+  };
+}
+
+/**
+ * Builds the comparable key of a row. Key cells compare as trimmed text; date cells
+ * compare by time.
+ * @param {Array<any>} row - The row.
+ * @param {Array<number>} indexes - Column indexes of the key columns.
+ * @returns {string|null} The key, or null if every key cell is empty.
+ */
+function DedupeService_getKey(row, indexes) {
+  var parts = indexes.map(function(index) {
+    var cell = row[index];
+    if (cell instanceof Date) {
+      return DateUtils_formatDate(cell, 'yyyy-MM-dd HH:mm:ss');
+    }
+    return cell === null || cell === undefined ? '' : String(cell).trim();
+  });
+  var isEmpty = parts.every(function(part) { return part === ''; });
+  return isEmpty ? null : JSON.stringify(parts);
+}
+
+/**
+ * Appends quarantined rows to the DEDUPE.quarantineSheetName sheet of the main
+ * spreadsheet, one per row: detection time, dataset, primary key, then the row's
+ * values from the fourth column on.
+ * @param {string} sheetName - The dataset the rows were meant for.
+ * @param {Array<any>} header - The dataset's header row.
+ * @param {Array<Array<any>>} rows - The quarantined rows.
+ * @param {Array<string>} primaryKey - Header names of the key columns.
+ * @param {string} [context] - Context for error messages.
+ * @returns {number} Rows written to the quarantine sheet.
+ */
+function DedupeService_quarantine(sheetName, header, rows, primaryKey, context) {
+  if (rows.length === 0) {
+    return 0;
+  }
+  
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  var indexes = primaryKey.map(function(column) { return names.indexOf(column); });
+  var detectedAt = DateUtils_getCurrentTimestamp();
+  var quarantineRows = rows.map(function(row) {
+    return [detectedAt, sheetName, JSON.parse(DedupeService_getKey(row, indexes)).join(' | ')].concat(row);
+  });
+  
+  SheetService_appendRows(
+    CONFIG.SPREADSHEETS.MAIN,
+    CONFIG.DEDUPE.quarantineSheetName,
+    quarantineRows,
+    ['detected_at', 'dataset', 'primary_key', 'values'],
+    context
+  );
+  
+  AppLogger_warn('Duplicate rows quarantined', {
+    sheetName: sheetName,
+    quarantineSheet: CONFIG.DEDUPE.quarantineSheetName,
+    rows: rows.length,
+    context: context
+  });
+  
+  return rows.length;
+}
+
+/**
+ * DedupeService object for backward compatibility and easier access.
+ * @namespace DedupeService
+ */
+var DedupeService = {
+  apply: DedupeService_apply,
+  getKey: DedupeService_getKey,
+  quarantine: DedupeService_quarantine
+};
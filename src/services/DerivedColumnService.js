@@ -0,0 +1,191 @@
+/**
+ * Derived Column Service for DataLake Project
+ * Adds columns computed from a report's own columns (full name, age, days enrolled,
+ * grade band...) so downstream projects do not have to recompute them with sheet
+ * formulas. Each derived column names a function from DERIVED_COLUMN_FUNCTIONS and
+ * the report columns passed to it; no configuration text is ever evaluated as code.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Derived column service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} DerivedColumn
+ * @property {string} name - Header of the new column.
+ * @property {string} fn - Name of a function in DERIVED_COLUMN_FUNCTIONS.
+ * @property {Array<string>} args - Header names of the columns passed to the function.
+ * @property {Object} [options] - Function options (see each function).
+ */
+
+/**
+ * Functions available to derived columns. Each receives the values of its argument
+ * columns for one row and the column's options, and returns the new cell value
+ * ('' when the inputs are empty or unusable). Add new functions here.
+ */
+var DERIVED_COLUMN_FUNCTIONS = {
+  /**
+   * Joins name parts, e.g. First + Last -> "Ana Lopez". With options.lastFirst the
+   * last argument goes first: "Lopez, Ana".
+   */
+  fullName: function(args, options) {
+    var parts = args.map(DerivedColumnService__text).filter(function(part) { return part !== ''; });
+    if (options.lastFirst && parts.length > 1) {
+      return parts[parts.length - 1] + ', ' + parts.slice(0, -1).join(' ');
+    }
+    return parts.join(' ');
+  },
+  
+  /**
+   * Joins the values with options.separator (default a space), skipping empty ones.
+   */
+  concat: function(args, options) {
+    var separator = options.separator !== undefined ? options.separator : ' ';
+    return args.map(DerivedColumnService__text).filter(function(part) { return part !== ''; }).join(separator);
+  },
+  
+  /**
+   * Age in whole years from a birthdate, as of today in CONFIG.SETTINGS.timezone.
+   */
+  ageFromBirthdate: function(args) {
+    var birth = DerivedColumnService__dayParts(args[0]);
+    if (!birth) {
+      return '';
+    }
+    var today = DerivedColumnService__dayParts(new Date());
+    var age = today.year - birth.year;
+    if (today.month < birth.month || (today.month === birth.month && today.day < birth.day)) {
+      age--;
+    }
+    return age;
+  },
+  
+  /**
+   * Calendar days from an entry date to an exit date, or to today if the exit date
+   * (second argument, optional) is empty.
+   */
+  daysEnrolled: function(args) {
+    var entry = DerivedColumnService__dayParts(args[0]);
+    if (!entry) {
+      return '';
+    }
+    var exit = args.length > 1 && DerivedColumnService__text(args[1]) !== '' ?
+      DerivedColumnService__dayParts(args[1]) :
+      DerivedColumnService__dayParts(new Date());
+    if (!exit) {
+      return '';
+    }
+    return Math.round((Date.UTC(exit.year, exit.month - 1, exit.day) -
+      Date.UTC(entry.year, entry.month - 1, entry.day)) / 86400000);
+  },
+  
+  /**
+   * Grade band of a grade level (PK, K/KG, 1-12, "09"...), using options.bands or
+   * CONFIG.DERIVED_COLUMNS.gradeBands: [{name, from, to}] with PK = -1 and K = 0.
+   */
+  gradeBand: function(args, options) {
+    var text = DerivedColumnService__text(args[0]).toUpperCase();
+    var grade = text === 'PK' ? -1 : (text === 'K' || text === 'KG') ? 0 :
+      (/^\d{1,2}$/.test(text) ? Number(text) : NaN);
+    if (isNaN(grade)) {
+      return '';
+    }
+    var bands = options.bands || CONFIG.DERIVED_COLUMNS.gradeBands;
+    for (var i = 0; i < bands.length; i++) {
+      if (grade >= bands[i].from && grade <= bands[i].to) {
+        return bands[i].name;
+      }
+    }
+    return '';
+  }
+};
+
+/**
+ * Appends derived columns to a header and its rows. Derived columns can use the
+ * derived columns listed before them.
+ * @param {Array<any>} header - The header row.
+ * @param {Array<Array<any>>} rows - The data rows.
+ * @param {Array<DerivedColumn>} derivedColumns - The columns to add.
+ * @param {string} [context] - Context for error messages.
+ * @returns {{header: Array<any>, rows: Array<Array<any>>}} The header and rows with the new columns.
+ * @throws {Error} With code DERIVED_COLUMN_ERROR if an argument column is missing or a
+ *   derived column name is already in the header.
+ */
+function DerivedColumnService_apply(header, rows, derivedColumns, context) {
+  context = context || 'Derived columns';
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  var newHeader = header.slice();
+  var newRows = rows.map(function(row) { return row.slice(); });
+  
+  derivedColumns.forEach(function(column) {
+    if (names.indexOf(column.name) !== -1) {
+      throw ErrorHandler_createError(
+        context + ': Derived column "' + column.name + '" is already in the header',
+        ERROR_CODES.DERIVED_COLUMN_ERROR,
+        { name: column.name, header: names }
+      );
+    }
+    
+    var indexes = column.args.map(function(arg) { return names.indexOf(arg); });
+    var missing = column.args.filter(function(arg, i) { return indexes[i] === -1; });
+    if (missing.length > 0) {
+      throw ErrorHandler_createError(
+        context + ': Derived column "' + column.name + '" needs missing column(s) ' + missing.join(', '),
+        ERROR_CODES.DERIVED_COLUMN_ERROR,
+        { name: column.name, missingColumns: missing, header: names }
+      );
+    }
+    
+    var fn = DERIVED_COLUMN_FUNCTIONS[column.fn];
+    var options = column.options || {};
+    newRows.forEach(function(row) {
+      row.push(fn(indexes.map(function(index) { return row[index]; }), options));
+    });
+    names.push(column.name);
+    newHeader.push(column.name);
+  });
+  
+  AppLogger_dataProcessing('Derived columns added', newRows.length, {
+    columns: derivedColumns.map(function(column) { return column.name; }),
+    context: context
+  });
+  
+  return { header: newHeader, rows: newRows };
+}
+
+/**
+ * Converts a cell value to trimmed text ('' for empty cells).
+ * @private
+ * @param {any} value - The cell value.
+ * @returns {string} The text.
+ */
+function DerivedColumnService__text(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Gets the calendar day of a date cell (a Date, or text such as 8/4/2025) in
+ * CONFIG.SETTINGS.timezone.
+ * @private
+ * @param {any} value - The cell value.
+ * @returns {{year: number, month: number, day: number}|null} The day, or null if the value is not a date.
+ */
+function DerivedColumnService__dayParts(value) {
+  var date = value instanceof Date ? value :
+    (DerivedColumnService__text(value) !== '' ? DateUtils_parseDateString(String(value)) : null);
+  if (!date || isNaN(date.getTime())) {
+    return null;
+  }
+  var parts = DateUtils_formatDate(date, 'yyyy-MM-dd').split('-');
+  return { year: Number(parts[0]), month: Number(parts[1]), day: Number(parts[2]) };
+}
+
+/**
+ * DerivedColumnService object for backward compatibility and easier access.
+ * @namespace DerivedColumnService
+ */
+var DerivedColumnService = {
+  apply: DerivedColumnService_apply,
+  _text: DerivedColumnService__text,
+  _dayParts: DerivedColumnService__dayParts
+};
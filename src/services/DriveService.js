@@ -7,26 +7,42 @@
  * @author Alvaro Gomez
  */
 
+/**
+ * @typedef {Object} WorkbookTab
+ * @property {string} name - Tab (sheet) name.
+ * @property {Array<Array<any>>} values - All values on the tab, header row included.
+ */
+
 /**
  * Processes an Excel file attachment and extracts its data as a 2D array.
+ * Only the first tab is read.
  * @param {GoogleAppsScript.Base.Blob} fileBlob - The Excel file attachment as a Blob.
  * @param {string} [context] - Context for error messages.
  * @returns {Array<Array<string>>} The extracted data from the Excel file, excluding the header row.
  * @throws {Error} If the file cannot be processed or converted.
  */
 function DriveService_processExcelData(fileBlob, context) {
+  var tabs = DriveService_readWorkbook(fileBlob, context);
+  var data = tabs[0].values;
+  
+  // Exclude the header row (first row) if data exists
+  return data.length > 1 ? data.slice(1) : [];
+}
+
+/**
+ * Converts an Excel file (xlsx or xls) through Google Drive and reads every tab.
+ * @param {GoogleAppsScript.Base.Blob} fileBlob - The Excel file attachment as a Blob.
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<WorkbookTab>} One entry per tab, in workbook order.
+ * @throws {Error} If the file cannot be processed or converted.
+ */
+function DriveService_readWorkbook(fileBlob, context) {
   context = context || 'Excel data processing';
-  var timer = AppLogger_startTimer('processExcelData');
+  var timer = AppLogger_startTimer('readWorkbook');
   var tempFile = null;
   var convertedFile = null;
   
   try {
-    AppLogger_operationStart('processExcelData', { 
-      context: context,
-      fileName: fileBlob.getName(),
-      fileSize: fileBlob.getSize()
-    });
-    
     // Validate input
     if (!fileBlob) {
       throw ErrorHandler_createError(
@@ -35,6 +51,12 @@ function DriveService_processExcelData(fileBlob, context) {
       );
     }
     
+    AppLogger_operationStart('readWorkbook', { 
+      context: context,
+      fileName: fileBlob.getName(),
+      fileSize: fileBlob.getSize()
+    });
+    
     // Step 1: Save the Excel file to Google Drive temporarily
     tempFile = DriveService__createTempFile(fileBlob);
     AppLogger_debug('Temporary file created', {
@@ -49,28 +71,31 @@ function DriveService_processExcelData(fileBlob, context) {
     });
     
     // Step 3: Extract data with retry mechanism
-    var data = ErrorHandler_withRetry(
-      function() { return DriveService__extractDataFromSheet(convertedFile.id); },
+    var tabs = ErrorHandler_withRetry(
+      function() { return DriveService__extractWorkbookData(convertedFile.id); },
       CONFIG.RETRY_CONFIG.maxRetries,
       CONFIG.RETRY_CONFIG.retryDelay,
       'Extract data from converted sheet'
     );
     
-    AppLogger_dataProcessing('Excel data extracted', data.length, {
-      columns: data.length > 0 ? data[0].length : 0,
-      fileName: fileBlob.getName()
+    tabs.forEach(function(tab) {
+      AppLogger_dataProcessing('Excel data extracted', tab.values.length, {
+        tab: tab.name,
+        columns: tab.values.length > 0 ? tab.values[0].length : 0,
+        fileName: fileBlob.getName()
+      });
     });
     
-    AppLogger_operationSuccess('processExcelData', {
-      rowCount: data.length,
-      columnCount: data.length > 0 ? data[0].length : 0
+    AppLogger_operationSuccess('readWorkbook', {
+      tabCount: tabs.length,
+      tabNames: tabs.map(function(tab) { return tab.name; })
     }, timer.stop());
     
-    return data;
+    return tabs;
     
   } catch (error) {
     timer.stop();
-    AppLogger_operationFailure('processExcelData', error, { context: context });
+    AppLogger_operationFailure('readWorkbook', error, { context: context });
     throw error;
   } finally {
     // Clean up temporary files
@@ -142,18 +167,18 @@ function DriveService__convertToGoogleSheets(file) {
 }
 
 /**
- * Extracts data from a Google Sheets file.
+ * Extracts the values of every tab in a Google Sheets file.
  * @private
  * @param {string} spreadsheetId - The ID of the Google Sheets file.
- * @returns {Array<Array<string>>} The extracted data without headers.
+ * @returns {Array<WorkbookTab>} One entry per tab, header rows included.
  * @throws {Error} If data extraction fails.
  */
-function DriveService__extractDataFromSheet(spreadsheetId) {
+function DriveService__extractWorkbookData(spreadsheetId) {
   try {
     var spreadsheet = SpreadsheetApp.openById(spreadsheetId);
-    var sheet = spreadsheet.getSheets()[0]; // Get the first sheet
+    var sheets = spreadsheet.getSheets();
     
-    if (!sheet) {
+    if (sheets.length === 0) {
       throw ErrorHandler_createError(
         'No sheets found in the converted file',
         ERROR_CODES.SHEET_NOT_FOUND,
@@ -161,24 +186,25 @@ function DriveService__extractDataFromSheet(spreadsheetId) {
       );
     }
     
-    var dataRange = sheet.getDataRange();
-    if (!dataRange) {
-      AppLogger_warn('No data range found in sheet', { spreadsheetId: spreadsheetId });
-      return [];
-    }
-    
-    var data = dataRange.getValues();
-    
-    // Exclude the header row (first row) if data exists
-    var dataWithoutHeader = data.length > 1 ? data.slice(1) : [];
+    var tabs = sheets.map(function(sheet) {
+      var dataRange = sheet.getDataRange();
+      if (!dataRange) {
+        AppLogger_warn('No data range found in sheet', {
+          spreadsheetId: spreadsheetId,
+          tab: sheet.getName()
+        });
+        return { name: sheet.getName(), values: [] };
+      }
+      return { name: sheet.getName(), values: dataRange.getValues() };
+    });
     
-    AppLogger_debug('Data extracted from sheet', {
-      totalRows: data.length,
-      dataRows: dataWithoutHeader.length,
-      columns: data.length > 0 ? data[0].length : 0
+    AppLogger_debug('Data extracted from workbook', {
+      tabs: tabs.map(function(tab) {
+        return tab.name + ' (' + tab.values.length + ' rows)';
+      })
     });
     
-    return dataWithoutHeader;
+    return tabs;
   } catch (error) {
     if (error.message && error.message.indexOf('not found') !== -1) {
       throw ErrorHandler_createError(
@@ -299,10 +325,11 @@ function DriveService_validateFileExists(fileId, context) {
  */
 var DriveService = {
   processExcelData: DriveService_processExcelData,
+  readWorkbook: DriveService_readWorkbook,
   getFileMetadata: DriveService_getFileMetadata,
   validateFileExists: DriveService_validateFileExists,
   _createTempFile: DriveService__createTempFile,
   _convertToGoogleSheets: DriveService__convertToGoogleSheets,
-  _extractDataFromSheet: DriveService__extractDataFromSheet,
+  _extractWorkbookData: DriveService__extractWorkbookData,
   _cleanupTempFiles: DriveService__cleanupTempFiles
 };
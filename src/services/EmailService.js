@@ -1,11 +1,12 @@
 /**
  * @file EmailService.js
  * @module EmailService
- * @description Provides functions for Gmail label and email attachment operations, including label management, email retrieval, and attachment extraction.
+ * @description Provides functions for Gmail label, search and email attachment operations, including label management, email retrieval, and attachment extraction.
  * Compatible with Google Apps Script V8 runtime.
  *
  * @typedef {Object} EmailConfig
- * @property {string} label - Gmail label to use for filtering emails
+ * @property {string} [label] - Gmail label to use for filtering emails
+ * @property {string} [query] - Gmail search query to use instead of a label
  * @property {string} sheetName - Associated sheet name for processing
  *
  * @author Alvaro Gomez
@@ -13,17 +14,32 @@
  * @since 2025-08-04
  */
 
+/**
+ * @typedef {Object} EmailMatchRules
+ * Optional rules an email must satisfy to be imported. An email configuration can
+ * be passed as-is, since it uses the same property names.
+ * @property {RegExp|string} [subjectPattern] - Pattern the subject must match.
+ * @property {Array<string>} [fromAllowlist] - Allowed sender addresses, or domains written as "@example.org".
+ * @property {RegExp|string} [attachmentNamePattern] - Pattern at least one report attachment name must match.
+ * @property {string} [attachmentFormat="xlsx"] - Report format the matching attachment must have.
+ */
+
 /**
  * Gets the latest email message for a given Gmail label.
+ * When match rules are given, threads and messages are walked from newest to
+ * oldest (up to CONFIG.EMAIL_MATCHING.maxThreadsScanned threads) until the newest
+ * message satisfying every rule is found.
  * @function
  * @param {string} labelName - The Gmail label to search.
- * @returns {GoogleAppsScript.Gmail.GmailMessage} The latest email message.
- * @throws {Error} If no email is found for the label.
+ * @param {EmailMatchRules} [matchRules] - Rules the message must satisfy.
+ * @returns {GoogleAppsScript.Gmail.GmailMessage} The latest (matching) email message.
+ * @throws {Error} If no (matching) email is found for the label.
  * @example
  * var email = EmailService_getLatestEmailByLabel('Reports/Daily');
  * console.log('Email subject: ' + email.getSubject());
+ * var report = EmailService_getLatestEmailByLabel('Reports/Daily', { subjectPattern: /^Schedules/ });
  */
-function EmailService_getLatestEmailByLabel(labelName) {
+function EmailService_getLatestEmailByLabel(labelName, matchRules) {
   var timer = AppLogger_startTimer('getLatestEmailByLabel_' + labelName);
   
   try {
@@ -40,26 +56,22 @@ function EmailService_getLatestEmailByLabel(labelName) {
       );
     }
     
-    var threads = label.getThreads(0, 1); // Get the most recent thread
-    if (threads.length === 0) {
-      throw ErrorHandler_createError(
-        'No emails found under label "' + labelName + '"',
-        ERROR_CODES.EMAIL_NOT_FOUND,
-        { labelName: labelName }
-      );
-    }
-    
-    var messages = threads[0].getMessages();
-    var latestMessage = messages[messages.length - 1];
+    var search = EmailService__selectLatestMessage(
+      function(start, max) { return label.getThreads(start, max); },
+      matchRules,
+      'under label "' + labelName + '"',
+      { labelName: labelName }
+    );
     
-    AppLogger_operationSuccess('getLatestEmailByLabel', { 
+    AppLogger_operationSuccess('getLatestEmailByLabel', {
       labelName: labelName,
-      messageCount: messages.length,
-      messageSubject: latestMessage.getSubject(),
-      messageDate: latestMessage.getDate()
+      threadsScanned: search.threadsScanned,
+      messagesScanned: search.messagesScanned,
+      messageSubject: search.message.getSubject(),
+      messageDate: search.message.getDate()
     }, timer.stop());
     
-    return latestMessage;
+    return search.message;
     
   } catch (error) {
     timer.stop();
@@ -68,6 +80,240 @@ function EmailService_getLatestEmailByLabel(labelName) {
   }
 }
 
+/**
+ * Gets the latest email message returned by a Gmail search query.
+ * Works like EmailService_getLatestEmailByLabel, but threads come from
+ * GmailApp.search, so no Gmail filter or label is needed.
+ * @function
+ * @param {string} query - Gmail search query (same syntax as the Gmail search box).
+ * @param {EmailMatchRules} [matchRules] - Rules the message must satisfy.
+ * @returns {GoogleAppsScript.Gmail.GmailMessage} The latest (matching) email message.
+ * @throws {Error} If the search returns no (matching) email.
+ * @example
+ * var email = EmailService_getLatestEmailByQuery('from:cognos@nisd.net has:attachment newer_than:2d');
+ */
+function EmailService_getLatestEmailByQuery(query, matchRules) {
+  var timer = AppLogger_startTimer('getLatestEmailByQuery');
+  
+  try {
+    AppLogger_operationStart('getLatestEmailByQuery', { query: query });
+    
+    Validators_validateGmailQuery(query, 'getLatestEmailByQuery');
+    
+    var search = EmailService__selectLatestMessage(
+      function(start, max) { return GmailApp.search(query, start, max); },
+      matchRules,
+      'for search "' + query + '"',
+      { query: query }
+    );
+    
+    AppLogger_operationSuccess('getLatestEmailByQuery', {
+      query: query,
+      threadsScanned: search.threadsScanned,
+      messagesScanned: search.messagesScanned,
+      messageSubject: search.message.getSubject(),
+      messageDate: search.message.getDate()
+    }, timer.stop());
+    
+    return search.message;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('getLatestEmailByQuery', error, { query: query });
+    throw error;
+  }
+}
+
+/**
+ * Gets the latest email message from an email source (label or search query).
+ * @function
+ * @param {EmailSource} source - The email source (see Config_getEmailSource).
+ * @param {EmailMatchRules} [matchRules] - Rules the message must satisfy.
+ * @returns {GoogleAppsScript.Gmail.GmailMessage} The latest (matching) email message.
+ * @throws {Error} If no (matching) email is found.
+ */
+function EmailService_getLatestEmail(source, matchRules) {
+  return source.type === 'query' ?
+    EmailService_getLatestEmailByQuery(source.value, matchRules) :
+    EmailService_getLatestEmailByLabel(source.value, matchRules);
+}
+
+/**
+ * Builds a Gmail search query that returns the threads of an email source.
+ * @function
+ * @param {EmailSource} source - The email source (see Config_getEmailSource).
+ * @returns {string} Search query, e.g. 'label:reports-daily' or '(from:cognos has:attachment)'.
+ */
+function EmailService_getSearchQuery(source) {
+  return source.type === 'query' ?
+    '(' + source.value + ')' :
+    'label:' + EmailService_labelToSearchTerm(source.value);
+}
+
+/**
+ * Converts a label name to its Gmail search form ("DataLake/Processed" becomes
+ * "datalake-processed").
+ * @function
+ * @param {string} labelName - The label name.
+ * @returns {string} Label name usable after "label:" in a Gmail search.
+ */
+function EmailService_labelToSearchTerm(labelName) {
+  return labelName.toLowerCase().replace(/[\s\/]+/g, '-');
+}
+
+/**
+ * Picks the latest message from a paged thread source. Without match rules this
+ * is the last message of the newest thread.
+ * @private
+ * @param {function(number, number): Array<GoogleAppsScript.Gmail.GmailThread>} getThreads - Paged thread source.
+ * @param {EmailMatchRules} [matchRules] - Rules the message must satisfy.
+ * @param {string} sourceText - Source for error messages, e.g. 'under label "X"'.
+ * @param {Object} details - Error details identifying the source.
+ * @returns {{message: GoogleAppsScript.Gmail.GmailMessage, threadsScanned: number, messagesScanned: number}}
+ *   Search outcome.
+ * @throws {Error} With code EMAIL_NOT_FOUND if no (matching) message exists.
+ */
+function EmailService__selectLatestMessage(getThreads, matchRules, sourceText, details) {
+  var search;
+  
+  if (!EmailService_hasMatchRules(matchRules)) {
+    var threads = getThreads(0, 1); // Get the most recent thread
+    var messages = threads.length > 0 ? threads[0].getMessages() : [];
+    search = {
+      message: messages.length > 0 ? messages[messages.length - 1] : null,
+      threadsScanned: threads.length,
+      messagesScanned: messages.length
+    };
+  } else {
+    search = EmailService__findLatestMatchingMessage(getThreads, matchRules);
+  }
+  
+  if (!search.message) {
+    details.threadsScanned = search.threadsScanned;
+    details.messagesScanned = search.messagesScanned;
+    throw ErrorHandler_createError(
+      search.threadsScanned === 0 ?
+        'No emails found ' + sourceText :
+        'No email ' + sourceText + ' matches the configured rules',
+      ERROR_CODES.EMAIL_NOT_FOUND,
+      details
+    );
+  }
+  
+  return search;
+}
+
+/**
+ * Checks whether an email message satisfies a set of match rules.
+ * @function
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The email message.
+ * @param {EmailMatchRules} [matchRules] - Rules the message must satisfy.
+ * @returns {boolean} True if every rule is satisfied.
+ */
+function EmailService_messageMatches(message, matchRules) {
+  matchRules = matchRules || {};
+  
+  if (!EmailService_matchesPattern(message.getSubject(), matchRules.subjectPattern)) {
+    return false;
+  }
+  
+  if (matchRules.fromAllowlist && matchRules.fromAllowlist.length > 0 &&
+      !EmailService__isSenderAllowed(message.getFrom(), matchRules.fromAllowlist)) {
+    return false;
+  }
+  
+  if (matchRules.attachmentNamePattern !== undefined && matchRules.attachmentNamePattern !== null) {
+    var format = matchRules.attachmentFormat || 'xlsx';
+    return message.getAttachments().some(function(attachment) {
+      var detectedFormat = EmailService_detectAttachmentFormat(attachment);
+      return detectedFormat && (format === 'auto' || detectedFormat === format) &&
+        EmailService_matchesPattern(attachment.getName(), matchRules.attachmentNamePattern);
+    });
+  }
+  
+  return true;
+}
+
+/**
+ * Walks threads newest first and returns the newest message that satisfies the
+ * match rules. Scanning stops once a thread's last message is older than the best
+ * match so far, or after CONFIG.EMAIL_MATCHING.maxThreadsScanned threads.
+ * @private
+ * @param {function(number, number): Array<GoogleAppsScript.Gmail.GmailThread>} getThreads - Paged thread source.
+ * @param {EmailMatchRules} matchRules - Rules the message must satisfy.
+ * @returns {{message: GoogleAppsScript.Gmail.GmailMessage, threadsScanned: number, messagesScanned: number}}
+ *   Search outcome; message is null if nothing matched.
+ */
+function EmailService__findLatestMatchingMessage(getThreads, matchRules) {
+  var pageSize = CONFIG.EMAIL_MATCHING.pageSize;
+  var maxThreads = CONFIG.EMAIL_MATCHING.maxThreadsScanned;
+  var best = null;
+  var threadsScanned = 0;
+  var messagesScanned = 0;
+  
+  for (var start = 0; start < maxThreads; start += pageSize) {
+    var threads = getThreads(start, Math.min(pageSize, maxThreads - start));
+    
+    for (var t = 0; t < threads.length; t++) {
+      if (best && threads[t].getLastMessageDate() < best.getDate()) {
+        return { message: best, threadsScanned: threadsScanned, messagesScanned: messagesScanned };
+      }
+      threadsScanned++;
+      
+      var messages = threads[t].getMessages();
+      for (var m = messages.length - 1; m >= 0; m--) {
+        if (best && messages[m].getDate() <= best.getDate()) {
+          break;
+        }
+        messagesScanned++;
+        if (EmailService_messageMatches(messages[m], matchRules)) {
+          best = messages[m];
+          break;
+        }
+      }
+    }
+    
+    if (threads.length < pageSize) {
+      break;
+    }
+  }
+  
+  return { message: best, threadsScanned: threadsScanned, messagesScanned: messagesScanned };
+}
+
+/**
+ * Checks whether any message selection rule is set.
+ * @function
+ * @param {EmailMatchRules} [matchRules] - Rules to inspect.
+ * @returns {boolean} True if at least one rule is set.
+ */
+function EmailService_hasMatchRules(matchRules) {
+  return !!matchRules && (
+    (matchRules.subjectPattern !== undefined && matchRules.subjectPattern !== null) ||
+    (Array.isArray(matchRules.fromAllowlist) && matchRules.fromAllowlist.length > 0) ||
+    (matchRules.attachmentNamePattern !== undefined && matchRules.attachmentNamePattern !== null)
+  );
+}
+
+/**
+ * Checks a From header against an allowlist of addresses and "@domain" entries.
+ * @private
+ * @param {string} from - The From header (e.g. 'Cognos <cognos@example.org>').
+ * @param {Array<string>} allowlist - Allowed addresses or domains.
+ * @returns {boolean} True if the sender is allowed.
+ */
+function EmailService__isSenderAllowed(from, allowlist) {
+  var match = /<([^>]+)>/.exec(from || '');
+  var address = (match ? match[1] : from || '').trim().toLowerCase();
+  
+  return allowlist.some(function(entry) {
+    entry = entry.trim().toLowerCase();
+    return entry.charAt(0) === '@' ?
+      address.slice(-entry.length) === entry :
+      address === entry;
+  });
+}
+
 /**
  * Extracts an Excel attachment from an email message.
  * @function
@@ -80,11 +326,42 @@ function EmailService_getLatestEmailByLabel(labelName) {
  * var attachment = EmailService_getExcelAttachment(email, 'Daily report processing');
  */
 function EmailService_getExcelAttachment(message, context) {
+  return EmailService_getReportAttachment(message, 'xlsx', context);
+}
+
+/**
+ * Extracts the first report attachment of the requested format from an email message.
+ * @function
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The email message.
+ * @param {string} [format="xlsx"] - "xlsx", "xls", "csv" or "auto" (any supported format).
+ * @param {string} [context] - Context for error messages.
+ * @returns {GoogleAppsScript.Base.Blob} The attachment as a Blob.
+ * @throws {Error} If no attachment of the requested format is found.
+ * @example
+ * var email = EmailService_getLatestEmailByLabel('Reports/Daily');
+ * var attachment = EmailService_getReportAttachment(email, 'auto', 'Daily report processing');
+ */
+function EmailService_getReportAttachment(message, format, context) {
+  return EmailService_getReportAttachments(message, format, context)[0];
+}
+
+/**
+ * Extracts all report attachments of the requested format from an email message,
+ * in the order they appear in the email.
+ * @function
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The email message.
+ * @param {string} [format="xlsx"] - "xlsx", "xls", "csv" or "auto" (any supported format).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<GoogleAppsScript.Base.Blob>} The matching attachments (at least one).
+ * @throws {Error} If no attachment of the requested format is found.
+ */
+function EmailService_getReportAttachments(message, format, context) {
+  format = format || 'xlsx';
   context = context || 'Email attachment extraction';
-  var timer = AppLogger_startTimer('getExcelAttachment');
+  var timer = AppLogger_startTimer('getReportAttachments');
   
   try {
-    AppLogger_operationStart('getExcelAttachment', { context: context });
+    AppLogger_operationStart('getReportAttachments', { context: context, format: format });
     
     if (!message) {
       throw ErrorHandler_createError(
@@ -112,44 +389,89 @@ function EmailService_getExcelAttachment(message, context) {
       );
     }
     
-    var excelAttachment = null;
-    for (var i = 0; i < attachments.length; i++) {
-      if (attachments[i].getContentType() === MIME_TYPES.EXCEL) {
-        excelAttachment = attachments[i];
-        break;
-      }
-    }
+    var reportAttachments = attachments.filter(function(attachment) {
+      var detectedFormat = EmailService_detectAttachmentFormat(attachment);
+      return detectedFormat && (format === 'auto' || detectedFormat === format);
+    });
     
-    if (!excelAttachment) {
+    if (reportAttachments.length === 0) {
       throw ErrorHandler_createError(
-        'No Excel attachment found in the email',
+        'No ' + (format === 'auto' ? 'supported report' : format.toUpperCase()) + ' attachment found in the email',
         ERROR_CODES.ATTACHMENT_NOT_FOUND,
         {
           attachmentTypes: attachments.map(function(att) { return att.getContentType(); }),
-          expectedType: MIME_TYPES.EXCEL,
+          attachmentNames: attachments.map(function(att) { return att.getName(); }),
+          expectedFormat: format,
           messageSubject: message.getSubject()
         }
       );
     }
     
-    // Validate the attachment
-    Validators_validateEmailAttachment(excelAttachment, context);
+    // Validate the attachments
+    reportAttachments.forEach(function(attachment) {
+      Validators_validateEmailAttachment(attachment, context, format);
+    });
     
-    AppLogger_operationSuccess('getExcelAttachment', {
-      fileName: excelAttachment.getName(),
-      fileSize: excelAttachment.getSize(),
-      contentType: excelAttachment.getContentType()
+    AppLogger_operationSuccess('getReportAttachments', {
+      fileNames: reportAttachments.map(function(att) { return att.getName(); }),
+      fileSizes: reportAttachments.map(function(att) { return att.getSize(); }),
+      contentTypes: reportAttachments.map(function(att) { return att.getContentType(); })
     }, timer.stop());
     
-    return excelAttachment;
+    return reportAttachments;
     
   } catch (error) {
     timer.stop();
-    AppLogger_operationFailure('getExcelAttachment', error, { context: context });
+    AppLogger_operationFailure('getReportAttachments', error, { context: context });
     throw error;
   }
 }
 
+/**
+ * Tests a value against a matching rule from an email configuration.
+ * String patterns are treated as case-insensitive regular expressions.
+ * @function
+ * @param {string} value - The value to test (subject, sender, file name...).
+ * @param {RegExp|string} [pattern] - The pattern; a missing pattern matches everything.
+ * @returns {boolean} True if the value matches.
+ */
+function EmailService_matchesPattern(value, pattern) {
+  if (pattern === undefined || pattern === null || pattern === '') {
+    return true;
+  }
+  var regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+  return regex.test(value || '');
+}
+
+/**
+ * Detects the report format of an attachment from its content type or file extension.
+ * @function
+ * @param {GoogleAppsScript.Gmail.GmailAttachment|GoogleAppsScript.Base.Blob} attachment - The attachment.
+ * @returns {string|null} "xlsx", "xls", "csv", or null if the format is not supported.
+ */
+function EmailService_detectAttachmentFormat(attachment) {
+  var contentType = attachment.getContentType();
+  var fileName = (attachment.getName() || '').toLowerCase();
+  var format;
+  
+  for (format in ATTACHMENT_FORMATS) {
+    if (ATTACHMENT_FORMATS[format].mimeTypes.indexOf(contentType) !== -1) {
+      return format;
+    }
+  }
+  
+  for (format in ATTACHMENT_FORMATS) {
+    var extensions = ATTACHMENT_FORMATS[format].extensions;
+    for (var i = 0; i < extensions.length; i++) {
+      if (fileName.slice(-extensions[i].length) === extensions[i]) {
+        return format;
+      }
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Retrieves all available Gmail labels.
  * @function
@@ -227,17 +549,74 @@ function EmailService_getEmailCountByLabel(labelName) {
 }
 
 /**
- * Gets the date of the latest email for a specific Gmail label.
+ * Gets the number of emails returned by a Gmail search query.
+ * Only the newest CONFIG.EMAIL_MATCHING.maxThreadsScanned threads are counted.
  * @function
- * @param {string} labelName - The Gmail label to check.
+ * @param {string} query - Gmail search query.
+ * @returns {number} Number of messages in the matching threads.
+ */
+function EmailService_getEmailCountByQuery(query) {
+  try {
+    Validators_validateGmailQuery(query, 'getEmailCountByQuery');
+    
+    var threads = GmailApp.search(query, 0, CONFIG.EMAIL_MATCHING.maxThreadsScanned);
+    var messageCount = threads.reduce(function(count, thread) {
+      return count + thread.getMessageCount();
+    }, 0);
+    
+    AppLogger_debug('Email count retrieved', { query: query, messageCount: messageCount });
+    
+    return messageCount;
+    
+  } catch (error) {
+    AppLogger_error('Error getting email count', error, { query: query });
+    return 0;
+  }
+}
+
+/**
+ * Checks whether an email source can be read: the label exists, or the query is
+ * a non-empty string (Gmail cannot check a query without running it).
+ * @function
+ * @param {EmailSource} source - The email source (see Config_getEmailSource).
+ * @returns {boolean} True if the source can be read.
+ */
+function EmailService_sourceExists(source) {
+  if (source.type === 'query') {
+    return typeof source.value === 'string' && source.value.trim().length > 0;
+  }
+  return EmailService_labelExists(source.value);
+}
+
+/**
+ * Gets the number of emails available from an email source.
+ * @function
+ * @param {EmailSource} source - The email source (see Config_getEmailSource).
+ * @returns {number} Number of emails.
+ */
+function EmailService_getEmailCount(source) {
+  return source.type === 'query' ?
+    EmailService_getEmailCountByQuery(source.value) :
+    EmailService_getEmailCountByLabel(source.value);
+}
+
+/**
+ * Gets the date of the latest email for a Gmail label or email source.
+ * @function
+ * @param {string|EmailSource} source - The Gmail label to check, or an email source.
+ * @param {EmailMatchRules} [matchRules] - Rules the message must satisfy.
  * @returns {Date|null} Date of the latest email or null if no emails found.
  */
-function EmailService_getLatestEmailDate(labelName) {
+function EmailService_getLatestEmailDate(source, matchRules) {
+  if (typeof source === 'string') {
+    source = { type: 'label', value: source, description: 'label "' + source + '"' };
+  }
+  
   try {
-    var message = EmailService_getLatestEmailByLabel(labelName);
+    var message = EmailService_getLatestEmail(source, matchRules);
     return message.getDate();
   } catch (error) {
-    AppLogger_warn('Could not get latest email date', { labelName: labelName, error: error.message });
+    AppLogger_warn('Could not get latest email date', { source: source.description, error: error.message });
     return null;
   }
 }
@@ -246,14 +625,14 @@ function EmailService_getLatestEmailDate(labelName) {
  * Validates email configuration and checks label existence in Gmail.
  * @function
  * @param {EmailConfig} emailConfig - The email configuration to validate.
- * @throws {Error} If the configuration is invalid or label doesn't exist.
+ * @throws {Error} If the configuration is invalid or its label doesn't exist.
  */
 function EmailService_validateEmailConfigWithGmail(emailConfig) {
   // First validate the structure
   Validators_validateEmailConfig(emailConfig, 'validateEmailConfigWithGmail');
   
-  // Then check if the label actually exists in Gmail
-  if (!EmailService_labelExists(emailConfig.label)) {
+  // Then check if the label actually exists in Gmail (search queries need no label)
+  if (Config_getEmailSource(emailConfig).type === 'label' && !EmailService_labelExists(emailConfig.label)) {
     throw ErrorHandler_createError(
       'Gmail label "' + emailConfig.label + '" does not exist',
       ERROR_CODES.LABEL_NOT_FOUND,
@@ -262,7 +641,7 @@ function EmailService_validateEmailConfigWithGmail(emailConfig) {
   }
   
   AppLogger_info('Email configuration validated', { 
-    labelName: emailConfig.label,
+    source: Config_getEmailSource(emailConfig).description,
     sheetName: emailConfig.sheetName
   });
 }
@@ -271,19 +650,48 @@ function EmailService_validateEmailConfigWithGmail(emailConfig) {
  * EmailService object for backward compatibility and easier access.
  * @namespace EmailService
  * @property {function} getLatestEmailByLabel
+ * @property {function} getLatestEmailByQuery
+ * @property {function} getLatestEmail
+ * @property {function} getSearchQuery
+ * @property {function} labelToSearchTerm
+ * @property {function} messageMatches
+ * @property {function} hasMatchRules
  * @property {function} getExcelAttachment
+ * @property {function} getReportAttachment
+ * @property {function} getReportAttachments
+ * @property {function} matchesPattern
+ * @property {function} detectAttachmentFormat
  * @property {function} getAllLabels
  * @property {function} labelExists
  * @property {function} getEmailCountByLabel
+ * @property {function} getEmailCountByQuery
+ * @property {function} sourceExists
+ * @property {function} getEmailCount
  * @property {function} getLatestEmailDate
  * @property {function} validateEmailConfigWithGmail
  */
 var EmailService = {
   getLatestEmailByLabel: EmailService_getLatestEmailByLabel,
+  getLatestEmailByQuery: EmailService_getLatestEmailByQuery,
+  getLatestEmail: EmailService_getLatestEmail,
+  getSearchQuery: EmailService_getSearchQuery,
+  labelToSearchTerm: EmailService_labelToSearchTerm,
+  messageMatches: EmailService_messageMatches,
+  hasMatchRules: EmailService_hasMatchRules,
   getExcelAttachment: EmailService_getExcelAttachment,
+  getReportAttachment: EmailService_getReportAttachment,
+  getReportAttachments: EmailService_getReportAttachments,
+  matchesPattern: EmailService_matchesPattern,
+  detectAttachmentFormat: EmailService_detectAttachmentFormat,
   getAllLabels: EmailService_getAllLabels,
   labelExists: EmailService_labelExists,
   getEmailCountByLabel: EmailService_getEmailCountByLabel,
+  getEmailCountByQuery: EmailService_getEmailCountByQuery,
+  sourceExists: EmailService_sourceExists,
+  getEmailCount: EmailService_getEmailCount,
   getLatestEmailDate: EmailService_getLatestEmailDate,
-  validateEmailConfigWithGmail: EmailService_validateEmailConfigWithGmail
+  validateEmailConfigWithGmail: EmailService_validateEmailConfigWithGmail,
+  _selectLatestMessage: EmailService__selectLatestMessage,
+  _findLatestMatchingMessage: EmailService__findLatestMatchingMessage,
+  _isSenderAllowed: EmailService__isSenderAllowed
 };
@@ -0,0 +1,180 @@
+/**
+ * Write Guard Service for DataLake Project
+ * Stops an import from replacing a sheet with a report that is clearly broken, for
+ * example 3 rows instead of 900 because a Cognos filter parameter stopped working.
+ * Each dataset can require a minimum row count, limit the percent drop against the
+ * sheet's current row count or the average of its recent imports, and require the
+ * report to have as many columns as the sheet. A tripped guard fails the import with
+ * WRITE_GUARD_TRIPPED before the sheet is touched. Recent row counts are stored as
+ * JSON in Script Properties.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Write guard service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} WriteGuards
+ * @property {number} [minRows] - Fewest data rows an import may write.
+ * @property {number} [maxDropPercent] - Largest accepted drop, in percent, from the baseline row count.
+ * @property {string} [dropBaseline="current"] - "current" (the sheet's current row count)
+ *   or "average" (average of the last WRITE_GUARDS.historySize imports; the current
+ *   row count until there is a history).
+ * @property {boolean} [matchColumnCount=false] - Require as many columns as the sheet's header row.
+ */
+
+/**
+ * @typedef {Object} GuardCounts
+ * @property {number} rowCount - Data rows about to be written.
+ * @property {number} columnCount - Columns about to be written.
+ * @property {number} [currentRowCount] - Data rows currently in the sheet.
+ * @property {number} [averageRowCount] - Average row count of recent imports.
+ * @property {number} [currentColumnCount] - Columns of the sheet's header row.
+ */
+
+/**
+ * Drop baselines.
+ */
+var GUARD_BASELINES = ['current', 'average'];
+
+/**
+ * Checks the rows about to replace a sheet's data against the dataset's guards.
+ * The sheet is only read for the counts the guards need.
+ * @param {Object} route - The route (see Config_getEmailConfigRoutes), with its guards.
+ * @param {Array<any>} header - The header row of the rows.
+ * @param {Array<Array<any>>} rows - The data rows about to be written.
+ * @param {Object} [options] - Check options.
+ * @param {boolean} [options.force=false] - Log tripped guards and let the write go ahead.
+ * @param {string} [context] - Context for error messages.
+ * @returns {Object|undefined} Guard summary ({counts, tripped, forced}), or undefined
+ *   if the route has no guards.
+ * @throws {Error} With code WRITE_GUARD_TRIPPED if a guard trips and force is not set.
+ */
+function GuardService_check(route, header, rows, options, context) {
+  context = context || 'Write guards';
+  options = options || {};
+  var guards = route.guards;
+  if (!guards) {
+    return undefined;
+  }
+  
+  var columnCount = header.length;
+  while (columnCount > 0 && String(header[columnCount - 1]).trim() === '') {
+    columnCount--;
+  }
+  var counts = { rowCount: rows.length, columnCount: columnCount };
+  
+  if (guards.maxDropPercent !== undefined) {
+    if ((guards.dropBaseline || 'current') === 'average') {
+      var history = GuardService_getRowCounts(route.sheetName);
+      if (history.length > 0) {
+        counts.averageRowCount = Math.round(history.reduce(function(sum, count) { return sum + count; }, 0) / history.length);
+      }
+    }
+    if (counts.averageRowCount === undefined) {
+      counts.currentRowCount = SheetService_getDataRowCount(CONFIG.SPREADSHEETS.MAIN, route.sheetName, route.rangeToClear, context);
+    }
+  }
+  if (guards.matchColumnCount) {
+    counts.currentColumnCount = SheetService_getHeaderRow(CONFIG.SPREADSHEETS.MAIN, route.sheetName, route.rangeToClear, context).length;
+  }
+  
+  var tripped = GuardService_evaluate(guards, counts);
+  if (tripped.length > 0 && !options.force) {
+    throw ErrorHandler_createError(
+      context + ': Write guard tripped for ' + route.sheetName + ', sheet left unchanged: ' + tripped.join('; '),
+      ERROR_CODES.WRITE_GUARD_TRIPPED,
+      { sheetName: route.sheetName, guards: guards, counts: counts, tripped: tripped }
+    );
+  }
+  if (tripped.length > 0) {
+    AppLogger_warn('Write guard tripped; writing anyway because of force', {
+      sheetName: route.sheetName,
+      tripped: tripped,
+      context: context
+    });
+  }
+  
+  return { counts: counts, tripped: tripped, forced: tripped.length > 0 };
+}
+
+/**
+ * Evaluates guards against row and column counts. Guards whose count is unknown
+ * (no current rows and no history, or a sheet without a header row) are skipped.
+ * @param {WriteGuards} guards - The dataset's guards.
+ * @param {GuardCounts} counts - The counts to check.
+ * @returns {Array<string>} A message per tripped guard (empty if none tripped).
+ */
+function GuardService_evaluate(guards, counts) {
+  var tripped = [];
+  
+  if (guards.minRows !== undefined && counts.rowCount < guards.minRows) {
+    tripped.push(counts.rowCount + ' rows, fewer than minRows ' + guards.minRows);
+  }
+  
+  var baseline = counts.averageRowCount !== undefined ? counts.averageRowCount : counts.currentRowCount;
+  if (guards.maxDropPercent !== undefined && baseline > 0) {
+    var dropPercent = Math.round((baseline - counts.rowCount) / baseline * 1000) / 10;
+    if (dropPercent > guards.maxDropPercent) {
+      tripped.push(counts.rowCount + ' rows, ' + dropPercent + '% fewer than the ' +
+        (counts.averageRowCount !== undefined ? 'recent average' : 'current') + ' ' + baseline +
+        ' (maxDropPercent ' + guards.maxDropPercent + ')');
+    }
+  }
+  
+  if (guards.matchColumnCount && counts.currentColumnCount > 0 &&
+      counts.columnCount !== counts.currentColumnCount) {
+    tripped.push(counts.columnCount + ' columns, but the sheet has ' + counts.currentColumnCount);
+  }
+  
+  return tripped;
+}
+
+/**
+ * Records the row count of a successful import. Only the newest
+ * CONFIG.WRITE_GUARDS.historySize counts are kept.
+ * @param {string} sheetName - The sheet that was written.
+ * @param {number} rowCount - Data rows written.
+ * @returns {void}
+ */
+function GuardService_recordRowCount(sheetName, rowCount) {
+  var counts = [rowCount].concat(GuardService_getRowCounts(sheetName)).slice(0, CONFIG.WRITE_GUARDS.historySize);
+  PropertiesService.getScriptProperties().setProperty(
+    CONFIG.WRITE_GUARDS.propertyPrefix + sheetName,
+    JSON.stringify(counts)
+  );
+}
+
+/**
+ * Gets the row counts of a sheet's recent imports, newest first.
+ * @param {string} sheetName - The sheet name.
+ * @returns {Array<number>} Row counts.
+ */
+function GuardService_getRowCounts(sheetName) {
+  var raw = PropertiesService.getScriptProperties().getProperty(CONFIG.WRITE_GUARDS.propertyPrefix + sheetName);
+  if (!raw) {
+    return [];
+  }
+  
+  try {
+    var counts = JSON.parse(raw);
+    return Array.isArray(counts) ? counts.filter(function(count) { return typeof count === 'number'; }) : [];
+  } catch (error) {
+    AppLogger_warn('Row count history could not be parsed; starting a new history', {
+      sheetName: sheetName,
+      error: error.message
+    });
+    return [];
+  }
+}
+
+/**
+ * GuardService object for backward compatibility and easier access.
+ * @namespace GuardService
+ */
+var GuardService = {
+  check: GuardService_check,
+  evaluate: GuardService_evaluate,
+  recordRowCount: GuardService_recordRowCount,
+  getRowCounts: GuardService_getRowCounts
+};
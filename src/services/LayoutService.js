@@ -0,0 +1,179 @@
+/**
+ * Report Layout Service for DataLake Project
+ * Cuts the data table out of a report tab laid out for printing: title rows and
+ * parameter blocks above the header, "Total"/"Page x" footer rows, and blank
+ * separator rows and columns. Each step counts what it removed.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Report layout stripping service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} ReportLayout
+ * @property {number} [headerRow=1] - 1-based row of the header in the tab; rows above it are dropped.
+ * @property {RegExp|string} [skipRowsBefore] - Locate the header instead: rows above the
+ *   first row with a cell matching this pattern are dropped.
+ * @property {Array<RegExp|string>} [footerPatterns] - Rows below the header whose first
+ *   non-empty cell matches one of these patterns are dropped.
+ * @property {boolean} [removeEmptyRows=false] - Drop rows with no values.
+ * @property {boolean} [removeEmptyColumns=false] - Drop columns with no header and no values.
+ */
+
+/**
+ * @typedef {Object} LayoutRemovedCounts
+ * @property {number} skippedRows - Rows above the header row.
+ * @property {number} footerRows - Rows matching a footer pattern.
+ * @property {number} emptyRows - Empty rows.
+ * @property {number} emptyColumns - Empty columns.
+ */
+
+/**
+ * Splits a report tab into its header row and data rows, applying a layout.
+ * Without a layout the header is the first row and every other row is data.
+ * @param {Array<Array<any>>} values - All values on the tab.
+ * @param {ReportLayout} [layout] - The report layout.
+ * @param {string} [context] - Context for error messages.
+ * @returns {{header: Array<any>, rows: Array<Array<any>>, removed: LayoutRemovedCounts}}
+ *   The header, the data rows and the number of rows and columns removed at each step.
+ * @throws {Error} With code REPORT_LAYOUT_ERROR if the header row cannot be found.
+ */
+function LayoutService_apply(values, layout, context) {
+  context = context || 'Report layout';
+  layout = layout || {};
+  var removed = { skippedRows: 0, footerRows: 0, emptyRows: 0, emptyColumns: 0 };
+  
+  if (values.length === 0) {
+    return { header: [], rows: [], removed: removed };
+  }
+  
+  // Step 1: Find the header row
+  var headerIndex = LayoutService__findHeaderIndex(values, layout, context);
+  removed.skippedRows = headerIndex;
+  var header = values[headerIndex];
+  var rows = values.slice(headerIndex + 1);
+  
+  // Step 2: Drop footer rows
+  if (layout.footerPatterns && layout.footerPatterns.length > 0) {
+    rows = rows.filter(function(row) {
+      var isFooter = LayoutService__isFooterRow(row, layout.footerPatterns);
+      if (isFooter) {
+        removed.footerRows++;
+      }
+      return !isFooter;
+    });
+  }
+  
+  // Step 3: Drop empty rows
+  if (layout.removeEmptyRows) {
+    rows = rows.filter(function(row) {
+      var isEmpty = row.every(LayoutService__isEmptyCell);
+      if (isEmpty) {
+        removed.emptyRows++;
+      }
+      return !isEmpty;
+    });
+  }
+  
+  // Step 4: Drop empty columns
+  if (layout.removeEmptyColumns) {
+    var keep = header.map(function(cell, index) {
+      return !LayoutService__isEmptyCell(cell) || rows.some(function(row) {
+        return !LayoutService__isEmptyCell(row[index]);
+      });
+    });
+    removed.emptyColumns = keep.filter(function(kept) { return !kept; }).length;
+    
+    if (removed.emptyColumns > 0) {
+      var pick = function(row) {
+        return row.filter(function(cell, index) { return keep[index]; });
+      };
+      header = pick(header);
+      rows = rows.map(pick);
+    }
+  }
+  
+  if (removed.skippedRows + removed.footerRows + removed.emptyRows + removed.emptyColumns > 0) {
+    AppLogger_debug('Report layout stripped', { removed: removed, context: context });
+  }
+  
+  return { header: header, rows: rows, removed: removed };
+}
+
+/**
+ * Finds the index of the header row of a tab.
+ * @private
+ * @param {Array<Array<any>>} values - All values on the tab.
+ * @param {ReportLayout} layout - The report layout.
+ * @param {string} context - Context for error messages.
+ * @returns {number} 0-based index of the header row.
+ * @throws {Error} With code REPORT_LAYOUT_ERROR if the header row is not in the tab.
+ */
+function LayoutService__findHeaderIndex(values, layout, context) {
+  if (layout.skipRowsBefore !== undefined) {
+    for (var i = 0; i < values.length; i++) {
+      var matches = values[i].some(function(cell) {
+        return !LayoutService__isEmptyCell(cell) && EmailService_matchesPattern(String(cell).trim(), layout.skipRowsBefore);
+      });
+      if (matches) {
+        return i;
+      }
+    }
+    throw ErrorHandler_createError(
+      context + ': No row matches skipRowsBefore ' + layout.skipRowsBefore,
+      ERROR_CODES.REPORT_LAYOUT_ERROR,
+      { skipRowsBefore: String(layout.skipRowsBefore), rowCount: values.length }
+    );
+  }
+  
+  var headerRow = layout.headerRow || 1;
+  if (headerRow > values.length) {
+    throw ErrorHandler_createError(
+      context + ': headerRow ' + headerRow + ' is past the end of the tab (' + values.length + ' rows)',
+      ERROR_CODES.REPORT_LAYOUT_ERROR,
+      { headerRow: headerRow, rowCount: values.length }
+    );
+  }
+  return headerRow - 1;
+}
+
+/**
+ * Checks whether a row is a footer: its first non-empty cell matches a footer pattern.
+ * @private
+ * @param {Array<any>} row - The row.
+ * @param {Array<RegExp|string>} patterns - Footer patterns.
+ * @returns {boolean} True if the row is a footer row.
+ */
+function LayoutService__isFooterRow(row, patterns) {
+  for (var i = 0; i < row.length; i++) {
+    if (!LayoutService__isEmptyCell(row[i])) {
+      var text = String(row[i]).trim();
+      return patterns.some(function(pattern) {
+        return EmailService_matchesPattern(text, pattern);
+      });
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether a cell is empty (blank, null or whitespace only).
+ * @private
+ * @param {any} cell - The cell value.
+ * @returns {boolean} True if the cell is empty.
+ */
+function LayoutService__isEmptyCell(cell) {
+  return cell === '' || cell === null || cell === undefined ||
+    (typeof cell === 'string' && cell.trim() === '');
+}
+
+/**
+ * LayoutService object for backward compatibility and easier access.
+ * @namespace LayoutService
+ */
+var LayoutService = {
+  apply: LayoutService_apply,
+  _findHeaderIndex: LayoutService__findHeaderIndex,
+  _isFooterRow: LayoutService__isFooterRow,
+  _isEmptyCell: LayoutService__isEmptyCell
+};
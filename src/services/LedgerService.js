@@ -0,0 +1,163 @@
+/**
+ * Ingestion Ledger Service for DataLake Project
+ * Keeps a persisted record of the Gmail messages and attachment hashes that have
+ * already been imported for each email configuration, so the same report is never
+ * ingested twice. Entries are stored as JSON in Script Properties.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Ingestion ledger service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} messageId - Gmail message ID of the imported email.
+ * @property {string} attachmentHash - SHA-256 hex digest of the imported attachment.
+ * @property {string} [attachmentName] - File name of the imported attachment.
+ * @property {string} [emailDate] - ISO date the email was received.
+ * @property {boolean} [replay] - True if the import was a replay from the raw archive.
+ * @property {string} processedAt - ISO timestamp of the import.
+ */
+
+/**
+ * Returns the key under which a configuration's ledger entries are stored.
+ * @param {Object} config - The email configuration object.
+ * @returns {string} Ledger key for the configuration.
+ */
+function LedgerService_getConfigKey(config) {
+  return Config_getEmailConfigName(config);
+}
+
+/**
+ * Computes the SHA-256 hex digest of an attachment. For several attachments the
+ * digest of their individual digests is returned.
+ * @param {GoogleAppsScript.Base.Blob|Array<GoogleAppsScript.Base.Blob>} blobs - The attachment(s).
+ * @returns {string} Lowercase hex digest.
+ */
+function LedgerService_computeHash(blobs) {
+  if (!Array.isArray(blobs)) {
+    return LedgerService__toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, blobs.getBytes()));
+  }
+  if (blobs.length === 1) {
+    return LedgerService_computeHash(blobs[0]);
+  }
+  var combined = blobs.map(function(blob) { return LedgerService_computeHash(blob); }).join(',');
+  return LedgerService__toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, combined));
+}
+
+/**
+ * Finds a ledger entry matching a message ID or attachment hash.
+ * @param {string} configKey - Ledger key (see LedgerService_getConfigKey).
+ * @param {string} messageId - Gmail message ID to look for.
+ * @param {string} [attachmentHash] - Attachment hash to look for.
+ * @returns {LedgerEntry|null} The matching entry, or null if none was found.
+ */
+function LedgerService_findEntry(configKey, messageId, attachmentHash) {
+  var entries = LedgerService_getEntries(configKey);
+  for (var i = 0; i < entries.length; i++) {
+    if (entries[i].messageId === messageId ||
+        (attachmentHash && entries[i].attachmentHash === attachmentHash)) {
+      return entries[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Records a successful import in the ledger.
+ * Only the newest CONFIG.LEDGER.maxEntriesPerConfig entries are kept.
+ * @param {string} configKey - Ledger key (see LedgerService_getConfigKey).
+ * @param {LedgerEntry} entry - The entry to record.
+ * @returns {void}
+ */
+function LedgerService_record(configKey, entry) {
+  var entries = LedgerService_getEntries(configKey);
+  entry.processedAt = entry.processedAt || DateUtils_getCurrentTimestamp();
+  entries.unshift(entry);
+  
+  if (entries.length > CONFIG.LEDGER.maxEntriesPerConfig) {
+    entries = entries.slice(0, CONFIG.LEDGER.maxEntriesPerConfig);
+  }
+  
+  PropertiesService.getScriptProperties().setProperty(
+    LedgerService__propertyKey(configKey),
+    JSON.stringify(entries)
+  );
+  
+  AppLogger_debug('Ledger entry recorded', {
+    configKey: configKey,
+    messageId: entry.messageId,
+    entryCount: entries.length
+  });
+}
+
+/**
+ * Gets all ledger entries for a configuration, newest first.
+ * @param {string} configKey - Ledger key (see LedgerService_getConfigKey).
+ * @returns {Array<LedgerEntry>} Ledger entries.
+ */
+function LedgerService_getEntries(configKey) {
+  var raw = PropertiesService.getScriptProperties().getProperty(LedgerService__propertyKey(configKey));
+  if (!raw) {
+    return [];
+  }
+  
+  try {
+    var entries = JSON.parse(raw);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    AppLogger_warn('Ledger entries could not be parsed; starting a new ledger', {
+      configKey: configKey,
+      error: error.message
+    });
+    return [];
+  }
+}
+
+/**
+ * Removes all ledger entries for a configuration (for manual re-imports).
+ * @param {string} configKey - Ledger key (see LedgerService_getConfigKey).
+ * @returns {void}
+ */
+function LedgerService_clear(configKey) {
+  PropertiesService.getScriptProperties().deleteProperty(LedgerService__propertyKey(configKey));
+  AppLogger_info('Ledger cleared', { configKey: configKey });
+}
+
+/**
+ * Builds the Script Property name for a ledger key.
+ * @private
+ * @param {string} configKey - Ledger key.
+ * @returns {string} Script Property name.
+ */
+function LedgerService__propertyKey(configKey) {
+  return CONFIG.LEDGER.propertyPrefix + configKey;
+}
+
+/**
+ * Converts a digest byte array to a lowercase hex string.
+ * @private
+ * @param {Array<number>} digest - Signed digest bytes.
+ * @returns {string} Hex string.
+ */
+function LedgerService__toHex(digest) {
+  return digest.map(function(b) {
+    var v = (b < 0 ? b + 256 : b).toString(16);
+    return v.length === 1 ? '0' + v : v;
+  }).join('');
+}
+
+/**
+ * LedgerService object for backward compatibility and easier access.
+ * @namespace LedgerService
+ */
+var LedgerService = {
+  getConfigKey: LedgerService_getConfigKey,
+  computeHash: LedgerService_computeHash,
+  findEntry: LedgerService_findEntry,
+  record: LedgerService_record,
+  getEntries: LedgerService_getEntries,
+  clear: LedgerService_clear,
+  _propertyKey: LedgerService__propertyKey,
+  _toHex: LedgerService__toHex
+};
@@ -0,0 +1,231 @@
+/**
+ * Mailbox Service for DataLake Project
+ * Tidies the mailbox after an import: labels processed and failed report threads,
+ * marks them read, archives them, and trashes processed threads once they are
+ * older than the retention period.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Mailbox post-processing service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} PostProcessOptions
+ * @property {string|boolean} [processedLabel] - Label added after a successful import
+ *   (true for CONFIG.MAILBOX.processedLabel).
+ * @property {string|boolean} [failedLabel] - Label added when the import fails
+ *   (true for CONFIG.MAILBOX.failedLabel).
+ * @property {boolean} [markRead=false] - Mark the thread read after a successful import.
+ * @property {boolean} [archive=false] - Archive the thread after a successful import.
+ */
+
+/**
+ * Applies an email configuration's post-success actions to the imported email's
+ * thread. Failing actions are logged and never fail the import.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The imported email.
+ * @param {Object} config - The email configuration (uses config.postProcess).
+ * @returns {Array<string>} The actions applied, e.g. ['label:DataLake/Processed', 'markRead'].
+ */
+function MailboxService_applySuccessActions(message, config) {
+  var postProcess = config.postProcess;
+  if (!postProcess) {
+    return [];
+  }
+  
+  var thread = message.getThread();
+  var actions = [];
+  
+  var failedLabel = MailboxService__resolveLabelName(postProcess.failedLabel, CONFIG.MAILBOX.failedLabel);
+  if (failedLabel) {
+    MailboxService__runAction(actions, 'unlabel:' + failedLabel, function() {
+      var label = GmailApp.getUserLabelByName(failedLabel);
+      if (label) {
+        thread.removeLabel(label);
+      }
+    });
+  }
+  
+  var processedLabel = MailboxService__resolveLabelName(postProcess.processedLabel, CONFIG.MAILBOX.processedLabel);
+  if (processedLabel) {
+    MailboxService__runAction(actions, 'label:' + processedLabel, function() {
+      thread.addLabel(MailboxService__getOrCreateLabel(processedLabel));
+    });
+  }
+  
+  if (postProcess.markRead) {
+    MailboxService__runAction(actions, 'markRead', function() { thread.markRead(); });
+  }
+  
+  if (postProcess.archive) {
+    MailboxService__runAction(actions, 'archive', function() { thread.moveToArchive(); });
+  }
+  
+  AppLogger_debug('Mailbox post-success actions applied', {
+    sheetName: Config_getEmailConfigName(config),
+    messageId: message.getId(),
+    actions: actions
+  });
+  
+  return actions;
+}
+
+/**
+ * Labels the thread of an email whose import failed, so it can be found and
+ * re-run by hand. The thread is left unread and in place.
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message - The email that failed to import.
+ * @param {Object} config - The email configuration (uses config.postProcess).
+ * @returns {Array<string>} The actions applied.
+ */
+function MailboxService_applyFailureActions(message, config) {
+  var postProcess = config.postProcess;
+  var failedLabel = postProcess ?
+    MailboxService__resolveLabelName(postProcess.failedLabel, CONFIG.MAILBOX.failedLabel) :
+    null;
+  if (!failedLabel) {
+    return [];
+  }
+  
+  var actions = [];
+  MailboxService__runAction(actions, 'label:' + failedLabel, function() {
+    message.getThread().addLabel(MailboxService__getOrCreateLabel(failedLabel));
+  });
+  
+  return actions;
+}
+
+/**
+ * Moves processed report threads older than the retention period to the trash.
+ * Every processed label in use is purged: the MAILBOX default and each label set by
+ * an EMAIL_CONFIGS postProcess.processedLabel. Threads that also carry any failed
+ * label are kept. At most
+ * CONFIG.MAILBOX.purgeBatchSize * CONFIG.MAILBOX.maxPurgeBatches threads are
+ * trashed per run.
+ * @param {number} [retentionDays=CONFIG.MAILBOX.retentionDays] - Age in days after which threads are trashed.
+ * @returns {{query: string, trashed: number, complete: boolean}} Purge summary;
+ *   complete is false if the batch limit was reached.
+ * @throws {Error} If the retention period is invalid.
+ */
+function MailboxService_purgeProcessed(retentionDays) {
+  retentionDays = retentionDays === undefined ? CONFIG.MAILBOX.retentionDays : retentionDays;
+  var timer = AppLogger_startTimer('purgeProcessed');
+  
+  try {
+    if (typeof retentionDays !== 'number' || !(retentionDays >= 1) || Math.floor(retentionDays) !== retentionDays) {
+      throw ErrorHandler_createError(
+        'purgeProcessed: Retention must be a whole number of days (at least 1)',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: retentionDays }
+      );
+    }
+    
+    var processedLabels = MailboxService__getConfiguredLabels('processedLabel', CONFIG.MAILBOX.processedLabel);
+    var failedLabels = MailboxService__getConfiguredLabels('failedLabel', CONFIG.MAILBOX.failedLabel);
+    var query = '{' + processedLabels.map(function(name) {
+      return 'label:' + EmailService_labelToSearchTerm(name);
+    }).join(' ') + '} ' + failedLabels.map(function(name) {
+      return '-label:' + EmailService_labelToSearchTerm(name);
+    }).join(' ') + ' older_than:' + retentionDays + 'd';
+    
+    AppLogger_operationStart('purgeProcessed', { query: query, retentionDays: retentionDays });
+    
+    var trashed = 0;
+    var complete = false;
+    for (var batch = 0; batch < CONFIG.MAILBOX.maxPurgeBatches; batch++) {
+      var threads = GmailApp.search(query, 0, CONFIG.MAILBOX.purgeBatchSize);
+      if (threads.length === 0) {
+        complete = true;
+        break;
+      }
+      GmailApp.moveThreadsToTrash(threads);
+      trashed += threads.length;
+    }
+    
+    var summary = { query: query, trashed: trashed, complete: complete };
+    AppLogger_operationSuccess('purgeProcessed', summary, timer.stop());
+    return summary;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('purgeProcessed', error, { retentionDays: retentionDays });
+    throw error;
+  }
+}
+
+/**
+ * Resolves a postProcess label setting to a label name.
+ * @private
+ * @param {string|boolean} [setting] - Label name, true for the default, or false/undefined for none.
+ * @param {string} defaultName - The default label name.
+ * @returns {string|null} The label name, or null if no label should be applied.
+ */
+function MailboxService__resolveLabelName(setting, defaultName) {
+  if (setting === true) {
+    return defaultName;
+  }
+  return typeof setting === 'string' && setting.trim().length > 0 ? setting : null;
+}
+
+/**
+ * Lists the label names a postProcess setting resolves to across CONFIG.EMAIL_CONFIGS,
+ * starting with the default, without repeats.
+ * @private
+ * @param {string} setting - The postProcess setting ("processedLabel" or "failedLabel").
+ * @param {string} defaultName - The default label name.
+ * @returns {Array<string>} The label names.
+ */
+function MailboxService__getConfiguredLabels(setting, defaultName) {
+  var names = [defaultName];
+  CONFIG.EMAIL_CONFIGS.forEach(function(config) {
+    var name = config.postProcess && MailboxService__resolveLabelName(config.postProcess[setting], defaultName);
+    if (name && names.indexOf(name) === -1) {
+      names.push(name);
+    }
+  });
+  return names;
+}
+
+/**
+ * Gets a Gmail label by name, creating it if it does not exist.
+ * @private
+ * @param {string} labelName - The label name.
+ * @returns {GoogleAppsScript.Gmail.GmailLabel} The label.
+ */
+function MailboxService__getOrCreateLabel(labelName) {
+  var label = GmailApp.getUserLabelByName(labelName);
+  if (!label) {
+    label = GmailApp.createLabel(labelName);
+    AppLogger_info('Gmail label created', { labelName: labelName });
+  }
+  return label;
+}
+
+/**
+ * Runs one mailbox action and records it; failures are logged as warnings.
+ * @private
+ * @param {Array<string>} actions - Applied actions (appended to on success).
+ * @param {string} name - Action name.
+ * @param {function(): void} fn - The action.
+ * @returns {void}
+ */
+function MailboxService__runAction(actions, name, fn) {
+  try {
+    fn();
+    actions.push(name);
+  } catch (error) {
+    AppLogger_warn('Mailbox action failed', { action: name, error: error.message });
+  }
+}
+
+/**
+ * MailboxService object for backward compatibility and easier access.
+ * @namespace MailboxService
+ */
+var MailboxService = {
+  applySuccessActions: MailboxService_applySuccessActions,
+  applyFailureActions: MailboxService_applyFailureActions,
+  purgeProcessed: MailboxService_purgeProcessed,
+  _resolveLabelName: MailboxService__resolveLabelName,
+  _getConfiguredLabels: MailboxService__getConfiguredLabels,
+  _getOrCreateLabel: MailboxService__getOrCreateLabel,
+  _runAction: MailboxService__runAction
+};
@@ -0,0 +1,205 @@
+/**
+ * Report Parser Service for DataLake Project
+ * Turns a report attachment (xlsx, xls or csv) into a 2D array of values.
+ * xlsx files are read in-script by XlsxService unless the configuration sets
+ * xlsxReader: "drive"; xls files go through the Drive conversion in DriveService;
+ * CSV files are parsed in-script with Utilities.parseCsv and never touch Drive.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Report parser service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * Parses a report attachment and returns its data rows, excluding the header row.
+ * Only the first tab of a workbook is read.
+ * @param {GoogleAppsScript.Base.Blob} fileBlob - The report attachment.
+ * @param {string} format - "xlsx", "xls", "csv" or "auto" (detected from the attachment).
+ * @param {Object} [config] - The email configuration (for format-specific options such as csv).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<Array<any>>} The report data without the header row.
+ * @throws {Error} If the format is unsupported or the file cannot be parsed.
+ */
+function ParserService_parseAttachment(fileBlob, format, config, context) {
+  var values = ParserService_parseWorkbook(fileBlob, format, config, context)[0].values;
+  return values.length > 1 ? values.slice(1) : [];
+}
+
+/**
+ * Parses a report attachment into tabs. A CSV file yields a single tab named
+ * after the file.
+ * @param {GoogleAppsScript.Base.Blob} fileBlob - The report attachment.
+ * @param {string} format - "xlsx", "xls", "csv" or "auto" (detected from the attachment).
+ * @param {Object} [config] - The email configuration (for format-specific options such as csv and xlsxReader).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<WorkbookTab>} One entry per tab, header rows included.
+ * @throws {Error} If the format is unsupported or the file cannot be parsed.
+ */
+function ParserService_parseWorkbook(fileBlob, format, config, context) {
+  config = config || {};
+  context = context || 'Report parsing';
+  
+  if (!fileBlob) {
+    throw ErrorHandler_createError(
+      'No file blob provided',
+      ERROR_CODES.MISSING_PARAMETERS
+    );
+  }
+  
+  if (!format || format === 'auto') {
+    format = EmailService_detectAttachmentFormat(fileBlob);
+  }
+  
+  switch (format) {
+    case 'xlsx':
+      return config.xlsxReader === 'drive' ?
+        DriveService_readWorkbook(fileBlob, context) :
+        XlsxService_readWorkbook(fileBlob, context);
+    case 'xls':
+      return DriveService_readWorkbook(fileBlob, context);
+    case 'csv':
+      return [{
+        name: fileBlob.getName(),
+        values: ParserService_parseCsv(fileBlob, config.csv, context)
+      }];
+    default:
+      throw ErrorHandler_createError(
+        context + ': Unsupported attachment format',
+        ERROR_CODES.FILE_PROCESSING_ERROR,
+        {
+          format: format,
+          fileName: fileBlob.getName(),
+          contentType: fileBlob.getContentType()
+        }
+      );
+  }
+}
+
+/**
+ * Selects one tab from a parsed workbook.
+ * @param {Array<WorkbookTab>} tabs - Tabs returned by ParserService_parseWorkbook.
+ * @param {number|string} [tab=1] - 1-based tab position or tab name.
+ * @param {string} [context] - Context for error messages.
+ * @returns {WorkbookTab} The selected tab.
+ * @throws {Error} If the tab does not exist.
+ */
+function ParserService_getTab(tabs, tab, context) {
+  tab = tab === undefined || tab === null ? 1 : tab;
+  context = context || 'Tab selection';
+  
+  var selected = typeof tab === 'number' ?
+    tabs[tab - 1] :
+    tabs.filter(function(t) { return t.name === tab; })[0];
+    
+  if (!selected) {
+    throw ErrorHandler_createError(
+      context + ': Tab "' + tab + '" not found in the report',
+      ERROR_CODES.SHEET_NOT_FOUND,
+      {
+        requestedTab: tab,
+        availableTabs: tabs.map(function(t) { return t.name; })
+      }
+    );
+  }
+  
+  return selected;
+}
+
+/**
+ * Parses a CSV attachment into a rectangular 2D array (header row included).
+ * Byte order marks are stripped, trailing blank lines are dropped and short rows
+ * are padded with empty strings so every row has the same number of columns.
+ * @param {GoogleAppsScript.Base.Blob} fileBlob - The CSV attachment.
+ * @param {Object} [options] - CSV options.
+ * @param {string} [options.delimiter=","] - Field delimiter, a single character.
+ * @param {string} [options.encoding="auto"] - Character set, or "auto" to detect a byte order mark.
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<Array<string>>} All CSV rows.
+ * @throws {Error} If the file cannot be decoded or parsed.
+ */
+function ParserService_parseCsv(fileBlob, options, context) {
+  options = options || {};
+  context = context || 'CSV parsing';
+  var timer = AppLogger_startTimer('parseCsv');
+  
+  try {
+    var delimiter = options.delimiter || ',';
+    var encoding = options.encoding && options.encoding !== 'auto' ?
+      options.encoding :
+      ParserService__detectEncoding(fileBlob.getBytes());
+      
+    AppLogger_operationStart('parseCsv', {
+      context: context,
+      fileName: fileBlob.getName(),
+      delimiter: delimiter,
+      encoding: encoding
+    });
+    
+    var text = fileBlob.getDataAsString(encoding);
+    if (text.charAt(0) === '\uFEFF') {
+      text = text.substring(1);
+    }
+    
+    var rows = Utilities.parseCsv(text, delimiter);
+    
+    // Drop trailing blank lines
+    while (rows.length > 0 && rows[rows.length - 1].every(function(cell) { return cell === ''; })) {
+      rows.pop();
+    }
+    
+    // Pad short rows so the result can be written with setValues
+    var columnCount = rows.reduce(function(max, row) { return Math.max(max, row.length); }, 0);
+    rows.forEach(function(row) {
+      while (row.length < columnCount) {
+        row.push('');
+      }
+    });
+    
+    AppLogger_operationSuccess('parseCsv', {
+      rowCount: rows.length,
+      columnCount: columnCount
+    }, timer.stop());
+    
+    return rows;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('parseCsv', error, { context: context });
+    throw ErrorHandler_createError(
+      context + ': Failed to parse CSV attachment',
+      ERROR_CODES.FILE_PROCESSING_ERROR,
+      { fileName: fileBlob.getName(), originalError: error.message }
+    );
+  }
+}
+
+/**
+ * Detects a text encoding from a byte order mark, defaulting to UTF-8.
+ * @private
+ * @param {Array<number>} bytes - The file bytes (signed, as returned by Blob.getBytes()).
+ * @returns {string} Character set name.
+ */
+function ParserService__detectEncoding(bytes) {
+  var b0 = bytes.length > 0 ? bytes[0] & 0xFF : -1;
+  var b1 = bytes.length > 1 ? bytes[1] & 0xFF : -1;
+  
+  if (b0 === 0xFF && b1 === 0xFE) {
+    return 'UTF-16LE';
+  }
+  if (b0 === 0xFE && b1 === 0xFF) {
+    return 'UTF-16BE';
+  }
+  return 'UTF-8';
+}
+
+/**
+ * ParserService object for backward compatibility and easier access.
+ * @namespace ParserService
+ */
+var ParserService = {
+  parseAttachment: ParserService_parseAttachment,
+  parseWorkbook: ParserService_parseWorkbook,
+  getTab: ParserService_getTab,
+  parseCsv: ParserService_parseCsv,
+  _detectEncoding: ParserService__detectEncoding
+};
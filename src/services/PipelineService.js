@@ -0,0 +1,386 @@
+/**
+ * Pipeline Service for DataLake Project
+ * Runs the ordered transform steps of an import route or push target by name. Each
+ * step receives the current table (header, rows and number formats) and the step
+ * context, and returns the new rows plus diagnostics for the run result. Built-in
+ * steps are in PIPELINE_STEPS; custom steps are added to CUSTOM_PIPELINE_STEPS
+ * (config/PipelineSteps.js). Every step is timed with AppLogger_startTimer.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Named-step transform pipeline service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} PipelineTable
+ * @property {Array<any>} header - The header row.
+ * @property {Array<Array<any>>} rows - The data rows.
+ * @property {Array<string|null>} [numberFormats] - Number format per column.
+ */
+
+/**
+ * @typedef {Object} PipelineStepContext
+ * @property {Object} options - The route or push target; steps read their options
+ *   (layout, filters, primaryKey...) from it.
+ * @property {string} spreadsheetId - Spreadsheet the rows will be written to.
+ * @property {string} sheetName - Sheet the rows will be written to.
+ * @property {string} [range] - Data range of that sheet (rangeToClear for imports).
+ * @property {string} context - Context for error and log messages.
+ */
+
+/**
+ * @typedef {Object} PipelineStepResult
+ * @property {Array<Array<any>>} rows - The new rows.
+ * @property {Array<any>} [header] - The new header (unchanged if omitted).
+ * @property {Array<string|null>} [numberFormats] - The new number formats. A step that
+ *   returns a header without numberFormats clears them, since formats follow columns.
+ * @property {Object} [diagnostics] - What the step did, reported in the run result.
+ */
+
+/**
+ * Built-in pipeline steps, by name. Each takes (table, stepContext) and returns a
+ * PipelineStepResult; a step whose option is not set returns the rows unchanged.
+ */
+var PIPELINE_STEPS = {
+  stripLayout: PipelineService__stripLayout,
+  deriveColumns: PipelineService__deriveColumns,
+  mapColumns: PipelineService__mapColumns,
+  normalize: PipelineService__normalize,
+  filterRows: PipelineService__filterRows,
+  dedupe: PipelineService__dedupe,
+  selectColumns: PipelineService__selectColumns
+};
+
+/**
+ * Runs pipeline steps in order.
+ * @param {Array<string>} stepNames - The steps to run.
+ * @param {PipelineTable} table - The table to transform.
+ * @param {PipelineStepContext} stepContext - The step context.
+ * @returns {{header: Array<any>, rows: Array<Array<any>>, numberFormats: (Array<string|null>|undefined),
+ *   steps: Array<string>, timings: Object<string, number>, diagnostics: Object<string, Object>}}
+ *   The transformed table, the time each step took in ms and each step's diagnostics.
+ * @throws {Error} With code PIPELINE_ERROR if a step is unknown or returns no rows;
+ *   errors thrown by a step are passed on.
+ */
+function PipelineService_run(stepNames, table, stepContext) {
+  var current = { header: table.header, rows: table.rows, numberFormats: table.numberFormats };
+  var timings = {};
+  var diagnostics = {};
+  
+  stepNames.forEach(function(name) {
+    var step = PipelineService_getStep(name);
+    if (!step) {
+      throw ErrorHandler_createError(
+        stepContext.context + ': Unknown pipeline step "' + name + '"',
+        ERROR_CODES.PIPELINE_ERROR,
+        { step: name, steps: PipelineService_getStepNames() }
+      );
+    }
+    
+    var timer = AppLogger_startTimer('pipelineStep_' + name);
+    var result;
+    try {
+      result = step(current, stepContext);
+    } finally {
+      timings[name] = timer.stop();
+    }
+    
+    if (!result || !Array.isArray(result.rows)) {
+      throw ErrorHandler_createError(
+        stepContext.context + ': Pipeline step "' + name + '" did not return rows',
+        ERROR_CODES.PIPELINE_ERROR,
+        { step: name }
+      );
+    }
+    
+    current = {
+      header: result.header || current.header,
+      rows: result.rows,
+      numberFormats: result.numberFormats || (result.header ? undefined : current.numberFormats)
+    };
+    if (result.diagnostics !== undefined) {
+      diagnostics[name] = result.diagnostics;
+    }
+  });
+  
+  AppLogger_debug('Pipeline completed', {
+    sheetName: stepContext.sheetName,
+    steps: stepNames,
+    timings: timings,
+    context: stepContext.context
+  });
+  
+  return {
+    header: current.header,
+    rows: current.rows,
+    numberFormats: current.numberFormats,
+    steps: stepNames,
+    timings: timings,
+    diagnostics: diagnostics
+  };
+}
+
+/**
+ * Gets a step by name: a built-in step, or else a custom step.
+ * @param {string} name - The step name.
+ * @returns {function(PipelineTable, PipelineStepContext): PipelineStepResult|null} The step, or null.
+ */
+function PipelineService_getStep(name) {
+  if (PIPELINE_STEPS.hasOwnProperty(name)) {
+    return PIPELINE_STEPS[name];
+  }
+  if (CUSTOM_PIPELINE_STEPS.hasOwnProperty(name) && typeof CUSTOM_PIPELINE_STEPS[name] === 'function') {
+    return CUSTOM_PIPELINE_STEPS[name];
+  }
+  return null;
+}
+
+/**
+ * Lists the names of all built-in and custom steps.
+ * @returns {Array<string>} The step names.
+ */
+function PipelineService_getStepNames() {
+  return Object.keys(PIPELINE_STEPS).concat(Object.keys(CUSTOM_PIPELINE_STEPS).filter(function(name) {
+    return !PIPELINE_STEPS.hasOwnProperty(name);
+  }));
+}
+
+/**
+ * Summarizes a pipeline run for a run result: the steps, their timings and the
+ * diagnostics of custom steps (built-in steps report in their own result fields).
+ * @param {Object} run - The result of PipelineService_run.
+ * @returns {{steps: Array<string>, timings: Object<string, number>, diagnostics: Object<string, Object>}}
+ *   The summary.
+ */
+function PipelineService_summarize(run) {
+  var diagnostics = {};
+  Object.keys(run.diagnostics).forEach(function(name) {
+    if (!PIPELINE_STEPS.hasOwnProperty(name)) {
+      diagnostics[name] = run.diagnostics[name];
+    }
+  });
+  return { steps: run.steps, timings: run.timings, diagnostics: diagnostics };
+}
+
+/**
+ * Step stripLayout: cuts the data table out of a report tab with options.layout (see
+ * LayoutService_apply). Diagnostics: the rows and columns removed.
+ * @private
+ * @param {PipelineTable} table - The table (row 1 of the tab as header).
+ * @param {PipelineStepContext} step - The step context.
+ * @returns {PipelineStepResult} The step result.
+ */
+function PipelineService__stripLayout(table, step) {
+  if (!step.options.layout || (table.header.length === 0 && table.rows.length === 0)) {
+    return { rows: table.rows };
+  }
+  var layout = LayoutService_apply([table.header].concat(table.rows), step.options.layout, step.context);
+  return { header: layout.header, rows: layout.rows, diagnostics: layout.removed };
+}
+
+/**
+ * Step deriveColumns: appends options.derivedColumns (see DerivedColumnService_apply).
+ * Diagnostics: the added column names.
+ * @private
+ * @param {PipelineTable} table - The table.
+ * @param {PipelineStepContext} step - The step context.
+ * @returns {PipelineStepResult} The step result.
+ */
+function PipelineService__deriveColumns(table, step) {
+  if (!step.options.derivedColumns) {
+    return { rows: table.rows };
+  }
+  var derived = DerivedColumnService_apply(table.header, table.rows, step.options.derivedColumns, step.context);
+  return {
+    header: derived.header,
+    rows: derived.rows,
+    diagnostics: { added: step.options.derivedColumns.map(function(column) { return column.name; }) }
+  };
+}
+
+/**
+ * Step mapColumns: rearranges the rows to the header row of the target sheet with
+ * options.columnMap (see ColumnMapService_apply). Report columns that no target column
+ * uses are logged as warnings. Diagnostics: the unmapped columns.
+ * @private
+ * @param {PipelineTable} table - The table.
+ * @param {PipelineStepContext} step - The step context.
+ * @returns {PipelineStepResult} The step result.
+ * @throws {Error} With code COLUMN_MAP_ERROR if the columns cannot be mapped.
+ */
+function PipelineService__mapColumns(table, step) {
+  if (!step.options.columnMap) {
+    return { rows: table.rows };
+  }
+  var targetHeader = SheetService_getHeaderRow(step.spreadsheetId, step.sheetName, step.range, step.context);
+  var mapped = ColumnMapService_apply(table.header, table.rows, targetHeader, step.options.columnMap, step.context);
+  
+  if (mapped.unmappedColumns.length > 0) {
+    AppLogger_warn('Report columns not mapped to the target sheet', {
+      sheetName: step.sheetName,
+      unmappedColumns: mapped.unmappedColumns,
+      context: step.context
+    });
+  }
+  
+  return { header: mapped.header, rows: mapped.rows, diagnostics: { unmappedColumns: mapped.unmappedColumns } };
+}
+
+/**
+ * Step normalize: normalizes values with options.normalizers (see
+ * TransformService_normalizeRows) and sets the number formats the normalized columns
+ * need. Values that cannot be normalized are kept as is and logged as warnings.
+ * Diagnostics: changedValues, invalidValueCount and missingColumns.
+ * @private
+ * @param {PipelineTable} table - The table.
+ * @param {PipelineStepContext} step - The step context.
+ * @returns {PipelineStepResult} The step result.
+ */
+function PipelineService__normalize(table, step) {
+  if (!step.options.normalizers) {
+    return { rows: table.rows };
+  }
+  var normalized = TransformService_normalizeRows(table.header, table.rows, step.options.normalizers, step.context);
+  
+  if (normalized.missingColumns.length > 0 || normalized.invalidValueCount > 0) {
+    AppLogger_warn('Some values could not be normalized', {
+      sheetName: step.sheetName,
+      missingColumns: normalized.missingColumns,
+      invalidValueCount: normalized.invalidValueCount,
+      invalidValues: normalized.invalidValues,
+      context: step.context
+    });
+  }
+  
+  return {
+    rows: normalized.rows,
+    numberFormats: normalized.numberFormats,
+    diagnostics: {
+      changedValues: normalized.changedValues,
+      invalidValueCount: normalized.invalidValueCount,
+      missingColumns: normalized.missingColumns
+    }
+  };
+}
+
+/**
+ * Step filterRows: keeps the rows that pass options.filters (see
+ * RowFilterService_apply). Diagnostics: kept and dropped row counts.
+ * @private
+ * @param {PipelineTable} table - The table.
+ * @param {PipelineStepContext} step - The step context.
+ * @returns {PipelineStepResult} The step result.
+ * @throws {Error} With code ROW_FILTER_ERROR if a filter names an unknown column.
+ */
+function PipelineService__filterRows(table, step) {
+  if (!step.options.filters) {
+    return { rows: table.rows };
+  }
+  var filtered = RowFilterService_apply(table.header, table.rows, step.options.filters, step.context);
+  return { rows: filtered.rows, diagnostics: { kept: filtered.kept, dropped: filtered.dropped } };
+}
+
+/**
+ * Step dedupe: resolves rows sharing options.primaryKey with options.onDuplicate (see
+ * DedupeService_apply). Duplicates are logged as warnings. Diagnostics: the policy,
+ * duplicateKeyCount, sampleKeys and the removedRows to quarantine.
+ * @private
+ * @param {PipelineTable} table - The table.
+ * @param {PipelineStepContext} step - The step context.
+ * @returns {PipelineStepResult} The step result.
+ * @throws {Error} With code DUPLICATE_KEY if a key column is missing, or a key is
+ *   duplicated and the policy is "fail".
+ */
+function PipelineService__dedupe(table, step) {
+  if (!step.options.primaryKey) {
+    return { rows: table.rows };
+  }
+  var policy = step.options.onDuplicate || 'fail';
+  var deduped = DedupeService_apply(table.header, table.rows, step.options.primaryKey, policy, step.context);
+  
+  if (deduped.duplicateKeyCount > 0) {
+    AppLogger_warn('Report has rows sharing a primary key', {
+      sheetName: step.sheetName,
+      primaryKey: step.options.primaryKey,
+      policy: policy,
+      duplicateKeyCount: deduped.duplicateKeyCount,
+      removedRowCount: deduped.removedRows.length,
+      sampleKeys: deduped.sampleKeys,
+      context: step.context
+    });
+  }
+  
+  return {
+    rows: deduped.rows,
+    diagnostics: {
+      policy: policy,
+      duplicateKeyCount: deduped.duplicateKeyCount,
+      removedRows: deduped.removedRows,
+      sampleKeys: deduped.sampleKeys
+    }
+  };
+}
+
+/**
+ * Step selectColumns: selects, renames and orders columns with options.columns, and
+ * checks that the target sheet's header row starts with the same columns in the same
+ * order. Columns after them (e.g. notes kept by users) are not checked.
+ * Each entry is a header name, or {source, target} to rename. Diagnostics: the
+ * selected columns.
+ * @private
+ * @param {PipelineTable} table - The table.
+ * @param {PipelineStepContext} step - The step context.
+ * @returns {PipelineStepResult} The step result.
+ * @throws {Error} With code COLUMN_MAP_ERROR if a column is missing or the target
+ *   header row does not match the columns spec.
+ */
+function PipelineService__selectColumns(table, step) {
+  if (!step.options.columns) {
+    return { rows: table.rows };
+  }
+  var columnMap = {};
+  var header = step.options.columns.map(function(column) {
+    if (typeof column === 'string') {
+      return column.trim();
+    }
+    var name = (column.target || column.source).trim();
+    columnMap[column.source] = name;
+    return name;
+  });
+  
+  var selected = ColumnMapService_apply(table.header, table.rows, header, columnMap, step.context);
+  
+  var targetHeader = SheetService_getHeaderRow(step.spreadsheetId, step.sheetName, undefined, step.context);
+  if (targetHeader.slice(0, header.length).join('\u0000') !== header.join('\u0000')) {
+    throw ErrorHandler_createError(
+      step.context + ': Header row of ' + step.sheetName + ' does not match the columns spec',
+      ERROR_CODES.COLUMN_MAP_ERROR,
+      {
+        targetSpreadsheetId: step.spreadsheetId,
+        targetSheetName: step.sheetName,
+        expectedHeader: header,
+        targetHeader: targetHeader
+      }
+    );
+  }
+  
+  return { header: header, rows: selected.rows, diagnostics: { columns: header } };
+}
+
+/**
+ * PipelineService object for backward compatibility and easier access.
+ * @namespace PipelineService
+ */
+var PipelineService = {
+  run: PipelineService_run,
+  getStep: PipelineService_getStep,
+  getStepNames: PipelineService_getStepNames,
+  summarize: PipelineService_summarize,
+  _stripLayout: PipelineService__stripLayout,
+  _deriveColumns: PipelineService__deriveColumns,
+  _mapColumns: PipelineService__mapColumns,
+  _normalize: PipelineService__normalize,
+  _filterRows: PipelineService__filterRows,
+  _dedupe: PipelineService__dedupe,
+  _selectColumns: PipelineService__selectColumns
+};
@@ -0,0 +1,257 @@
+/**
+ * Row Filter Service for DataLake Project
+ * Keeps only the rows that pass declarative filters such as
+ * "Campus in ['NAHS', 'NAMS']", "Grade >= 9" or "Status != 'Withdrawn'".
+ * Each filter compares one column (by header name) with a literal; a row is kept
+ * when it passes every filter.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Declarative row filter service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} RowFilter
+ * @property {string} expression - The filter as written in the configuration.
+ * @property {string} column - Header name of the column to test.
+ * @property {string} operator - One of ==, !=, >, >=, <, <=, in, not in.
+ * @property {any} value - Literal to compare with (an array for in / not in).
+ */
+
+/**
+ * Parses a filter expression: `<column> <operator> <literal>`. The column is a
+ * bare name (letters, digits, underscores) or a name in backticks, e.g.
+ * `Grade Level`; header names match case-insensitively. Literals are numbers,
+ * quoted strings, true/false, null (empty cell) or [lists] for in / not in.
+ * @param {string} expression - The filter expression.
+ * @param {string} [context] - Context for error messages.
+ * @returns {RowFilter} The parsed filter.
+ * @throws {Error} With code INVALID_PARAMETERS if the expression cannot be parsed.
+ */
+function RowFilterService_parse(expression, context) {
+  context = context || 'Row filter';
+  var match = typeof expression === 'string' &&
+    /^\s*(`[^`]+`|[A-Za-z_]\w*)\s*(==|=|!=|<>|>=|<=|>|<|not\s+in\b|in\b)\s*(.+?)\s*$/i.exec(expression);
+  
+  if (!match) {
+    throw ErrorHandler_createError(
+      context + ': Cannot parse filter "' + expression + '" (expected <column> <operator> <value>)',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { expression: expression }
+    );
+  }
+  
+  var operator = match[2].toLowerCase().replace(/\s+/g, ' ');
+  operator = operator === '=' ? '==' : operator === '<>' ? '!=' : operator;
+  var isList = operator === 'in' || operator === 'not in';
+  
+  var value;
+  try {
+    value = isList ? RowFilterService__parseList(match[3]) : RowFilterService__parseLiteral(match[3]);
+  } catch (error) {
+    throw ErrorHandler_createError(
+      context + ': Invalid value in filter "' + expression + '": ' + error.message,
+      ERROR_CODES.INVALID_PARAMETERS,
+      { expression: expression }
+    );
+  }
+  
+  return {
+    expression: expression,
+    column: match[1].replace(/^`|`$/g, '').trim(),
+    operator: operator,
+    value: value
+  };
+}
+
+/**
+ * Keeps the rows that pass every filter.
+ * @param {Array<any>} header - The header row.
+ * @param {Array<Array<any>>} rows - The data rows.
+ * @param {Array<string>} filters - Filter expressions (see RowFilterService_parse).
+ * @param {string} [context] - Context for error messages.
+ * @returns {{rows: Array<Array<any>>, kept: number, dropped: number}} The kept rows and counts.
+ * @throws {Error} With code ROW_FILTER_ERROR if a filter names a column that is not in the header.
+ */
+function RowFilterService_apply(header, rows, filters, context) {
+  context = context || 'Row filter';
+  var names = header.map(function(cell) { return String(cell).trim().toLowerCase(); });
+  
+  var tests = filters.map(function(expression) {
+    var filter = RowFilterService_parse(expression, context);
+    var index = names.indexOf(filter.column.toLowerCase());
+    if (index === -1) {
+      throw ErrorHandler_createError(
+        context + ': Filter "' + expression + '" uses column "' + filter.column + '", which is not in the header',
+        ERROR_CODES.ROW_FILTER_ERROR,
+        { expression: expression, header: header }
+      );
+    }
+    return { filter: filter, index: index };
+  });
+  
+  var kept = rows.filter(function(row) {
+    return tests.every(function(test) {
+      return RowFilterService_test(row[test.index], test.filter);
+    });
+  });
+  
+  AppLogger_dataProcessing('Rows filtered', kept.length, {
+    dropped: rows.length - kept.length,
+    filters: filters,
+    context: context
+  });
+  
+  return { rows: kept, kept: kept.length, dropped: rows.length - kept.length };
+}
+
+/**
+ * Tests one cell value against a filter. Numbers compare numerically (numeric text
+ * cells included), date cells compare with date literals such as '2025-08-04',
+ * and text compares after trimming. Empty cells fail ordering comparisons.
+ * @param {any} cell - The cell value.
+ * @param {RowFilter} filter - The parsed filter.
+ * @returns {boolean} True if the value passes the filter.
+ */
+function RowFilterService_test(cell, filter) {
+  switch (filter.operator) {
+    case '==':
+      return RowFilterService__equals(cell, filter.value);
+    case '!=':
+      return !RowFilterService__equals(cell, filter.value);
+    case 'in':
+      return filter.value.some(function(value) { return RowFilterService__equals(cell, value); });
+    case 'not in':
+      return !filter.value.some(function(value) { return RowFilterService__equals(cell, value); });
+    default:
+      var difference = RowFilterService__compare(cell, filter.value);
+      if (isNaN(difference)) {
+        return false;
+      }
+      return filter.operator === '>' ? difference > 0 :
+        filter.operator === '>=' ? difference >= 0 :
+        filter.operator === '<' ? difference < 0 :
+        difference <= 0;
+  }
+}
+
+/**
+ * Parses a literal: a number, a quoted string, true/false or null.
+ * @private
+ * @param {string} text - The literal text.
+ * @returns {number|string|boolean|null} The value.
+ * @throws {Error} If the text is not a literal.
+ */
+function RowFilterService__parseLiteral(text) {
+  text = text.trim();
+  var quoted = /^'([^']*)'$/.exec(text) || /^"([^"]*)"$/.exec(text);
+  if (quoted) {
+    return quoted[1];
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  if (/^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  if (/^null$/i.test(text)) {
+    return null;
+  }
+  throw new Error('"' + text + '" is not a number, quoted string, true/false or null');
+}
+
+/**
+ * Parses a list literal, e.g. ['NAHS', 'NAMS'] or [9, 10].
+ * @private
+ * @param {string} text - The list text.
+ * @returns {Array<number|string|boolean|null>} The values.
+ * @throws {Error} If the text is not a list of literals.
+ */
+function RowFilterService__parseList(text) {
+  var list = /^\[(.*)\]$/.exec(text.trim());
+  if (!list) {
+    throw new Error('in / not in needs a [list]');
+  }
+  
+  var items = [];
+  var inner = list[1];
+  var itemPattern = /\s*('[^']*'|"[^"]*"|[^,'"]+)\s*(,|$)/g;
+  var position = 0;
+  while (inner.trim() !== '' && position < inner.length) {
+    itemPattern.lastIndex = position;
+    var item = itemPattern.exec(inner);
+    if (!item || item.index !== position) {
+      throw new Error('cannot read the list ' + text.trim());
+    }
+    items.push(RowFilterService__parseLiteral(item[1]));
+    position = itemPattern.lastIndex;
+    if (item[2] === '') {
+      break;
+    }
+  }
+  return items;
+}
+
+/**
+ * Compares a cell with a literal for equality.
+ * @private
+ * @param {any} cell - The cell value.
+ * @param {any} value - The literal.
+ * @returns {boolean} True if they are equal.
+ */
+function RowFilterService__equals(cell, value) {
+  var isEmpty = cell === '' || cell === null || cell === undefined ||
+    (typeof cell === 'string' && cell.trim() === '');
+  if (value === null) {
+    return isEmpty;
+  }
+  if (isEmpty) {
+    return false;
+  }
+  if (typeof value === 'number' || cell instanceof Date) {
+    return RowFilterService__compare(cell, value) === 0;
+  }
+  if (typeof value === 'boolean') {
+    return String(cell).trim().toLowerCase() === String(value);
+  }
+  return String(cell).trim() === value;
+}
+
+/**
+ * Orders a cell against a literal.
+ * @private
+ * @param {any} cell - The cell value.
+ * @param {any} value - The literal.
+ * @returns {number} Negative, zero or positive; NaN if they cannot be compared.
+ */
+function RowFilterService__compare(cell, value) {
+  if (cell === '' || cell === null || cell === undefined || value === null) {
+    return NaN;
+  }
+  if (cell instanceof Date) {
+    var date = typeof value === 'string' ? DateUtils_parseDateString(value) : null;
+    return date ? cell.getTime() - date.getTime() : NaN;
+  }
+  if (typeof value === 'number') {
+    var number = typeof cell === 'number' ? cell :
+      (/^\s*-?\d+(\.\d+)?\s*$/.test(String(cell)) ? Number(cell) : NaN);
+    return number - value;
+  }
+  var text = String(cell).trim();
+  var literal = String(value);
+  return text < literal ? -1 : text > literal ? 1 : 0;
+}
+
+/**
+ * RowFilterService object for backward compatibility and easier access.
+ * @namespace RowFilterService
+ */
+var RowFilterService = {
+  parse: RowFilterService_parse,
+  apply: RowFilterService_apply,
+  test: RowFilterService_test,
+  _parseLiteral: RowFilterService__parseLiteral,
+  _parseList: RowFilterService__parseList,
+  _equals: RowFilterService__equals,
+  _compare: RowFilterService__compare
+};
@@ -0,0 +1,251 @@
+/**
+ * Schema Contract Service for DataLake Project
+ * Checks each import against the schema declared for its dataset (CONFIG.SCHEMAS):
+ * header drift (missing, extra, renamed or reordered columns) and cell values
+ * (type, required flag, allowed values). Depending on the schema's policies a
+ * violation fails the import or is reported as a warning.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Dataset schema contract service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} SchemaDrift
+ * @property {Array<string>} missing - Schema columns not in the header.
+ * @property {Array<string>} extra - Header columns not in the schema.
+ * @property {Array<{from: string, to: string}>} renamed - Schema columns replaced by a
+ *   different header name in the same position.
+ * @property {boolean} reordered - True if all columns are present but in another order.
+ */
+
+/**
+ * @typedef {Object} SchemaCheckResult
+ * @property {string} version - The schema version.
+ * @property {SchemaDrift} drift - Header drift found.
+ * @property {number} invalidValueCount - Number of cells that break the schema.
+ * @property {Array<string>} warnings - Violations reported as warnings (policy "warn").
+ */
+
+/**
+ * Value checks for each column type. Each returns true if a non-empty value is valid.
+ * @private
+ */
+var SCHEMA_TYPE_CHECKS = {
+  string: function(value) {
+    return !(value instanceof Date);
+  },
+  integer: function(value) {
+    return typeof value === 'number' ? isFinite(value) && Math.floor(value) === value : /^\s*-?\d+\s*$/.test(value);
+  },
+  number: function(value) {
+    return typeof value === 'number' ? isFinite(value) : /^\s*-?(\d{1,3}(,\d{3})*|\d*)(\.\d+)?\s*$/.test(value) && /\d/.test(value);
+  },
+  date: function(value) {
+    if (value instanceof Date) {
+      return !isNaN(value.getTime());
+    }
+    return typeof value === 'string' && /^\s*(\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})\s*$/.test(value);
+  },
+  phone: function(value) {
+    var digits = String(value).replace(/\s*(x|ext\.?)\s*\d+\s*$/i, '').replace(/\D/g, '');
+    return digits.length === 10 || (digits.length === 11 && digits.charAt(0) === '1');
+  },
+  studentId: function(value) {
+    return CONFIG.SCHEMA_VALIDATION.studentIdPattern.test(String(value).trim());
+  }
+};
+
+/**
+ * Gets the schema declared for a dataset.
+ * @param {string} sheetName - The dataset's sheet name.
+ * @returns {Object|null} The schema, or null if the dataset has none.
+ */
+function SchemaService_getSchema(sheetName) {
+  return CONFIG.SCHEMAS.hasOwnProperty(sheetName) ? CONFIG.SCHEMAS[sheetName] : null;
+}
+
+/**
+ * Checks a dataset's header and rows against its schema.
+ * @param {Array<any>} header - The header row.
+ * @param {Array<Array<any>>} rows - The data rows.
+ * @param {Object} schema - The dataset schema (see CONFIG.SCHEMAS).
+ * @param {string} [context] - Context for error messages.
+ * @returns {SchemaCheckResult} The check result.
+ * @throws {Error} With code SCHEMA_VIOLATION if header drift or invalid values are
+ *   found and the schema's policy for them is "fail".
+ */
+function SchemaService_validate(header, rows, schema, context) {
+  context = context || 'Schema validation';
+  Validators_validateSchema(schema, context + '.schema');
+  
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  var warnings = [];
+  
+  // Step 1: Header drift
+  var drift = SchemaService_detectDrift(names, schema);
+  var driftProblems = SchemaService__describeDrift(drift);
+  if (driftProblems.length > 0) {
+    if ((schema.onDrift || 'fail') === 'fail') {
+      throw ErrorHandler_createError(
+        context + ': Header does not match schema v' + schema.version + ': ' + driftProblems.join('; '),
+        ERROR_CODES.SCHEMA_VIOLATION,
+        { schemaVersion: schema.version, drift: drift, header: names }
+      );
+    }
+    warnings = warnings.concat(driftProblems);
+  }
+  
+  // Step 2: Cell values, for the schema columns present in the header
+  var invalid = [];
+  var invalidCount = 0;
+  schema.columns.forEach(function(column) {
+    var index = names.indexOf(column.name);
+    if (index === -1) {
+      return;
+    }
+    rows.forEach(function(row, rowIndex) {
+      var problem = SchemaService_checkValue(row[index], column);
+      if (problem) {
+        invalidCount++;
+        if (invalid.length < CONFIG.SCHEMA_VALIDATION.maxReportedErrors) {
+          // Row numbers as in the sheet (row 1 is the header)
+          invalid.push('row ' + (rowIndex + 2) + ' ' + column.name + ': ' + problem);
+        }
+      }
+    });
+  });
+  
+  if (invalidCount > 0) {
+    var summary = invalidCount + ' invalid value(s), e.g. ' + invalid.slice(0, 3).join('; ');
+    if ((schema.onInvalid || 'fail') === 'fail') {
+      throw ErrorHandler_createError(
+        context + ': Data does not match schema v' + schema.version + ': ' + summary,
+        ERROR_CODES.SCHEMA_VIOLATION,
+        { schemaVersion: schema.version, invalidValueCount: invalidCount, invalidValues: invalid }
+      );
+    }
+    warnings.push(summary);
+  }
+  
+  return {
+    version: schema.version,
+    drift: drift,
+    invalidValueCount: invalidCount,
+    warnings: warnings
+  };
+}
+
+/**
+ * Compares a header row with the columns of a schema.
+ * @param {Array<string>} names - The header names (trimmed).
+ * @param {Object} schema - The dataset schema.
+ * @returns {SchemaDrift} The drift found.
+ */
+function SchemaService_detectDrift(names, schema) {
+  var expected = schema.columns.map(function(column) { return column.name; });
+  var actual = names.filter(function(name) { return name !== ''; });
+  
+  var missing = expected.filter(function(name) { return actual.indexOf(name) === -1; });
+  var extra = actual.filter(function(name) { return expected.indexOf(name) === -1; });
+  
+  // A missing column whose position now holds an extra column was most likely renamed
+  var renamed = [];
+  missing = missing.filter(function(name) {
+    var replacement = names[expected.indexOf(name)];
+    var extraIndex = extra.indexOf(replacement);
+    if (replacement !== undefined && extraIndex !== -1) {
+      renamed.push({ from: name, to: replacement });
+      extra.splice(extraIndex, 1);
+      return false;
+    }
+    return true;
+  });
+  
+  var reordered = missing.length === 0 && extra.length === 0 && renamed.length === 0 &&
+    actual.join('\u0000') !== expected.join('\u0000');
+    
+  return { missing: missing, extra: extra, renamed: renamed, reordered: reordered };
+}
+
+/**
+ * Checks one cell value against a schema column.
+ * @param {any} value - The cell value.
+ * @param {Object} column - The schema column ({name, type, required, allowedValues}).
+ * @returns {string|null} A description of the problem, or null if the value is valid.
+ */
+function SchemaService_checkValue(value, column) {
+  var isEmpty = value === '' || value === null || value === undefined ||
+    (typeof value === 'string' && value.trim() === '');
+  if (isEmpty) {
+    return column.required ? 'required value is empty' : null;
+  }
+  
+  var type = column.type || 'string';
+  if (!SCHEMA_TYPE_CHECKS[type](value)) {
+    return 'not a valid ' + type + ' (' + value + ')';
+  }
+  
+  if (column.allowedValues) {
+    var text = value instanceof Date ? DateUtils_formatDate(value, 'yyyy-MM-dd') : String(value).trim();
+    var allowed = column.allowedValues.some(function(option) { return String(option) === text; });
+    if (!allowed) {
+      return '"' + text + '" is not an allowed value';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Lists the schema versions of every dataset that has a schema.
+ * @returns {Array<{sheetName: string, version: string, columns: Array<string>}>} Schema summary.
+ */
+function SchemaService_getSchemaVersions() {
+  return Object.keys(CONFIG.SCHEMAS).map(function(sheetName) {
+    var schema = CONFIG.SCHEMAS[sheetName];
+    return {
+      sheetName: sheetName,
+      version: schema.version,
+      columns: schema.columns.map(function(column) { return column.name; })
+    };
+  });
+}
+
+/**
+ * Describes header drift in words, one entry per kind of drift.
+ * @private
+ * @param {SchemaDrift} drift - The drift found.
+ * @returns {Array<string>} Descriptions; empty if there is no drift.
+ */
+function SchemaService__describeDrift(drift) {
+  var problems = [];
+  if (drift.missing.length > 0) {
+    problems.push('missing columns: ' + drift.missing.join(', '));
+  }
+  if (drift.extra.length > 0) {
+    problems.push('extra columns: ' + drift.extra.join(', '));
+  }
+  if (drift.renamed.length > 0) {
+    problems.push('renamed columns: ' + drift.renamed.map(function(r) {
+      return r.from + ' -> ' + r.to;
+    }).join(', '));
+  }
+  if (drift.reordered) {
+    problems.push('columns are in a different order');
+  }
+  return problems;
+}
+
+/**
+ * SchemaService object for backward compatibility and easier access.
+ * @namespace SchemaService
+ */
+var SchemaService = {
+  getSchema: SchemaService_getSchema,
+  validate: SchemaService_validate,
+  detectDrift: SchemaService_detectDrift,
+  checkValue: SchemaService_checkValue,
+  getSchemaVersions: SchemaService_getSchemaVersions,
+  _describeDrift: SchemaService__describeDrift
+};
@@ -17,6 +17,12 @@
  * @param {string} rangeToClear - The range to clear before inserting new data.
  * @param {Array<Array<any>>} data - The data to insert.
  * @param {string} [context] - Context for error messages.
+ * @param {Array<string|null>} [numberFormats] - Number format per column, set on the
+ *   inserted rows before the values are written (null leaves a column as is).
+ * @param {Object} [options] - Update options.
+ * @param {boolean} [options.staged=false] - Write the data to a hidden staging sheet
+ *   first and swap it in with a single copy, so readers never see the sheet half
+ *   empty (see SheetService__stagedReplace).
  * @returns {Object} Operation result with metadata.
  * @throws {Error} If the operation fails.
  * @example
@@ -29,8 +35,9 @@
  *   'Student data update'
  * );
  */
-function SheetService_updateSheet(spreadsheetId, sheetName, rangeToClear, data, context) {
+function SheetService_updateSheet(spreadsheetId, sheetName, rangeToClear, data, context, numberFormats, options) {
   context = context || 'Sheet update';
+  options = options || {};
   var timer = AppLogger_startTimer('updateSheet_' + sheetName);
   
   try {
@@ -39,6 +46,7 @@ function SheetService_updateSheet(spreadsheetId, sheetName, rangeToClear, data,
       sheetName: sheetName,
       rangeToClear: rangeToClear,
       rowCount: data.length,
+      staged: !!options.staged,
       context: context
     });
     
@@ -52,13 +60,17 @@ function SheetService_updateSheet(spreadsheetId, sheetName, rangeToClear, data,
     var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
     var sheet = SheetService__getSheet(spreadsheet, sheetName, context);
     
-    // Clear the existing data
-    SheetService__clearRange(sheet, rangeToClear, context);
-    
-    // Insert new data if provided
     var insertedRows = 0;
-    if (data.length > 0) {
-      insertedRows = SheetService__insertData(sheet, data, context);
+    if (options.staged) {
+      insertedRows = SheetService__stagedReplace(spreadsheet, sheet, rangeToClear, data, context, numberFormats);
+    } else {
+      // Clear the existing data
+      SheetService__clearRange(sheet, rangeToClear, context);
+      
+      // Insert new data if provided
+      if (data.length > 0) {
+        insertedRows = SheetService__insertData(sheet, data, context, numberFormats);
+      }
     }
     
     // Add timestamp note
@@ -70,6 +82,7 @@ function SheetService_updateSheet(spreadsheetId, sheetName, rangeToClear, data,
       rowsInserted: insertedRows,
       columnsInserted: data.length > 0 ? data[0].length : 0,
       rangeToClear: rangeToClear,
+      staged: !!options.staged,
       timestamp: DateUtils_getCurrentTimestamp()
     };
     
@@ -87,16 +100,138 @@ function SheetService_updateSheet(spreadsheetId, sheetName, rangeToClear, data,
   }
 }
 
+/**
+ * Upserts rows into a sheet from row 2 down, matched by primary key (see
+ * UpsertService_plan): rows with changed cells are rewritten in place, rows with new
+ * keys are appended, and rows whose key is gone are deleted (whole sheet rows, so cells
+ * users added to the right go with them), flagged or kept. Unchanged rows are not
+ * written, and only the data columns (plus the flag column for "flag", see
+ * SheetService__getFlagColumn) are; other columns are left alone.
+ * @param {string} spreadsheetId - The ID of the target spreadsheet.
+ * @param {string} sheetName - The name of the sheet to update.
+ * @param {Array<any>} header - The header row of the data (names the key columns).
+ * @param {Array<Array<any>>} data - The rows to upsert.
+ * @param {{primaryKey: Array<string>, onMissing: (string|undefined)}} upsert - Key
+ *   columns and the policy for missing rows (see UPSERT_MISSING_POLICIES).
+ * @param {string} [context] - Context for error messages.
+ * @param {Array<string|null>} [numberFormats] - Number format per column.
+ * @returns {Object} Operation result with metadata and the upsert counts.
+ * @throws {Error} If the keys are missing or duplicated, the flag column holds other
+ *   data (UPSERT_ERROR), or the sheet cannot be updated.
+ */
+function SheetService_upsertSheet(spreadsheetId, sheetName, header, data, upsert, context, numberFormats) {
+  context = context || 'Sheet upsert';
+  var timer = AppLogger_startTimer('upsertSheet_' + sheetName);
+  
+  try {
+    AppLogger_operationStart('upsertSheet', {
+      spreadsheetId: spreadsheetId,
+      sheetName: sheetName,
+      rowCount: data.length,
+      primaryKey: upsert.primaryKey,
+      onMissing: upsert.onMissing || 'delete',
+      context: context
+    });
+    
+    // Validate inputs
+    Validators_validateSpreadsheetId(spreadsheetId, context + '.spreadsheetId');
+    Validators_validateSheetName(sheetName, context + '.sheetName');
+    Validators_validateDataArray(data, context + '.data');
+    
+    var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
+    var sheet = SheetService__getSheet(spreadsheet, sheetName, context);
+    
+    // Read the managed columns of the current rows, with the flag as a last column
+    var width = header.length;
+    var lastRow = sheet.getLastRow();
+    var existing = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, width).getValues() : [];
+    var flagColumn = upsert.onMissing === 'flag' ? SheetService__getFlagColumn(sheet, width, context) : null;
+    if (flagColumn) {
+      existing = existing.map(function(row, index) {
+        return row.concat([flagColumn.values[index][0]]);
+      });
+    }
+    existing = existing.slice(0, SheetService__lastNonEmptyRow(existing));
+    
+    var plan = UpsertService_plan(header, existing, data, upsert.primaryKey, upsert.onMissing, context);
+    
+    // Delete from the bottom up so earlier positions stay valid
+    for (var i = plan.deletePositions.length - 1; i >= 0;) {
+      var count = 1;
+      while (i - count >= 0 && plan.deletePositions[i - count] === plan.deletePositions[i] - count) {
+        count++;
+      }
+      sheet.deleteRows(2 + plan.deletePositions[i] - count + 1, count);
+      i -= count;
+    }
+    
+    var total = plan.existingRows.length + plan.appendRows.length;
+    if (total > 0) {
+      SheetService__applyNumberFormats(sheet, 2, total, numberFormats);
+    }
+    if (flagColumn && flagColumn.added) {
+      sheet.getRange(1, flagColumn.column).setValue(CONFIG.UPSERT.flagColumnName);
+    }
+    
+    // Rewrite only the changed rows, a run of adjacent rows at a time
+    for (var j = 0; j < plan.changedPositions.length;) {
+      var run = 1;
+      while (j + run < plan.changedPositions.length && plan.changedPositions[j + run] === plan.changedPositions[j] + run) {
+        run++;
+      }
+      SheetService__writeUpsertRows(sheet, 2 + plan.changedPositions[j],
+        plan.existingRows.slice(plan.changedPositions[j], plan.changedPositions[j] + run), width, flagColumn);
+      j += run;
+    }
+    if (plan.appendRows.length > 0) {
+      SheetService__writeUpsertRows(sheet, 2 + plan.existingRows.length, plan.appendRows, width, flagColumn);
+    }
+    
+    AppLogger_dataProcessing('Rows upserted', data.length, {
+      sheetName: sheetName,
+      counts: plan.counts,
+      context: context
+    });
+    
+    SheetService__addTimestampNote(sheet, context);
+    
+    var result = {
+      spreadsheetId: spreadsheetId,
+      sheetName: sheetName,
+      rowsInserted: data.length,
+      columnsInserted: header.length,
+      writeMode: 'upsert',
+      upsert: plan.counts,
+      timestamp: DateUtils_getCurrentTimestamp()
+    };
+    
+    AppLogger_operationSuccess('upsertSheet', result, timer.stop());
+    return result;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('upsertSheet', error, {
+      spreadsheetId: spreadsheetId,
+      sheetName: sheetName,
+      context: context
+    });
+    throw error;
+  }
+}
+
 /**
  * Reads data from a specific sheet range.
  * @param {string} spreadsheetId - The ID of the source spreadsheet.
  * @param {string} sheetName - The name of the sheet to read from.
  * @param {string} range - The range to read (e.g., "A2:O").
  * @param {string} [context] - Context for error messages.
+ * @param {Object} [options] - Read options.
+ * @param {boolean} [options.keepEmptyRows=false] - Keep empty rows between data rows
+ *   where they are, so row i is the range's row i (trailing empty rows are still dropped).
  * @returns {Array<Array<any>>} The data from the specified range.
  * @throws {Error} If the operation fails.
  */
-function SheetService_readSheetData(spreadsheetId, sheetName, range, context) {
+function SheetService_readSheetData(spreadsheetId, sheetName, range, context, options) {
   context = context || 'Sheet read';
   var timer = AppLogger_startTimer('readSheetData_' + sheetName);
   
@@ -122,11 +257,13 @@ function SheetService_readSheetData(spreadsheetId, sheetName, range, context) {
     var data = dataRange.getValues();
     
     // Filter out empty rows
-    var nonEmptyData = data.filter(function(row) {
-      return row.some(function(cell) {
-        return cell !== null && cell !== undefined && cell !== '';
+    var nonEmptyData = options && options.keepEmptyRows ?
+      data.slice(0, SheetService__lastNonEmptyRow(data)) :
+      data.filter(function(row) {
+        return row.some(function(cell) {
+          return cell !== null && cell !== undefined && cell !== '';
+        });
       });
-    });
     
     AppLogger_operationSuccess('readSheetData', {
       totalRows: data.length,
@@ -148,6 +285,283 @@ function SheetService_readSheetData(spreadsheetId, sheetName, range, context) {
   }
 }
 
+/**
+ * Reads the header row (row 1) of a sheet from column A to the last column of a
+ * range, e.g. A1:O1 for "A2:O", or to the sheet's last column if no range is given.
+ * Header names are trimmed and trailing blank cells dropped.
+ * @param {string} spreadsheetId - The ID of the spreadsheet.
+ * @param {string} sheetName - The name of the sheet.
+ * @param {string} [range] - The range whose columns to read (e.g. the rangeToClear).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<string>} The header names.
+ * @throws {Error} If the sheet cannot be read.
+ */
+function SheetService_getHeaderRow(spreadsheetId, sheetName, range, context) {
+  context = context || 'Header read';
+  
+  Validators_validateSpreadsheetId(spreadsheetId, context + '.spreadsheetId');
+  Validators_validateSheetName(sheetName, context + '.sheetName');
+  if (range !== undefined) {
+    Validators_validateRange(range, context + '.range');
+  }
+  
+  var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
+  var sheet = SheetService__getSheet(spreadsheet, sheetName, context);
+  var lastColumn = range !== undefined ? sheet.getRange(range).getLastColumn() : sheet.getLastColumn();
+  if (lastColumn === 0) {
+    return [];
+  }
+  
+  var header = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(function(cell) {
+    return String(cell).trim();
+  });
+  while (header.length > 0 && header[header.length - 1] === '') {
+    header.pop();
+  }
+  
+  AppLogger_debug('Header row read', { sheetName: sheetName, columns: header.length, context: context });
+  return header;
+}
+
+/**
+ * Reads the cells of the column headed by a name in row 1 (searched over the whole
+ * header row, not only a range's columns), from the first row of a range to the
+ * sheet's last row, so they line up with SheetService_readSheetData's rows for the
+ * range read with keepEmptyRows.
+ * @param {string} spreadsheetId - The ID of the spreadsheet.
+ * @param {string} sheetName - The name of the sheet.
+ * @param {string} name - The header name of the column.
+ * @param {string} range - The data range whose rows to read (e.g. the rangeToClear).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<any>|null} The column's cells, or null if no column has the name.
+ * @throws {Error} If the sheet cannot be read.
+ */
+function SheetService_readColumnByHeader(spreadsheetId, sheetName, name, range, context) {
+  context = context || 'Column read';
+  
+  Validators_validateSpreadsheetId(spreadsheetId, context + '.spreadsheetId');
+  Validators_validateSheetName(sheetName, context + '.sheetName');
+  Validators_validateRange(range, context + '.range');
+  
+  var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
+  var sheet = SheetService__getSheet(spreadsheet, sheetName, context);
+  var column = SheetService_getHeaderRow(spreadsheetId, sheetName, undefined, context).indexOf(name) + 1;
+  if (column === 0) {
+    return null;
+  }
+  
+  var startRow = sheet.getRange(range).getRow();
+  var lastRow = sheet.getLastRow();
+  var cells = lastRow >= startRow ?
+    sheet.getRange(startRow, column, lastRow - startRow + 1, 1).getValues().map(function(row) { return row[0]; }) :
+    [];
+  
+  AppLogger_debug('Column read', { sheetName: sheetName, column: column, rows: cells.length, context: context });
+  return cells;
+}
+
+/**
+ * Counts the rows of a sheet from the first row of a range to the sheet's last row
+ * with content, e.g. the data rows under the header for "A2:O".
+ * @param {string} spreadsheetId - The ID of the spreadsheet.
+ * @param {string} sheetName - The name of the sheet.
+ * @param {string} range - The data range (e.g. the rangeToClear).
+ * @param {string} [context] - Context for error messages.
+ * @returns {number} The number of data rows.
+ * @throws {Error} If the sheet cannot be read.
+ */
+function SheetService_getDataRowCount(spreadsheetId, sheetName, range, context) {
+  context = context || 'Row count';
+  
+  Validators_validateSpreadsheetId(spreadsheetId, context + '.spreadsheetId');
+  Validators_validateSheetName(sheetName, context + '.sheetName');
+  Validators_validateRange(range, context + '.range');
+  
+  var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
+  var sheet = SheetService__getSheet(spreadsheet, sheetName, context);
+  var rowCount = Math.max(0, sheet.getLastRow() - sheet.getRange(range).getRow() + 1);
+  
+  AppLogger_debug('Data rows counted', { sheetName: sheetName, rows: rowCount, context: context });
+  return rowCount;
+}
+
+/**
+ * Counts the columns of a sheet from column A to the last column of a range, e.g. 15
+ * for "A2:O", the width of the rows an update of the range writes.
+ * @param {string} spreadsheetId - The ID of the spreadsheet.
+ * @param {string} sheetName - The name of the sheet.
+ * @param {string} range - The data range (e.g. the rangeToClear).
+ * @param {string} [context] - Context for error messages.
+ * @returns {number} The number of columns.
+ * @throws {Error} If the sheet cannot be read.
+ */
+function SheetService_getDataColumnCount(spreadsheetId, sheetName, range, context) {
+  context = context || 'Column count';
+  
+  Validators_validateSpreadsheetId(spreadsheetId, context + '.spreadsheetId');
+  Validators_validateSheetName(sheetName, context + '.sheetName');
+  Validators_validateRange(range, context + '.range');
+  
+  var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
+  var sheet = SheetService__getSheet(spreadsheet, sheetName, context);
+  var columnCount = sheet.getRange(range).getLastColumn();
+  
+  AppLogger_debug('Data columns counted', { sheetName: sheetName, columns: columnCount, context: context });
+  return columnCount;
+}
+
+/**
+ * Sets a developer metadata value on a sheet, replacing an existing value for the
+ * same key. Failures are logged and do not fail the calling operation.
+ * @param {string} spreadsheetId - The ID of the spreadsheet.
+ * @param {string} sheetName - The name of the sheet.
+ * @param {string} key - Metadata key.
+ * @param {string} value - Metadata value.
+ * @param {string} [context] - Context for log messages.
+ * @returns {boolean} True if the metadata was written.
+ */
+function SheetService_setSheetMetadata(spreadsheetId, sheetName, key, value, context) {
+  try {
+    var sheet = SheetService__getSheet(SheetService__openSpreadsheet(spreadsheetId, context), sheetName, context);
+    var existing = sheet.getDeveloperMetadata().filter(function(metadata) {
+      return metadata.getKey() === key;
+    });
+    
+    if (existing.length > 0) {
+      existing[0].setValue(value);
+    } else {
+      sheet.addDeveloperMetadata(key, value);
+    }
+    
+    AppLogger_debug('Sheet metadata set', { sheetName: sheetName, key: key, value: value, context: context });
+    return true;
+    
+  } catch (error) {
+    AppLogger_warn('Failed to set sheet metadata', {
+      sheetName: sheetName,
+      key: key,
+      error: error.message,
+      context: context
+    });
+    return false;
+  }
+}
+
+/**
+ * Appends rows below the last row of a sheet. The sheet is created if it does not
+ * exist, and the header row is written first if the sheet is empty.
+ * @param {string} spreadsheetId - The ID of the target spreadsheet.
+ * @param {string} sheetName - The name of the sheet to append to.
+ * @param {Array<Array<any>>} rows - The rows to append.
+ * @param {Array<any>} [header] - Header row for an empty sheet.
+ * @param {string} [context] - Context for error messages.
+ * @param {Array<string|null>} [numberFormats] - Number format per column for the appended rows.
+ * @returns {Object} Operation result with sheetName, startRow and rowsAppended.
+ * @throws {Error} If the operation fails.
+ */
+function SheetService_appendRows(spreadsheetId, sheetName, rows, header, context, numberFormats) {
+  context = context || 'Sheet append';
+  var timer = AppLogger_startTimer('appendRows_' + sheetName);
+  
+  try {
+    Validators_validateSpreadsheetId(spreadsheetId, context + '.spreadsheetId');
+    Validators_validateSheetName(sheetName, context + '.sheetName');
+    Validators_validateDataArray(rows, context + '.rows');
+    
+    var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
+    var sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      AppLogger_info('Sheet created', { sheetName: sheetName, context: context });
+    }
+    
+    if (header && header.length > 0 && sheet.getLastRow() === 0) {
+      sheet.getRange(1, 1, 1, header.length).setValues([header]);
+    }
+    
+    var startRow = sheet.getLastRow() + 1;
+    if (rows.length > 0) {
+      SheetService__applyNumberFormats(sheet, startRow, rows.length, numberFormats);
+      sheet.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows);
+    }
+    
+    var result = {
+      spreadsheetId: spreadsheetId,
+      sheetName: sheetName,
+      startRow: startRow,
+      rowsAppended: rows.length,
+      timestamp: DateUtils_getCurrentTimestamp()
+    };
+    
+    AppLogger_dataProcessing('Rows appended to sheet', rows.length, {
+      sheetName: sheetName,
+      startRow: startRow,
+      context: context
+    });
+    timer.stop();
+    return result;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('appendRows', error, {
+      spreadsheetId: spreadsheetId,
+      sheetName: sheetName,
+      context: context
+    });
+    throw error;
+  }
+}
+
+/**
+ * Removes the data rows (below the header row) that match a predicate, keeping the
+ * remaining rows in order. Does nothing if the sheet does not exist.
+ * @param {string} spreadsheetId - The ID of the spreadsheet.
+ * @param {string} sheetName - The name of the sheet.
+ * @param {function(Array<any>): boolean} predicate - Returns true for rows to remove.
+ * @param {string} [context] - Context for error messages.
+ * @returns {number} Number of rows removed.
+ * @throws {Error} If the operation fails.
+ */
+function SheetService_removeRows(spreadsheetId, sheetName, predicate, context) {
+  context = context || 'Sheet row removal';
+  
+  try {
+    var spreadsheet = SheetService__openSpreadsheet(spreadsheetId, context);
+    var sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return 0;
+    }
+    
+    var range = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn());
+    var rows = range.getValues();
+    var kept = rows.filter(function(row) { return !predicate(row); });
+    var removed = rows.length - kept.length;
+    
+    if (removed > 0) {
+      range.clearContent();
+      if (kept.length > 0) {
+        sheet.getRange(2, 1, kept.length, kept[0].length).setValues(kept);
+      }
+    }
+    
+    AppLogger_debug('Rows removed from sheet', {
+      sheetName: sheetName,
+      removed: removed,
+      kept: kept.length,
+      context: context
+    });
+    
+    return removed;
+    
+  } catch (error) {
+    throw ErrorHandler_createError(
+      context + ': Failed to remove rows from ' + sheetName,
+      ERROR_CODES.GENERAL_ERROR,
+      { sheetName: sheetName, originalError: error.message }
+    );
+  }
+}
+
 /**
  * Batch updates multiple sheets with validation.
  * @param {Array<Object>} updateOperations - Array of update operation objects.
@@ -190,7 +604,8 @@ function SheetService_batchUpdateSheets(updateOperations, context) {
           operation.sheetName,
           operation.rangeToClear,
           operation.data,
-          operationContext
+          operationContext,
+          operation.numberFormats
         );
         
         results.push({
@@ -302,9 +717,10 @@ function SheetService__clearRange(sheet, rangeToClear, context) {
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
  * @param {Array<Array<any>>} data - The data to insert.
  * @param {string} context - Context for error messages.
+ * @param {Array<string|null>} [numberFormats] - Number format per column.
  * @returns {number} Number of rows inserted.
  */
-function SheetService__insertData(sheet, data, context) {
+function SheetService__insertData(sheet, data, context, numberFormats) {
   try {
     if (data.length === 0) {
       return 0;
@@ -315,6 +731,9 @@ function SheetService__insertData(sheet, data, context) {
     var numRows = data.length;
     var numColumns = data[0].length;
     
+    // Formats go first so Sheets does not reinterpret the values (e.g. "001234")
+    SheetService__applyNumberFormats(sheet, startRow, numRows, numberFormats);
+    
     var range = sheet.getRange(startRow, startColumn, numRows, numColumns);
     range.setValues(data);
     
@@ -340,6 +759,310 @@ function SheetService__insertData(sheet, data, context) {
   }
 }
 
+/**
+ * Replaces a sheet's data through a hidden staging sheet:
+ * 1. rangeToClear must start at A2, where the data goes (as in an unstaged update),
+ *    and the data must have as many columns as the sheet's header row (within
+ *    rangeToClear), with every row the same width.
+ * 2. The header row and the data are written to the staging sheet and read back
+ *    (header row and row count).
+ * 3. Under the document lock, the verified block from row 2 down is written over the
+ *    sheet's data with a single setValues call, with blank cells clearing the old rows
+ *    the new data does not reach. If the write fails, the previous values are written back.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet object.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to update.
+ * @param {string} rangeToClear - The range holding the sheet's data.
+ * @param {Array<Array<any>>} data - The data to insert from row 2.
+ * @param {string} context - Context for error messages.
+ * @param {Array<string|null>} [numberFormats] - Number format per column.
+ * @returns {number} Number of rows inserted.
+ * @throws {Error} With code STAGED_WRITE_ERROR if the range does not start at A2, the
+ *   data does not fit the header row, the staged data does not verify, the lock cannot be taken or the swap fails (the
+ *   sheet keeps or gets back its previous values).
+ */
+function SheetService__stagedReplace(spreadsheet, sheet, rangeToClear, data, context, numberFormats) {
+  var dataColumns = data.length > 0 ? data[0].length : 0;
+  var range = sheet.getRange(rangeToClear);
+  var rangeColumns = range.getLastColumn();
+  var width = Math.max(dataColumns, rangeColumns);
+  var header = sheet.getRange(1, 1, 1, width).getValues()[0];
+  
+  // Step 1: Check the range's start and the data's width against the live header row
+  if (range.getRow() !== 2 || range.getColumn() !== 1) {
+    throw ErrorHandler_createError(
+      context + ': Staged writes need a rangeToClear starting at A2, not ' + rangeToClear + '; sheet left unchanged',
+      ERROR_CODES.STAGED_WRITE_ERROR,
+      { sheetName: sheet.getName(), rangeToClear: rangeToClear }
+    );
+  }
+  var headerColumns = rangeColumns;
+  while (headerColumns > 0 && String(header[headerColumns - 1]).trim() === '') {
+    headerColumns--;
+  }
+  var raggedRow = -1;
+  for (var i = 0; i < data.length && raggedRow === -1; i++) {
+    if (data[i].length !== dataColumns) {
+      raggedRow = i;
+    }
+  }
+  if (raggedRow !== -1 || (data.length > 0 && headerColumns > 0 && dataColumns !== headerColumns)) {
+    throw ErrorHandler_createError(
+      context + ': Data for ' + sheet.getName() + (raggedRow !== -1 ?
+        ' has rows of different widths (row ' + (raggedRow + 1) + ')' :
+        ' has ' + dataColumns + ' columns but the header row has ' + headerColumns) + '; sheet left unchanged',
+      ERROR_CODES.STAGED_WRITE_ERROR,
+      { sheetName: sheet.getName(), dataColumns: dataColumns, headerColumns: headerColumns, raggedRow: raggedRow + 1 || undefined }
+    );
+  }
+  
+  // Step 2: Write the header and data to the staging sheet and verify them
+  var staging = SheetService__getStagingSheet(spreadsheet, sheet.getName(), context);
+  staging.clearContents();
+  staging.getRange(1, 1, 1, width).setValues([header]);
+  if (data.length > 0) {
+    SheetService__applyNumberFormats(staging, 2, data.length, numberFormats);
+    staging.getRange(2, 1, data.length, dataColumns).setValues(data);
+  }
+  
+  var stagedHeader = staging.getRange(1, 1, 1, width).getValues()[0];
+  var expectedLastRow = SheetService__lastNonEmptyRow([header].concat(data));
+  if (stagedHeader.join('\u0000') !== header.join('\u0000') || staging.getLastRow() !== expectedLastRow) {
+    throw ErrorHandler_createError(
+      context + ': Staged data for ' + sheet.getName() + ' does not match what was written',
+      ERROR_CODES.STAGED_WRITE_ERROR,
+      {
+        sheetName: sheet.getName(),
+        stagingSheetName: staging.getName(),
+        expectedLastRow: expectedLastRow,
+        stagedLastRow: staging.getLastRow()
+      }
+    );
+  }
+  
+  // Step 3: Swap the staged block in with a single write, holding the document lock
+  var lock = SheetService__acquireLock(sheet.getName(), context);
+  var previous = [];
+  try {
+    var height = Math.max(sheet.getLastRow() - 1, data.length);
+    if (height > 0) {
+      previous = sheet.getRange(2, 1, height, width).getValues();
+      var block = staging.getRange(2, 1, height, width).getValues();
+      
+      try {
+        if (data.length > 0) {
+          SheetService__applyNumberFormats(sheet, 2, data.length, numberFormats);
+        }
+        sheet.getRange(2, 1, height, width).setValues(block);
+        SpreadsheetApp.flush();
+      } catch (error) {
+        var restored = SheetService__restoreValues(sheet, previous, context);
+        throw ErrorHandler_createError(
+          context + ': Failed to swap staged data into ' + sheet.getName() +
+            (restored ? '; previous data restored' : '; previous data could not be restored'),
+          ERROR_CODES.STAGED_WRITE_ERROR,
+          { sheetName: sheet.getName(), restored: restored, originalError: error.message }
+        );
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+  
+  staging.clearContents();
+  
+  AppLogger_dataProcessing('Staged data swapped into sheet', data.length, {
+    sheetName: sheet.getName(),
+    stagingSheetName: staging.getName(),
+    previousRows: previous.length,
+    context: context
+  });
+  
+  return data.length;
+}
+
+/**
+ * Takes the document lock (the script lock outside a container-bound project), so no
+ * other execution of the project writes the spreadsheet during a staged swap.
+ * @private
+ * @param {string} sheetName - The name of the sheet being updated.
+ * @param {string} context - Context for error messages.
+ * @returns {GoogleAppsScript.Lock.Lock} The lock, to be released by the caller.
+ * @throws {Error} With code STAGED_WRITE_ERROR if the lock is not free within
+ *   STAGED_WRITES.lockTimeoutMs (the sheet is left unchanged).
+ */
+function SheetService__acquireLock(sheetName, context) {
+  var lock = LockService.getDocumentLock() || LockService.getScriptLock();
+  try {
+    lock.waitLock(CONFIG.STAGED_WRITES.lockTimeoutMs);
+  } catch (error) {
+    throw ErrorHandler_createError(
+      context + ': Could not lock the spreadsheet to swap staged data into ' + sheetName + '; sheet left unchanged',
+      ERROR_CODES.STAGED_WRITE_ERROR,
+      { sheetName: sheetName, lockTimeoutMs: CONFIG.STAGED_WRITES.lockTimeoutMs, originalError: error.message }
+    );
+  }
+  return lock;
+}
+
+/**
+ * Gets the hidden staging sheet of a sheet, creating it if needed.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet object.
+ * @param {string} sheetName - The name of the sheet being updated.
+ * @param {string} context - Context for log messages.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The staging sheet.
+ */
+function SheetService__getStagingSheet(spreadsheet, sheetName, context) {
+  var stagingName = sheetName + CONFIG.STAGED_WRITES.sheetSuffix;
+  var staging = spreadsheet.getSheetByName(stagingName);
+  if (!staging) {
+    staging = spreadsheet.insertSheet(stagingName);
+    staging.hideSheet();
+    AppLogger_info('Staging sheet created', { sheetName: stagingName, context: context });
+  }
+  return staging;
+}
+
+/**
+ * Writes a sheet's previous data back after a failed staged swap.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {Array<Array<any>>} previous - The previous values from row 2 down.
+ * @param {string} context - Context for log messages.
+ * @returns {boolean} True if the previous values were written back.
+ */
+function SheetService__restoreValues(sheet, previous, context) {
+  try {
+    if (previous.length > 0) {
+      sheet.getRange(2, 1, previous.length, previous[0].length).setValues(previous);
+    }
+    AppLogger_warn('Previous sheet data restored after a failed staged write', {
+      sheetName: sheet.getName(),
+      rows: previous.length,
+      context: context
+    });
+    return true;
+  } catch (error) {
+    AppLogger_error('Failed to restore previous sheet data', error, {
+      sheetName: sheet.getName(),
+      context: context
+    });
+    return false;
+  }
+}
+
+/**
+ * Finds the flag column of an upserted sheet: the column headed UPSERT.flagColumnName
+ * in row 1, or else the column after the last header, to be headed when the rows are
+ * written. Either way its cells from row 2 down must be empty or flag times, so an
+ * upsert never writes over other data.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {number} width - Number of data columns.
+ * @param {string} context - Context for error messages.
+ * @returns {{column: number, added: boolean, values: Array<Array<any>>}} The 1-based
+ *   column, whether its header still has to be written, and its cells from row 2 to
+ *   the sheet's last row.
+ * @throws {Error} With code UPSERT_ERROR if the column is one of the data columns or
+ *   holds anything other than flag times (the sheet is left unchanged).
+ */
+function SheetService__getFlagColumn(sheet, width, context) {
+  var name = CONFIG.UPSERT.flagColumnName;
+  var lastColumn = Math.max(sheet.getLastColumn(), width);
+  var names = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(function(cell) {
+    return String(cell).trim();
+  });
+  
+  var index = names.indexOf(name);
+  var added = index === -1;
+  if (added) {
+    index = names.length;
+    while (index > width && names[index - 1] === '') {
+      index--;
+    }
+  } else if (index < width) {
+    throw ErrorHandler_createError(
+      context + ': ' + sheet.getName() + ' has its flag column ' + name + ' among the data columns; sheet left unchanged',
+      ERROR_CODES.UPSERT_ERROR,
+      { sheetName: sheet.getName(), flagColumnName: name, column: index + 1 }
+    );
+  }
+  
+  var lastRow = sheet.getLastRow();
+  var values = lastRow > 1 ? sheet.getRange(2, index + 1, lastRow - 1, 1).getValues() : [];
+  var flagTime = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+  for (var i = 0; i < values.length; i++) {
+    var cell = values[i][0];
+    if (cell !== '' && cell !== null && !(cell instanceof Date) && !flagTime.test(String(cell))) {
+      throw ErrorHandler_createError(
+        context + ': Column ' + (index + 1) + ' of ' + sheet.getName() + (added ? '' : ' (' + name + ')') +
+          ' holds data other than missing-row times (row ' + (i + 2) + '); sheet left unchanged',
+        ERROR_CODES.UPSERT_ERROR,
+        { sheetName: sheet.getName(), flagColumnName: name, column: index + 1, row: i + 2 }
+      );
+    }
+  }
+  
+  return { column: index + 1, added: added, values: values };
+}
+
+/**
+ * Writes upserted rows (see UpsertService_plan): the data columns from column A, and
+ * the flag cell of each row, if any, to the flag column.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {number} startRow - First sheet row to write.
+ * @param {Array<Array<any>>} rows - The rows, with the flag cell last for "flag".
+ * @param {number} width - Number of data columns.
+ * @param {{column: number}|null} flagColumn - The flag column (see SheetService__getFlagColumn).
+ * @returns {void}
+ */
+function SheetService__writeUpsertRows(sheet, startRow, rows, width, flagColumn) {
+  sheet.getRange(startRow, 1, rows.length, width).setValues(rows.map(function(row) {
+    return row.slice(0, width);
+  }));
+  if (flagColumn) {
+    sheet.getRange(startRow, flagColumn.column, rows.length, 1).setValues(rows.map(function(row) {
+      return [row[width]];
+    }));
+  }
+}
+
+/**
+ * Gets the 1-based number of the last row with a value, as Sheet.getLastRow would
+ * report it once the rows are written from row 1.
+ * @private
+ * @param {Array<Array<any>>} rows - The rows.
+ * @returns {number} The last non-empty row (0 if every row is empty).
+ */
+function SheetService__lastNonEmptyRow(rows) {
+  for (var i = rows.length - 1; i >= 0; i--) {
+    var hasValue = rows[i].some(function(cell) { return cell !== '' && cell !== null && cell !== undefined; });
+    if (hasValue) {
+      return i + 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Sets the number format of each column over a block of rows.
+ * @private
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object.
+ * @param {number} startRow - First row of the block.
+ * @param {number} numRows - Number of rows in the block.
+ * @param {Array<string|null>} [numberFormats] - Number format per column (null to skip).
+ * @returns {void}
+ */
+function SheetService__applyNumberFormats(sheet, startRow, numRows, numberFormats) {
+  (numberFormats || []).forEach(function(format, index) {
+    if (format) {
+      sheet.getRange(startRow, index + 1, numRows, 1).setNumberFormat(format);
+    }
+  });
+}
+
 /**
  * Adds a timestamp note to cell A1.
  * @private
@@ -439,7 +1162,15 @@ function SheetService_validateRequiredSheets(spreadsheetId, requiredSheets, cont
  */
 var SheetService = {
   updateSheet: SheetService_updateSheet,
+  upsertSheet: SheetService_upsertSheet,
   readSheetData: SheetService_readSheetData,
+  getHeaderRow: SheetService_getHeaderRow,
+  readColumnByHeader: SheetService_readColumnByHeader,
+  getDataRowCount: SheetService_getDataRowCount,
+  getDataColumnCount: SheetService_getDataColumnCount,
+  setSheetMetadata: SheetService_setSheetMetadata,
+  appendRows: SheetService_appendRows,
+  removeRows: SheetService_removeRows,
   batchUpdateSheets: SheetService_batchUpdateSheets,
   getSpreadsheetMetadata: SheetService_getSpreadsheetMetadata,
   validateRequiredSheets: SheetService_validateRequiredSheets,
@@ -447,5 +1178,13 @@ var SheetService = {
   _getSheet: SheetService__getSheet,
   _clearRange: SheetService__clearRange,
   _insertData: SheetService__insertData,
+  _stagedReplace: SheetService__stagedReplace,
+  _acquireLock: SheetService__acquireLock,
+  _getStagingSheet: SheetService__getStagingSheet,
+  _restoreValues: SheetService__restoreValues,
+  _getFlagColumn: SheetService__getFlagColumn,
+  _writeUpsertRows: SheetService__writeUpsertRows,
+  _lastNonEmptyRow: SheetService__lastNonEmptyRow,
+  _applyNumberFormats: SheetService__applyNumberFormats,
   _addTimestampNote: SheetService__addTimestampNote
 };
@@ -0,0 +1,490 @@
+/**
+ * Snapshot Service for DataLake Project
+ * Saves the contents of a dataset before an import replaces them, as a JSON file in
+ * Google Drive under "DataLake Snapshots/<sheetName>/<snapshotId>.json", and restores
+ * a dataset from one of its snapshots. Only the newest SNAPSHOTS.retentionCount
+ * snapshots of each dataset are kept.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Dataset snapshot and rollback service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} SnapshotMetadata
+ * Stored as JSON in the description of each snapshot file (and in the file itself,
+ * next to the rows).
+ * @property {string} snapshotId - Snapshot ID (yyyyMMdd-HHmmss-xxxxxxxx).
+ * @property {string} sheetName - The dataset the snapshot was taken of.
+ * @property {string} rangeToClear - The data range the rows were read from.
+ * @property {string} takenAt - ISO timestamp of the snapshot.
+ * @property {string} [runId] - ID of the import run that replaced the data.
+ * @property {Object} source - Where the replacing data came from: messageId,
+ *   emailSubject, emailDate and attachmentName of the report email, replay for
+ *   replays, or rollbackOf (a snapshot ID) for rollbacks.
+ * @property {number} rowCount - Rows in the snapshot.
+ * @property {number} columnCount - Columns in the snapshot.
+ */
+
+/**
+ * Checks whether snapshots are on for an email configuration.
+ * @param {Object} config - The email configuration object.
+ * @returns {boolean} True if datasets should be snapshotted before each import.
+ */
+function SnapshotService_isEnabled(config) {
+  return config.snapshot !== undefined ? config.snapshot === true : CONFIG.SNAPSHOTS.enabled === true;
+}
+
+/**
+ * Snapshots a route's sheet before an import replaces it. Failures are logged and
+ * never fail the import.
+ * @param {Object} route - The route (see Config_getEmailConfigRoutes).
+ * @param {Object} [run] - The import run (runId and source email details).
+ * @param {string} [context] - Context for log messages.
+ * @returns {SnapshotMetadata|{error: string}|null} The snapshot, the error, or null
+ *   if the sheet had no data.
+ */
+function SnapshotService_snapshotRoute(route, run, context) {
+  try {
+    return SnapshotService_takeSnapshot(route.sheetName, route.rangeToClear, run, context);
+  } catch (error) {
+    AppLogger_warn('Snapshot failed; importing without one', {
+      sheetName: route.sheetName,
+      error: error.message,
+      context: context
+    });
+    return { error: error.message };
+  }
+}
+
+/**
+ * Saves the current data of a sheet range as a snapshot, then trashes the dataset's
+ * snapshots beyond SNAPSHOTS.retentionCount. Date cells are kept as dates, and blank
+ * rows between data rows keep their place, so a restore puts every row back where it was.
+ * @param {string} sheetName - The dataset (sheet of the main spreadsheet).
+ * @param {string} rangeToClear - The data range, e.g. "A2:Z".
+ * @param {Object} [run] - The run about to replace the data: runId, messageId,
+ *   emailSubject, emailDate, attachmentName, replay, rollbackOf.
+ * @param {string} [context] - Context for error messages.
+ * @returns {SnapshotMetadata|null} The snapshot, or null if the range had no data.
+ * @throws {Error} With code SNAPSHOT_ERROR if the snapshot file cannot be created.
+ */
+function SnapshotService_takeSnapshot(sheetName, rangeToClear, run, context) {
+  context = context || 'Snapshot';
+  run = run || {};
+  var rows = SheetService_readSheetData(CONFIG.SPREADSHEETS.MAIN, sheetName, rangeToClear, context, { keepEmptyRows: true });
+  if (rows.length === 0) {
+    AppLogger_debug('Sheet is empty; no snapshot taken', { sheetName: sheetName, context: context });
+    return null;
+  }
+  
+  // Drop trailing columns of the range that hold no data
+  var columnCount = 0;
+  rows.forEach(function(row) {
+    for (var i = row.length; i > columnCount; i--) {
+      if (row[i - 1] !== '' && row[i - 1] !== null && row[i - 1] !== undefined) {
+        columnCount = i;
+        break;
+      }
+    }
+  });
+  
+  var now = new Date();
+  var metadata = {
+    snapshotId: DateUtils_formatDate(now, 'yyyyMMdd-HHmmss') + '-' + Utilities.getUuid().substring(0, 8),
+    sheetName: sheetName,
+    rangeToClear: rangeToClear,
+    takenAt: now.toISOString(),
+    runId: run.runId,
+    source: {
+      messageId: run.messageId,
+      emailSubject: run.emailSubject,
+      emailDate: run.emailDate,
+      attachmentName: run.attachmentName,
+      replay: run.replay,
+      rollbackOf: run.rollbackOf
+    },
+    rowCount: rows.length,
+    columnCount: columnCount
+  };
+  
+  var content = JSON.parse(JSON.stringify(metadata));
+  content.rows = rows.map(function(row) {
+    return row.slice(0, columnCount).map(SnapshotService__encodeCell);
+  });
+  
+  try {
+    var folder = SnapshotService__getFolder(sheetName, true);
+    var file = folder.createFile(Utilities.newBlob(JSON.stringify(content), 'application/json', metadata.snapshotId + '.json'));
+    file.setDescription(JSON.stringify(metadata));
+  } catch (error) {
+    throw ErrorHandler_createError(
+      context + ': Failed to save a snapshot of ' + sheetName,
+      ERROR_CODES.SNAPSHOT_ERROR,
+      { sheetName: sheetName, originalError: error.message }
+    );
+  }
+  
+  AppLogger_info('Snapshot saved', {
+    sheetName: sheetName,
+    snapshotId: metadata.snapshotId,
+    rows: metadata.rowCount,
+    runId: metadata.runId,
+    context: context
+  });
+  
+  SnapshotService__applyRetention(folder, sheetName);
+  return metadata;
+}
+
+/**
+ * Lists the snapshots of a dataset, newest first.
+ * @param {string} sheetName - The dataset.
+ * @param {number} [limit] - Return at most this many snapshots.
+ * @returns {Array<SnapshotMetadata>} The snapshots.
+ */
+function SnapshotService_listSnapshots(sheetName, limit) {
+  var folder = SnapshotService__getFolder(sheetName, false);
+  if (!folder) {
+    return [];
+  }
+  
+  var snapshots = SnapshotService__getFiles(folder).map(function(file) {
+    return SnapshotService__readMetadata(file);
+  }).filter(function(metadata) {
+    return metadata !== null;
+  });
+  return limit !== undefined ? snapshots.slice(0, limit) : snapshots;
+}
+
+/**
+ * Restores a dataset from one of its snapshots, through the same sheet update as an
+ * import. The data being replaced is snapshotted first, so a rollback can be undone.
+ * Datasets imported with writeMode "upsert" are not restored: replacing their rows
+ * would move them away from the cells users keep to the right of the data.
+ * @param {string} sheetName - The dataset to restore.
+ * @param {string} snapshotId - The snapshot to restore (see SnapshotService_listSnapshots).
+ * @param {string} [context] - Context for error messages.
+ * @returns {Object} Sheet update result with snapshotId, takenAt and the snapshot of
+ *   the replaced data (previousSnapshot).
+ * @throws {Error} With code SNAPSHOT_ERROR if the dataset is upserted or the snapshot
+ *   does not exist or cannot be read; or if the sheet update fails.
+ */
+function SnapshotService_restore(sheetName, snapshotId, context) {
+  context = context || 'rollbackDataset';
+  var timer = AppLogger_startTimer('rollbackDataset_' + sheetName);
+  
+  try {
+    AppLogger_operationStart('rollbackDataset', { sheetName: sheetName, snapshotId: snapshotId, context: context });
+    
+    Validators_validateSheetName(sheetName, context + '.sheetName');
+    var owner = SnapshotService__findRoute(sheetName);
+    if (owner && owner.route.writeMode === 'upsert') {
+      throw ErrorHandler_createError(
+        context + ': ' + sheetName + ' is upserted, so a snapshot cannot replace it; restore rows by hand from snapshot ' + snapshotId,
+        ERROR_CODES.SNAPSHOT_ERROR,
+        { sheetName: sheetName, snapshotId: snapshotId, writeMode: owner.route.writeMode }
+      );
+    }
+    var staged = owner && owner.config.stagedWrite !== undefined ?
+      owner.config.stagedWrite :
+      CONFIG.STAGED_WRITES.enabled;
+    var file = SnapshotService__findFile(sheetName, snapshotId);
+    if (!file) {
+      throw ErrorHandler_createError(
+        context + ': No snapshot ' + snapshotId + ' for ' + sheetName,
+        ERROR_CODES.SNAPSHOT_ERROR,
+        { sheetName: sheetName, snapshotId: snapshotId }
+      );
+    }
+    
+    var snapshot;
+    try {
+      snapshot = JSON.parse(file.getBlob().getDataAsString());
+    } catch (error) {
+      throw ErrorHandler_createError(
+        context + ': Snapshot ' + snapshotId + ' of ' + sheetName + ' cannot be read',
+        ERROR_CODES.SNAPSHOT_ERROR,
+        { sheetName: sheetName, snapshotId: snapshotId, originalError: error.message }
+      );
+    }
+    
+    // Fit the rows to what the update accepts: the header row's width for a staged
+    // write, else the range's; the snapshot dropped trailing empty columns
+    var width = staged ?
+      SheetService_getHeaderRow(CONFIG.SPREADSHEETS.MAIN, sheetName, snapshot.rangeToClear, context).length :
+      SheetService_getDataColumnCount(CONFIG.SPREADSHEETS.MAIN, sheetName, snapshot.rangeToClear, context);
+    var droppedCells = 0;
+    var rows = snapshot.rows.map(function(row) {
+      var cells = row.map(SnapshotService__decodeCell);
+      while (cells.length < width) {
+        cells.push('');
+      }
+      droppedCells += cells.slice(width).filter(function(cell) { return cell !== ''; }).length;
+      return cells.slice(0, width);
+    });
+    if (droppedCells > 0) {
+      AppLogger_warn('Snapshot cells outside the restored columns are not restored', {
+        sheetName: sheetName,
+        snapshotId: snapshotId,
+        columns: width,
+        droppedCells: droppedCells,
+        context: context
+      });
+    }
+    
+    var previousSnapshot = SnapshotService_takeSnapshot(sheetName, snapshot.rangeToClear, {
+      runId: Utilities.getUuid(),
+      rollbackOf: snapshotId
+    }, context);
+    
+    var result = SheetService_updateSheet(
+      CONFIG.SPREADSHEETS.MAIN,
+      sheetName,
+      snapshot.rangeToClear,
+      rows,
+      context,
+      undefined,
+      { staged: staged }
+    );
+    result.snapshotId = snapshotId;
+    result.takenAt = snapshot.takenAt;
+    result.previousSnapshot = previousSnapshot;
+    
+    AppLogger_operationSuccess('rollbackDataset', result, timer.stop());
+    return result;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('rollbackDataset', error, { sheetName: sheetName, snapshotId: snapshotId, context: context });
+    throw error;
+  }
+}
+
+/**
+ * Creates the HTML for the rollback dialog: the newest snapshots of every dataset
+ * that can be restored (up to SNAPSHOTS.maxListed each) and a button that calls
+ * rollbackDataset.
+ * @returns {string} HTML content for the dialog.
+ */
+function SnapshotService_createRollbackDialogContent() {
+  var groups = [];
+  CONFIG.EMAIL_CONFIGS.forEach(function(config) {
+    Config_getEmailConfigRoutes(config).forEach(function(route) {
+      if (route.writeMode !== 'upsert' && groups.indexOf(route.sheetName) === -1) {
+        groups.push(route.sheetName);
+      }
+    });
+  });
+  
+  var options = groups.map(function(sheetName) {
+    var snapshots = SnapshotService_listSnapshots(sheetName, CONFIG.SNAPSHOTS.maxListed);
+    if (snapshots.length === 0) {
+      return '';
+    }
+    return '<optgroup label="' + Utils_escapeHtml(sheetName) + '">' +
+      snapshots.map(function(snapshot) {
+        var label = DateUtils_formatDate(new Date(snapshot.takenAt), 'yyyy-MM-dd HH:mm') + ' · ' +
+          snapshot.rowCount + ' rows' +
+          (snapshot.source && snapshot.source.rollbackOf ? ' · before rollback' : '') +
+          (snapshot.source && snapshot.source.emailSubject ? ' · before ' + snapshot.source.emailSubject : '');
+        return '<option value="' + Utils_escapeHtml(JSON.stringify([sheetName, snapshot.snapshotId])) + '">' +
+          Utils_escapeHtml(label) + '</option>';
+      }).join('') +
+      '</optgroup>';
+  }).join('');
+  
+  if (options === '') {
+    return '<div style="font-family: Arial, sans-serif; font-size: 14px;">' +
+           '<p>No snapshots yet. A snapshot is saved each time an import replaces a dataset; upserted datasets are not listed.</p>' +
+           '</div>';
+  }
+  
+  return '<div style="font-family: Arial, sans-serif; font-size: 14px;">' +
+         '<p>Restore a dataset to its contents before an import.</p>' +
+         '<p><label>Snapshot<br><select id="snapshot">' + options + '</select></label></p>' +
+         '<p><button id="run" onclick="rollback()">Roll Back</button> <span id="status"></span></p>' +
+         '</div>' +
+         '<script>' +
+         'function rollback() {' +
+         '  var choice = JSON.parse(document.getElementById("snapshot").value);' +
+         '  if (!confirm("Replace " + choice[0] + " with snapshot " + choice[1] + "?")) { return; }' +
+         '  var button = document.getElementById("run");' +
+         '  var status = document.getElementById("status");' +
+         '  button.disabled = true;' +
+         '  status.textContent = "Rolling back...";' +
+         '  google.script.run' +
+         '    .withSuccessHandler(function(result) {' +
+         '      status.textContent = "Done: " + result.rowsInserted + " rows restored.";' +
+         '      button.disabled = false;' +
+         '    })' +
+         '    .withFailureHandler(function(error) {' +
+         '      status.textContent = "Failed: " + error.message;' +
+         '      button.disabled = false;' +
+         '    })' +
+         '    .rollbackDataset(choice[0], choice[1]);' +
+         '}' +
+         '</script>';
+}
+
+/**
+ * Finds the route that imports a dataset, with its email configuration.
+ * @private
+ * @param {string} sheetName - The dataset.
+ * @returns {{config: Object, route: Object}|null} The first route (see
+ *   Config_getEmailConfigRoutes) writing the sheet and its configuration, or null if
+ *   no email configuration writes it.
+ */
+function SnapshotService__findRoute(sheetName) {
+  for (var i = 0; i < CONFIG.EMAIL_CONFIGS.length; i++) {
+    var routes = Config_getEmailConfigRoutes(CONFIG.EMAIL_CONFIGS[i]);
+    for (var j = 0; j < routes.length; j++) {
+      if (routes[j].sheetName === sheetName) {
+        return { config: CONFIG.EMAIL_CONFIGS[i], route: routes[j] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets a dataset's snapshot folder (in My Drive).
+ * @private
+ * @param {string} sheetName - The dataset.
+ * @param {boolean} create - Create missing folders.
+ * @returns {GoogleAppsScript.Drive.Folder|null} The folder, or null if it does not exist.
+ */
+function SnapshotService__getFolder(sheetName, create) {
+  var folder = DriveApp.getRootFolder();
+  var path = [CONFIG.SNAPSHOTS.rootFolderName, sheetName];
+  
+  for (var i = 0; i < path.length; i++) {
+    var matches = folder.getFoldersByName(path[i]);
+    if (matches.hasNext()) {
+      folder = matches.next();
+    } else if (create) {
+      folder = folder.createFolder(path[i]);
+    } else {
+      return null;
+    }
+  }
+  
+  return folder;
+}
+
+/**
+ * Gets the snapshot files of a folder, newest first by takenAt (snapshot IDs sort by
+ * time to the second).
+ * @private
+ * @param {GoogleAppsScript.Drive.Folder} folder - A dataset's snapshot folder.
+ * @returns {Array<GoogleAppsScript.Drive.File>} The snapshot files.
+ */
+function SnapshotService__getFiles(folder) {
+  var files = [];
+  var iterator = folder.getFiles();
+  while (iterator.hasNext()) {
+    var file = iterator.next();
+    if (/\.json$/.test(file.getName())) {
+      files.push(file);
+    }
+  }
+  return files.map(function(file) {
+    var metadata = SnapshotService__readMetadata(file);
+    return { file: file, key: (metadata && metadata.takenAt ? metadata.takenAt : '') + '|' + file.getName() };
+  }).sort(function(a, b) {
+    return a.key < b.key ? 1 : a.key > b.key ? -1 : 0;
+  }).map(function(entry) {
+    return entry.file;
+  });
+}
+
+/**
+ * Finds the file of a snapshot.
+ * @private
+ * @param {string} sheetName - The dataset.
+ * @param {string} snapshotId - The snapshot ID.
+ * @returns {GoogleAppsScript.Drive.File|null} The file, or null if it does not exist.
+ */
+function SnapshotService__findFile(sheetName, snapshotId) {
+  var folder = SnapshotService__getFolder(sheetName, false);
+  if (!folder) {
+    return null;
+  }
+  var files = folder.getFilesByName(snapshotId + '.json');
+  return files.hasNext() ? files.next() : null;
+}
+
+/**
+ * Reads the snapshot metadata of a snapshot file.
+ * @private
+ * @param {GoogleAppsScript.Drive.File} file - A snapshot file.
+ * @returns {SnapshotMetadata|null} The metadata, or null if the description is not snapshot metadata.
+ */
+function SnapshotService__readMetadata(file) {
+  try {
+    var metadata = JSON.parse(file.getDescription() || '');
+    return metadata && typeof metadata === 'object' && metadata.snapshotId ? metadata : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Trashes a dataset's snapshots beyond CONFIG.SNAPSHOTS.retentionCount, oldest first.
+ * @private
+ * @param {GoogleAppsScript.Drive.Folder} folder - The dataset's snapshot folder.
+ * @param {string} sheetName - The dataset (for logs).
+ * @returns {number} Snapshots trashed.
+ */
+function SnapshotService__applyRetention(folder, sheetName) {
+  var expired = SnapshotService__getFiles(folder).slice(CONFIG.SNAPSHOTS.retentionCount);
+  expired.forEach(function(file) {
+    file.setTrashed(true);
+  });
+  
+  if (expired.length > 0) {
+    AppLogger_debug('Expired snapshots trashed', { sheetName: sheetName, trashed: expired.length });
+  }
+  return expired.length;
+}
+
+/**
+ * Encodes a cell for JSON; dates become {date: ISO string}.
+ * @private
+ * @param {any} cell - The cell value.
+ * @returns {any} The JSON-safe value.
+ */
+function SnapshotService__encodeCell(cell) {
+  return cell instanceof Date ? { date: cell.toISOString() } : cell;
+}
+
+/**
+ * Decodes a cell encoded by SnapshotService__encodeCell.
+ * @private
+ * @param {any} cell - The stored value.
+ * @returns {any} The cell value.
+ */
+function SnapshotService__decodeCell(cell) {
+  return cell && typeof cell === 'object' && typeof cell.date === 'string' ? new Date(cell.date) : cell;
+}
+
+/**
+ * SnapshotService object for backward compatibility and easier access.
+ * @namespace SnapshotService
+ */
+var SnapshotService = {
+  isEnabled: SnapshotService_isEnabled,
+  snapshotRoute: SnapshotService_snapshotRoute,
+  takeSnapshot: SnapshotService_takeSnapshot,
+  listSnapshots: SnapshotService_listSnapshots,
+  restore: SnapshotService_restore,
+  createRollbackDialogContent: SnapshotService_createRollbackDialogContent,
+  _findRoute: SnapshotService__findRoute,
+  _getFolder: SnapshotService__getFolder,
+  _getFiles: SnapshotService__getFiles,
+  _findFile: SnapshotService__findFile,
+  _readMetadata: SnapshotService__readMetadata,
+  _applyRetention: SnapshotService__applyRetention,
+  _encodeCell: SnapshotService__encodeCell,
+  _decodeCell: SnapshotService__decodeCell
+};
@@ -0,0 +1,272 @@
+/**
+ * Transform Service for DataLake Project
+ * Normalizes imported rows column by column before they are written: trimming,
+ * case, zero-padded IDs, date parsing in CONFIG.SETTINGS.timezone, phone
+ * formatting and empty-to-null. Also works out the number format each column
+ * needs so Sheets keeps the normalized values (e.g. leading zeros).
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Row normalization service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} NormalizerRule
+ * Rules applied to one column, in this order:
+ * @property {boolean} [trim] - Remove surrounding whitespace from text.
+ * @property {boolean} [emptyToNull] - Write empty values as null (blank cells).
+ * @property {string} [case] - "upper", "lower" or "title".
+ * @property {number} [padLength] - Zero-pad numeric IDs to this many digits.
+ * @property {boolean} [date] - Parse text dates (M/d/yyyy, yyyy-MM-dd, optional time).
+ * @property {boolean} [phone] - Format 10-digit phone numbers as (210) 555-0100.
+ * @property {string} [numberFormat] - Number format for the column (defaults to
+ *   plain text for padded IDs and phones, NORMALIZATION.dateNumberFormat for dates).
+ */
+
+/**
+ * @typedef {Object} NormalizeResult
+ * @property {Array<Array<any>>} rows - The normalized rows.
+ * @property {Array<string|null>} numberFormats - Number format per column (null to leave as is).
+ * @property {number} changedValues - Number of cells whose value changed.
+ * @property {Array<string>} invalidValues - Cells that could not be normalized (kept as is),
+ *   up to NORMALIZATION.maxReportedValues.
+ * @property {number} invalidValueCount - Number of cells that could not be normalized.
+ * @property {Array<string>} missingColumns - Normalizer columns not in the header.
+ */
+
+/**
+ * Normalizes rows with per-column rules. The "*" entry applies to every column;
+ * a column's own entry overrides it rule by rule.
+ * @param {Array<any>} header - The header row.
+ * @param {Array<Array<any>>} rows - The data rows.
+ * @param {Object<string, NormalizerRule>} normalizers - Header name -> rules.
+ * @param {string} [context] - Context for log messages.
+ * @returns {NormalizeResult} The normalized rows and column formats.
+ */
+function TransformService_normalizeRows(header, rows, normalizers, context) {
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  var timezone = CONFIG.SETTINGS.timezone;
+  
+  var missingColumns = Object.keys(normalizers).filter(function(name) {
+    return name !== '*' && names.indexOf(name) === -1;
+  });
+  
+  var rules = names.map(function(name) {
+    return name === '' ? null : TransformService__ruleFor(normalizers, name);
+  });
+  
+  var changedValues = 0;
+  var invalidValues = [];
+  var invalidValueCount = 0;
+  
+  var normalizedRows = rows.map(function(row, rowIndex) {
+    return row.map(function(value, columnIndex) {
+      var rule = rules[columnIndex];
+      if (!rule) {
+        return value;
+      }
+      var normalized = TransformService_normalizeValue(value, rule, timezone);
+      if (normalized.invalid) {
+        invalidValueCount++;
+        if (invalidValues.length < CONFIG.NORMALIZATION.maxReportedValues) {
+          // Row numbers as in the sheet (row 1 is the header)
+          invalidValues.push('row ' + (rowIndex + 2) + ' ' + names[columnIndex] + ': ' + value);
+        }
+      }
+      if (!TransformService__sameValue(value, normalized.value)) {
+        changedValues++;
+      }
+      return normalized.value;
+    });
+  });
+  
+  AppLogger_dataProcessing('Rows normalized', normalizedRows.length, {
+    changedValues: changedValues,
+    invalidValueCount: invalidValueCount,
+    context: context
+  });
+  
+  return {
+    rows: normalizedRows,
+    numberFormats: rules.map(TransformService_getNumberFormat),
+    changedValues: changedValues,
+    invalidValues: invalidValues,
+    invalidValueCount: invalidValueCount,
+    missingColumns: missingColumns
+  };
+}
+
+/**
+ * Normalizes one value. Values that a date, phone or padLength rule cannot handle
+ * are returned unchanged and flagged invalid.
+ * @param {any} value - The cell value.
+ * @param {NormalizerRule} rule - The column's rules.
+ * @param {string} [timezone] - Timezone for parsed dates (defaults to CONFIG.SETTINGS.timezone).
+ * @returns {{value: any, invalid: boolean}} The normalized value.
+ */
+function TransformService_normalizeValue(value, rule, timezone) {
+  if (typeof value === 'string' && rule.trim) {
+    value = value.trim();
+  }
+  
+  var isEmpty = value === '' || value === null || value === undefined ||
+    (typeof value === 'string' && value.trim() === '');
+  if (isEmpty) {
+    return { value: rule.emptyToNull ? null : value, invalid: false };
+  }
+  
+  if (typeof value === 'string' && rule['case']) {
+    value = TransformService__changeCase(value, rule['case']);
+  }
+  
+  var normalized = value;
+  if (rule.padLength) {
+    normalized = TransformService_padId(value, rule.padLength);
+  } else if (rule.date) {
+    normalized = value instanceof Date ? value : DateUtils_parseDateString(String(value), timezone);
+  } else if (rule.phone) {
+    normalized = TransformService_formatPhone(value);
+  }
+  
+  return normalized === null ? { value: value, invalid: true } : { value: normalized, invalid: false };
+}
+
+/**
+ * Zero-pads a numeric ID, e.g. 1234 -> "001234" for a length of 6. Longer IDs are
+ * kept whole.
+ * @param {number|string} value - The ID.
+ * @param {number} length - Minimum number of digits.
+ * @returns {string|null} The padded ID, or null if the value is not a whole number.
+ */
+function TransformService_padId(value, length) {
+  var text = typeof value === 'number' ?
+    (isFinite(value) && Math.floor(value) === value && value >= 0 ? String(value) : '') :
+    String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    return null;
+  }
+  while (text.length < length) {
+    text = '0' + text;
+  }
+  return text;
+}
+
+/**
+ * Formats a US phone number as "(210) 555-0100", keeping an extension as " x123".
+ * @param {number|string} value - The phone number in any common format.
+ * @returns {string|null} The formatted number, or null if it does not have 10 digits
+ *   (11 with a leading 1).
+ */
+function TransformService_formatPhone(value) {
+  var text = String(value);
+  var extension = /\s*(?:x|ext\.?)\s*(\d+)\s*$/i.exec(text);
+  if (extension) {
+    text = text.substring(0, extension.index);
+  }
+  
+  var digits = text.replace(/\D/g, '');
+  if (digits.length === 11 && digits.charAt(0) === '1') {
+    digits = digits.substring(1);
+  }
+  if (digits.length !== 10) {
+    return null;
+  }
+  
+  return '(' + digits.substring(0, 3) + ') ' + digits.substring(3, 6) + '-' + digits.substring(6) +
+    (extension ? ' x' + extension[1] : '');
+}
+
+/**
+ * Gets the number format a column needs for its normalized values.
+ * @param {NormalizerRule|null} rule - The column's rules.
+ * @returns {string|null} The number format, or null to leave the column's format as is.
+ */
+function TransformService_getNumberFormat(rule) {
+  if (!rule) {
+    return null;
+  }
+  if (rule.numberFormat) {
+    return rule.numberFormat;
+  }
+  if (rule.date) {
+    return CONFIG.NORMALIZATION.dateNumberFormat;
+  }
+  if (rule.padLength || rule.phone) {
+    // Plain text, so Sheets does not turn "001234" back into 1234
+    return '@';
+  }
+  return null;
+}
+
+/**
+ * Merges the "*" rules with a column's own rules.
+ * @private
+ * @param {Object<string, NormalizerRule>} normalizers - Header name -> rules.
+ * @param {string} name - The column's header name.
+ * @returns {NormalizerRule|null} The column's rules, or null if it has none.
+ */
+function TransformService__ruleFor(normalizers, name) {
+  var defaults = normalizers['*'];
+  var own = normalizers.hasOwnProperty(name) ? normalizers[name] : null;
+  if (!defaults && !own) {
+    return null;
+  }
+  
+  var rule = {};
+  [defaults, own].forEach(function(source) {
+    for (var key in source) {
+      if (source && source.hasOwnProperty(key)) {
+        rule[key] = source[key];
+      }
+    }
+  });
+  return rule;
+}
+
+/**
+ * Changes the case of a text value.
+ * @private
+ * @param {string} text - The text.
+ * @param {string} mode - "upper", "lower" or "title".
+ * @returns {string} The converted text.
+ */
+function TransformService__changeCase(text, mode) {
+  if (mode === 'upper') {
+    return text.toUpperCase();
+  }
+  if (mode === 'lower') {
+    return text.toLowerCase();
+  }
+  return text.toLowerCase().replace(/(^|[\s\-])([a-z])/g, function(match, separator, letter) {
+    return separator + letter.toUpperCase();
+  });
+}
+
+/**
+ * Compares a value before and after normalization.
+ * @private
+ * @param {any} before - The original value.
+ * @param {any} after - The normalized value.
+ * @returns {boolean} True if the value did not change.
+ */
+function TransformService__sameValue(before, after) {
+  if (before instanceof Date && after instanceof Date) {
+    return before.getTime() === after.getTime();
+  }
+  return before === after;
+}
+
+/**
+ * TransformService object for backward compatibility and easier access.
+ * @namespace TransformService
+ */
+var TransformService = {
+  normalizeRows: TransformService_normalizeRows,
+  normalizeValue: TransformService_normalizeValue,
+  padId: TransformService_padId,
+  formatPhone: TransformService_formatPhone,
+  getNumberFormat: TransformService_getNumberFormat,
+  _ruleFor: TransformService__ruleFor,
+  _changeCase: TransformService__changeCase,
+  _sameValue: TransformService__sameValue
+};
@@ -0,0 +1,205 @@
+/**
+ * Upsert Service for DataLake Project
+ * Plans an upsert of new rows into a sheet's existing rows, matched by primary key:
+ * changed cells are updated in place, new keys are appended, and keys missing from
+ * the new rows are deleted, flagged or kept. Only the data columns (plus the flag
+ * column) are managed, so columns to their right that users add by hand, such as
+ * notes, stay on their rows.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Keyed upsert planning service for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * @typedef {Object} UpsertPlan
+ * @property {Array<Array<any>>} existingRows - The existing rows after the upsert, in
+ *   sheet order, without the deleted rows.
+ * @property {Array<number>} changedPositions - Positions (0-based, in existingRows) of
+ *   the rows with changed cells, in ascending order; only these need writing.
+ * @property {Array<number>} deletePositions - Positions (0-based, in the existing rows
+ *   as read) of the rows to delete, in ascending order.
+ * @property {Array<Array<any>>} appendRows - Rows with new keys, to add after the existing rows.
+ * @property {Object} counts - matched, updatedRows, changedCells, appended, deleted, flagged and kept rows.
+ */
+
+/**
+ * Write modes of email configurations and push targets.
+ */
+var WRITE_MODES = ['replace', 'upsert'];
+
+/**
+ * What an upsert does with existing rows whose key is not in the new rows.
+ */
+var UPSERT_MISSING_POLICIES = ['delete', 'flag', 'keep'];
+
+/**
+ * Plans an upsert. Existing rows whose key cells are all empty are left as they are.
+ * With the "flag" policy the rows carry one more column, the flag column: empty for
+ * rows in the new data, and the time a row first went missing otherwise (in the sheet,
+ * the column headed UPSERT.flagColumnName; see SheetService_upsertSheet).
+ * @param {Array<any>} header - The header row of the new rows.
+ * @param {Array<Array<any>>} existingRows - The sheet's current rows (data columns,
+ *   plus the flag column for "flag").
+ * @param {Array<Array<any>>} rows - The new rows.
+ * @param {Array<string>} primaryKey - Header names of the key columns.
+ * @param {string} [onMissing="delete"] - One of UPSERT_MISSING_POLICIES.
+ * @param {string} [context] - Context for error messages.
+ * @returns {UpsertPlan} The plan.
+ * @throws {Error} With code DUPLICATE_KEY if a key column is not in the header or a
+ *   key is on more than one new row, or UPSERT_ERROR if a new row has no key.
+ */
+function UpsertService_plan(header, existingRows, rows, primaryKey, onMissing, context) {
+  context = context || 'Upsert';
+  onMissing = onMissing || 'delete';
+  var flag = onMissing === 'flag';
+  var width = header.length;
+  
+  // Fails on missing key columns and duplicated keys
+  DedupeService_apply(header, rows, primaryKey, 'fail', context);
+  
+  var names = header.map(function(cell) { return String(cell).trim(); });
+  var indexes = primaryKey.map(function(column) { return names.indexOf(column); });
+  var incoming = {};
+  rows.forEach(function(row, position) {
+    var key = UpsertService_getKey(row, indexes);
+    if (key === null) {
+      throw ErrorHandler_createError(
+        context + ': Row ' + (position + 1) + ' has no ' + primaryKey.join(', ') + ' value; upserted rows need a key',
+        ERROR_CODES.UPSERT_ERROR,
+        { primaryKey: primaryKey, row: position + 1 }
+      );
+    }
+    if (incoming.hasOwnProperty(key)) {
+      throw ErrorHandler_createError(
+        context + ': Row ' + (position + 1) + ' repeats the key ' + JSON.parse(key).join(' | '),
+        ERROR_CODES.DUPLICATE_KEY,
+        { primaryKey: primaryKey, row: position + 1 }
+      );
+    }
+    incoming[key] = row;
+  });
+  
+  var counts = { matched: 0, updatedRows: 0, changedCells: 0, appended: 0, deleted: 0, flagged: 0, kept: 0 };
+  var flaggedAt = DateUtils_getCurrentTimestamp();
+  var seen = {};
+  var kept = [];
+  var deletePositions = [];
+  var changedPositions = [];
+  
+  existingRows.forEach(function(existing, position) {
+    var key = UpsertService_getKey(existing, indexes);
+    if (key === null) {
+      kept.push(existing);
+      return;
+    }
+    
+    // A key already matched higher up is a leftover duplicate: treat it as missing
+    if (incoming.hasOwnProperty(key) && !seen.hasOwnProperty(key)) {
+      seen[key] = true;
+      counts.matched++;
+      var updated = incoming[key].slice(0, width);
+      while (updated.length < width) {
+        updated.push('');
+      }
+      if (flag) {
+        updated.push('');
+      }
+      var changed = updated.filter(function(cell, index) {
+        return !UpsertService_sameValue(existing[index], cell);
+      }).length;
+      if (changed > 0) {
+        counts.updatedRows++;
+        counts.changedCells += changed;
+        changedPositions.push(kept.length);
+      }
+      kept.push(updated);
+      return;
+    }
+    
+    if (onMissing === 'delete') {
+      deletePositions.push(position);
+      counts.deleted++;
+    } else if (flag) {
+      var flagged = existing.slice();
+      if (UpsertService_sameValue(flagged[width], '')) {
+        flagged[width] = flaggedAt;
+        counts.changedCells++;
+        changedPositions.push(kept.length);
+      }
+      kept.push(flagged);
+      counts.flagged++;
+    } else {
+      kept.push(existing);
+      counts.kept++;
+    }
+  });
+  
+  var appendRows = rows.filter(function(row) {
+    return !seen.hasOwnProperty(UpsertService_getKey(row, indexes));
+  }).map(function(row) {
+    var appended = row.slice(0, width);
+    while (appended.length < width) {
+      appended.push('');
+    }
+    return flag ? appended.concat(['']) : appended;
+  });
+  counts.appended = appendRows.length;
+  
+  return {
+    existingRows: kept,
+    changedPositions: changedPositions,
+    deletePositions: deletePositions,
+    appendRows: appendRows,
+    counts: counts
+  };
+}
+
+/**
+ * Compares a sheet cell with a new value: empty values are equal, dates compare by
+ * time, and numbers equal numeric text with the same value (Sheets stores "001" as 1
+ * unless the column is formatted as text).
+ * @param {any} current - The sheet cell.
+ * @param {any} value - The new value.
+ * @returns {boolean} True if writing the value would not change the cell.
+ */
+function UpsertService_sameValue(current, value) {
+  var currentEmpty = current === '' || current === null || current === undefined;
+  var valueEmpty = value === '' || value === null || value === undefined;
+  if (currentEmpty || valueEmpty) {
+    return currentEmpty && valueEmpty;
+  }
+  if (current instanceof Date || value instanceof Date) {
+    return current instanceof Date && value instanceof Date && current.getTime() === value.getTime();
+  }
+  if (current === value || String(current) === String(value)) {
+    return true;
+  }
+  var numeric = /^\s*-?\d+(\.\d+)?\s*$/;
+  return numeric.test(String(current)) && numeric.test(String(value)) && Number(current) === Number(value);
+}
+
+/**
+ * Builds the key of a row (see DedupeService_getKey), reading numeric text as a
+ * number so a "001234" key still matches the 1234 Sheets stored for it.
+ * @param {Array<any>} row - The row.
+ * @param {Array<number>} indexes - Column indexes of the key columns.
+ * @returns {string|null} The key, or null if every key cell is empty.
+ */
+function UpsertService_getKey(row, indexes) {
+  var cells = indexes.map(function(index) {
+    var cell = row[index];
+    return typeof cell === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(cell) ? Number(cell) : cell;
+  });
+  return DedupeService_getKey(cells, cells.map(function(cell, i) { return i; }));
+}
+
+/**
+ * UpsertService object for backward compatibility and easier access.
+ * @namespace UpsertService
+ */
+var UpsertService = {
+  plan: UpsertService_plan,
+  sameValue: UpsertService_sameValue,
+  getKey: UpsertService_getKey
+};
@@ -0,0 +1,472 @@
+/**
+ * Native XLSX Reader for DataLake Project
+ * Reads xlsx workbooks in-script: the attachment is unzipped with Utilities.unzip
+ * and its workbook, shared strings, styles and sheet XML are parsed with
+ * XmlService. No Drive files are created, so there is nothing to convert, retry
+ * or clean up. Cells with a date number format are returned as Date objects, like
+ * the values of a converted Google Sheet.
+ * Compatible with Google Apps Script V8 runtime.
+ *
+ * @file Native xlsx reader for DataLake project.
+ * @author Alvaro Gomez
+ */
+
+/**
+ * SpreadsheetML namespaces used by the xlsx parts.
+ * @private
+ */
+var XLSX_NAMESPACES = {
+  main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  officeRelationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  packageRelationships: 'http://schemas.openxmlformats.org/package/2006/relationships'
+};
+
+/**
+ * Built-in number format IDs that display dates or times.
+ * @private
+ */
+var XLSX_BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58];
+
+/**
+ * Reads every tab of an xlsx workbook.
+ * @param {GoogleAppsScript.Base.Blob} fileBlob - The xlsx attachment.
+ * @param {string} [context] - Context for error messages.
+ * @returns {Array<WorkbookTab>} One entry per tab, in workbook order.
+ * @throws {Error} If the file is not a readable xlsx workbook.
+ */
+function XlsxService_readWorkbook(fileBlob, context) {
+  context = context || 'XLSX parsing';
+  var timer = AppLogger_startTimer('readXlsx');
+  
+  try {
+    AppLogger_operationStart('readXlsx', {
+      context: context,
+      fileName: fileBlob.getName(),
+      fileSize: fileBlob.getSize()
+    });
+    
+    var parts = XlsxService__unzip(fileBlob);
+    var workbookPath = XlsxService__findRelationshipTarget(parts, '', 'officeDocument') || 'xl/workbook.xml';
+    var workbook = XlsxService__parsePart(parts, workbookPath, true).getRootElement();
+    var main = XmlService.getNamespace(XLSX_NAMESPACES.main);
+    
+    var workbookPr = workbook.getChild('workbookPr', main);
+    var date1904 = !!workbookPr && XlsxService__isTrue(workbookPr.getAttribute('date1904'));
+    
+    var sharedStringsPath = XlsxService__findRelationshipTarget(parts, workbookPath, 'sharedStrings');
+    var stylesPath = XlsxService__findRelationshipTarget(parts, workbookPath, 'styles');
+    var sharedStrings = sharedStringsPath ? XlsxService__readSharedStrings(parts, sharedStringsPath) : [];
+    var dateStyles = stylesPath ? XlsxService__readDateStyles(parts, stylesPath) : [];
+    
+    var relationships = XlsxService__readRelationships(parts, workbookPath);
+    var sheetsElement = workbook.getChild('sheets', main);
+    var sheets = sheetsElement ? sheetsElement.getChildren('sheet', main) : [];
+    
+    if (sheets.length === 0) {
+      throw ErrorHandler_createError(
+        context + ': No sheets found in the workbook',
+        ERROR_CODES.SHEET_NOT_FOUND,
+        { fileName: fileBlob.getName() }
+      );
+    }
+    
+    var relNs = XmlService.getNamespace(XLSX_NAMESPACES.officeRelationships);
+    var tabs = sheets.map(function(sheet) {
+      var relId = sheet.getAttribute('id', relNs);
+      var sheetPath = relId ? relationships[relId.getValue()] : null;
+      var sheetDocument = sheetPath ? XlsxService__parsePart(parts, sheetPath, false) : null;
+      
+      return {
+        name: sheet.getAttribute('name').getValue(),
+        values: sheetDocument ?
+          XlsxService__readSheetValues(sheetDocument.getRootElement(), sharedStrings, dateStyles, date1904) :
+          []
+      };
+    });
+    
+    tabs.forEach(function(tab) {
+      AppLogger_dataProcessing('Excel data extracted', tab.values.length, {
+        tab: tab.name,
+        columns: tab.values.length > 0 ? tab.values[0].length : 0,
+        fileName: fileBlob.getName()
+      });
+    });
+    
+    AppLogger_operationSuccess('readXlsx', {
+      tabCount: tabs.length,
+      tabNames: tabs.map(function(tab) { return tab.name; })
+    }, timer.stop());
+    
+    return tabs;
+    
+  } catch (error) {
+    timer.stop();
+    AppLogger_operationFailure('readXlsx', error, { context: context });
+    if (error.code) {
+      throw error;
+    }
+    throw ErrorHandler_createError(
+      context + ': Failed to read xlsx workbook',
+      ERROR_CODES.FILE_PROCESSING_ERROR,
+      { fileName: fileBlob.getName(), originalError: error.message }
+    );
+  }
+}
+
+/**
+ * Converts a column reference (e.g. "A", "AB") to a 0-based column index.
+ * @param {string} letters - Column letters.
+ * @returns {number} 0-based column index.
+ */
+function XlsxService_columnIndex(letters) {
+  var index = 0;
+  for (var i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Checks whether a number format displays a date or time.
+ * @param {number} numFmtId - The number format ID.
+ * @param {string} [formatCode] - The format code of a custom number format.
+ * @returns {boolean} True for date and time formats.
+ */
+function XlsxService_isDateFormat(numFmtId, formatCode) {
+  if (XLSX_BUILTIN_DATE_FORMATS.indexOf(numFmtId) !== -1) {
+    return true;
+  }
+  if (!formatCode) {
+    return false;
+  }
+  
+  // Ignore quoted text, escaped characters and [Red]/[$-409] style sections,
+  // but keep elapsed time sections such as [h]
+  var code = formatCode
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[(?![hms]+\])[^\]]*\]/gi, '')
+    .replace(/General/gi, '');
+  return /[dmyhs]/i.test(code);
+}
+
+/**
+ * Converts an Excel serial date to a Date at the same wall-clock time in the
+ * application timezone (CONFIG.SETTINGS.timezone).
+ * @param {number} serial - Days since the workbook's epoch, with the time as a fraction.
+ * @param {boolean} [date1904=false] - True for workbooks using the 1904 date system.
+ * @returns {Date} The date.
+ */
+function XlsxService_serialToDate(serial, date1904) {
+  // 25569 days from 1899-12-30 (the 1900 system's day zero) to 1970-01-01
+  var epochOffset = date1904 ? 24107 : 25569;
+  var utc = new Date(Math.round((serial - epochOffset) * 86400) * 1000);
+  var wallClock = Utilities.formatDate(utc, 'UTC', 'yyyy-MM-dd HH:mm:ss');
+  return Utilities.parseDate(wallClock, CONFIG.SETTINGS.timezone, 'yyyy-MM-dd HH:mm:ss');
+}
+
+/**
+ * Unzips an xlsx file into its parts, keyed by path (e.g. "xl/workbook.xml").
+ * @private
+ * @param {GoogleAppsScript.Base.Blob} fileBlob - The xlsx attachment.
+ * @returns {Object<string, GoogleAppsScript.Base.Blob>} The parts.
+ */
+function XlsxService__unzip(fileBlob) {
+  var parts = {};
+  Utilities.unzip(fileBlob.copyBlob().setContentType('application/zip')).forEach(function(part) {
+    parts[part.getName().replace(/^\//, '')] = part;
+  });
+  return parts;
+}
+
+/**
+ * Parses one XML part of the workbook.
+ * @private
+ * @param {Object<string, GoogleAppsScript.Base.Blob>} parts - The unzipped parts.
+ * @param {string} path - Part path.
+ * @param {boolean} required - Throw if the part is missing.
+ * @returns {GoogleAppsScript.XML_Service.Document|null} The parsed part, or null if missing and not required.
+ * @throws {Error} If a required part is missing.
+ */
+function XlsxService__parsePart(parts, path, required) {
+  if (!parts[path]) {
+    if (required) {
+      throw ErrorHandler_createError(
+        'Workbook part not found: ' + path,
+        ERROR_CODES.FILE_PROCESSING_ERROR,
+        { path: path, parts: Object.keys(parts) }
+      );
+    }
+    return null;
+  }
+  return XmlService.parse(parts[path].getDataAsString('UTF-8'));
+}
+
+/**
+ * Reads the relationships of a part, resolving targets to part paths.
+ * @private
+ * @param {Object<string, GoogleAppsScript.Base.Blob>} parts - The unzipped parts.
+ * @param {string} sourcePath - Path of the part ('' for the package itself).
+ * @returns {Object<string, string>} Target paths keyed by relationship ID; the
+ *   relationship types are stored under "type:<Id>".
+ */
+function XlsxService__readRelationships(parts, sourcePath) {
+  var folder = sourcePath.indexOf('/') !== -1 ? sourcePath.substring(0, sourcePath.lastIndexOf('/') + 1) : '';
+  var fileName = sourcePath.substring(folder.length);
+  var document = XlsxService__parsePart(parts, folder + '_rels/' + fileName + '.rels', false);
+  var relationships = {};
+  if (!document) {
+    return relationships;
+  }
+  
+  var ns = XmlService.getNamespace(XLSX_NAMESPACES.packageRelationships);
+  document.getRootElement().getChildren('Relationship', ns).forEach(function(rel) {
+    var id = rel.getAttribute('Id').getValue();
+    var target = rel.getAttribute('Target').getValue();
+    relationships[id] = XlsxService__resolvePath(target.charAt(0) === '/' ? target.substring(1) : folder + target);
+    relationships['type:' + id] = rel.getAttribute('Type').getValue();
+  });
+  return relationships;
+}
+
+/**
+ * Finds the target of the first relationship of a given type.
+ * @private
+ * @param {Object<string, GoogleAppsScript.Base.Blob>} parts - The unzipped parts.
+ * @param {string} sourcePath - Path of the part ('' for the package itself).
+ * @param {string} typeSuffix - Last segment of the relationship type, e.g. "styles".
+ * @returns {string|null} The target part path, or null if there is none.
+ */
+function XlsxService__findRelationshipTarget(parts, sourcePath, typeSuffix) {
+  var relationships = XlsxService__readRelationships(parts, sourcePath);
+  for (var key in relationships) {
+    if (relationships.hasOwnProperty(key) && key.indexOf('type:') === 0 &&
+        relationships[key].split('/').pop() === typeSuffix) {
+      return relationships[key.substring(5)];
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves "." and ".." segments in a part path.
+ * @private
+ * @param {string} path - The part path.
+ * @returns {string} The normalized path.
+ */
+function XlsxService__resolvePath(path) {
+  var segments = [];
+  path.split('/').forEach(function(segment) {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment !== '.' && segment !== '') {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+}
+
+/**
+ * Reads the shared string table.
+ * @private
+ * @param {Object<string, GoogleAppsScript.Base.Blob>} parts - The unzipped parts.
+ * @param {string} path - Path of the shared strings part.
+ * @returns {Array<string>} Shared strings by index.
+ */
+function XlsxService__readSharedStrings(parts, path) {
+  var document = XlsxService__parsePart(parts, path, false);
+  if (!document) {
+    return [];
+  }
+  var ns = XmlService.getNamespace(XLSX_NAMESPACES.main);
+  return document.getRootElement().getChildren('si', ns).map(function(si) {
+    return XlsxService__readText(si, ns);
+  });
+}
+
+/**
+ * Reads the text of a shared or inline string: a plain <t>, or the runs of rich
+ * text. Phonetic hints (<rPh>) are ignored.
+ * @private
+ * @param {GoogleAppsScript.XML_Service.Element} element - An <si> or <is> element.
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - The SpreadsheetML namespace.
+ * @returns {string} The text.
+ */
+function XlsxService__readText(element, ns) {
+  var text = element.getChild('t', ns);
+  if (text) {
+    return text.getText();
+  }
+  return element.getChildren('r', ns).map(function(run) {
+    var runText = run.getChild('t', ns);
+    return runText ? runText.getText() : '';
+  }).join('');
+}
+
+/**
+ * Reads which cell styles display dates.
+ * @private
+ * @param {Object<string, GoogleAppsScript.Base.Blob>} parts - The unzipped parts.
+ * @param {string} path - Path of the styles part.
+ * @returns {Array<boolean>} For each cell style index, true if it is a date format.
+ */
+function XlsxService__readDateStyles(parts, path) {
+  var document = XlsxService__parsePart(parts, path, false);
+  if (!document) {
+    return [];
+  }
+  var ns = XmlService.getNamespace(XLSX_NAMESPACES.main);
+  var root = document.getRootElement();
+  
+  var formatCodes = {};
+  var numFmts = root.getChild('numFmts', ns);
+  if (numFmts) {
+    numFmts.getChildren('numFmt', ns).forEach(function(numFmt) {
+      formatCodes[numFmt.getAttribute('numFmtId').getValue()] = numFmt.getAttribute('formatCode').getValue();
+    });
+  }
+  
+  var cellXfs = root.getChild('cellXfs', ns);
+  if (!cellXfs) {
+    return [];
+  }
+  return cellXfs.getChildren('xf', ns).map(function(xf) {
+    var numFmtId = xf.getAttribute('numFmtId');
+    var id = numFmtId ? numFmtId.getValue() : '0';
+    return XlsxService_isDateFormat(Number(id), formatCodes[id]);
+  });
+}
+
+/**
+ * Reads the values of a worksheet into a rectangular 2D array, from A1 to the
+ * last cell holding a value. Empty cells are empty strings.
+ * @private
+ * @param {GoogleAppsScript.XML_Service.Element} worksheet - The <worksheet> element.
+ * @param {Array<string>} sharedStrings - The shared string table.
+ * @param {Array<boolean>} dateStyles - Date flags by cell style index.
+ * @param {boolean} date1904 - True for workbooks using the 1904 date system.
+ * @returns {Array<Array<any>>} The values.
+ */
+function XlsxService__readSheetValues(worksheet, sharedStrings, dateStyles, date1904) {
+  var ns = XmlService.getNamespace(XLSX_NAMESPACES.main);
+  var sheetData = worksheet.getChild('sheetData', ns);
+  if (!sheetData) {
+    return [];
+  }
+  
+  var cells = [];
+  var rowCount = 0;
+  var columnCount = 0;
+  var rowIndex = -1;
+  
+  sheetData.getChildren('row', ns).forEach(function(row) {
+    var rowRef = row.getAttribute('r');
+    rowIndex = rowRef ? Number(rowRef.getValue()) - 1 : rowIndex + 1;
+    var columnIndex = -1;
+    
+    row.getChildren('c', ns).forEach(function(cell) {
+      var cellRef = cell.getAttribute('r');
+      columnIndex = cellRef ? XlsxService_columnIndex(cellRef.getValue().replace(/\d+$/, '')) : columnIndex + 1;
+      
+      var value = XlsxService__readCellValue(cell, ns, sharedStrings, dateStyles, date1904);
+      if (value === '') {
+        return;
+      }
+      cells.push([rowIndex, columnIndex, value]);
+      rowCount = Math.max(rowCount, rowIndex + 1);
+      columnCount = Math.max(columnCount, columnIndex + 1);
+    });
+  });
+  
+  var values = [];
+  for (var r = 0; r < rowCount; r++) {
+    var emptyRow = [];
+    for (var c = 0; c < columnCount; c++) {
+      emptyRow.push('');
+    }
+    values.push(emptyRow);
+  }
+  cells.forEach(function(cell) {
+    values[cell[0]][cell[1]] = cell[2];
+  });
+  
+  return values;
+}
+
+/**
+ * Reads the value of one cell.
+ * @private
+ * @param {GoogleAppsScript.XML_Service.Element} cell - The <c> element.
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - The SpreadsheetML namespace.
+ * @param {Array<string>} sharedStrings - The shared string table.
+ * @param {Array<boolean>} dateStyles - Date flags by cell style index.
+ * @param {boolean} date1904 - True for workbooks using the 1904 date system.
+ * @returns {string|number|boolean|Date} The value; '' for an empty cell.
+ */
+function XlsxService__readCellValue(cell, ns, sharedStrings, dateStyles, date1904) {
+  var typeAttribute = cell.getAttribute('t');
+  var type = typeAttribute ? typeAttribute.getValue() : 'n';
+  
+  if (type === 'inlineStr') {
+    var inline = cell.getChild('is', ns);
+    return inline ? XlsxService__readText(inline, ns) : '';
+  }
+  
+  var valueElement = cell.getChild('v', ns);
+  if (!valueElement) {
+    return '';
+  }
+  var text = valueElement.getText();
+  
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(text)] || '';
+    case 'str':
+    case 'e':
+      return text;
+    case 'b':
+      return text === '1';
+    case 'd':
+      return new Date(text);
+    default:
+      if (text === '') {
+        return '';
+      }
+      var number = Number(text);
+      var styleAttribute = cell.getAttribute('s');
+      var isDate = styleAttribute ? dateStyles[Number(styleAttribute.getValue())] : false;
+      return isDate ? XlsxService_serialToDate(number, date1904) : number;
+  }
+}
+
+/**
+ * Reads an XML boolean attribute ("1" or "true").
+ * @private
+ * @param {GoogleAppsScript.XML_Service.Attribute} attribute - The attribute, or null.
+ * @returns {boolean} True if the attribute is set to true.
+ */
+function XlsxService__isTrue(attribute) {
+  return !!attribute && (attribute.getValue() === '1' || attribute.getValue() === 'true');
+}
+
+/**
+ * XlsxService object for backward compatibility and easier access.
+ * @namespace XlsxService
+ */
+var XlsxService = {
+  readWorkbook: XlsxService_readWorkbook,
+  columnIndex: XlsxService_columnIndex,
+  isDateFormat: XlsxService_isDateFormat,
+  serialToDate: XlsxService_serialToDate,
+  _unzip: XlsxService__unzip,
+  _parsePart: XlsxService__parsePart,
+  _readRelationships: XlsxService__readRelationships,
+  _findRelationshipTarget: XlsxService__findRelationshipTarget,
+  _resolvePath: XlsxService__resolvePath,
+  _readSharedStrings: XlsxService__readSharedStrings,
+  _readText: XlsxService__readText,
+  _readDateStyles: XlsxService__readDateStyles,
+  _readSheetValues: XlsxService__readSheetValues,
+  _readCellValue: XlsxService__readCellValue,
+  _isTrue: XlsxService__isTrue
+};
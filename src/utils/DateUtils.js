@@ -90,6 +90,69 @@ function DateUtils_parseDate(dateString, timezone) {
   }
 }
 
+/**
+ * Parses a date as written in reports (M/d/yyyy, M-d-yyyy, M/d/yy or yyyy-MM-dd, with
+ * an optional H:mm[:ss] [AM/PM] time) as wall-clock time in a timezone.
+ * @param {string} text - The date text.
+ * @param {string} [timezone] - Timezone of the text (defaults to CONFIG.SETTINGS.timezone).
+ * @returns {Date|null} The parsed date, or null if the text is not a valid date.
+ */
+function DateUtils_parseDateString(text, timezone) {
+  timezone = timezone || CONFIG.SETTINGS.timezone;
+  text = String(text).trim();
+  
+  var year, month, day, rest;
+  var match = /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4}|\d{2})(.*)$/.exec(text);
+  if (match) {
+    month = Number(match[1]);
+    day = Number(match[2]);
+    year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    rest = match[4];
+  } else if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})(.*)$/.exec(text))) {
+    year = Number(match[1]);
+    month = Number(match[2]);
+    day = Number(match[3]);
+    rest = match[4];
+  } else {
+    return null;
+  }
+  
+  var hours = 0;
+  var minutes = 0;
+  var seconds = 0;
+  if (rest.trim() !== '') {
+    var time = /^(?:T|\s+)(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/.exec(rest);
+    if (!time) {
+      return null;
+    }
+    hours = Number(time[1]);
+    minutes = Number(time[2]);
+    seconds = time[3] ? Number(time[3]) : 0;
+    if (time[4]) {
+      if (hours < 1 || hours > 12) {
+        return null;
+      }
+      hours = hours % 12 + (time[4].toUpperCase() === 'PM' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+      return null;
+    }
+  }
+  
+  // Reject impossible days such as 2/30
+  var check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  
+  var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+  return Utilities.parseDate(
+    year + '-' + pad(month) + '-' + pad(day) + ' ' + pad(hours) + ':' + pad(minutes) + ':' + pad(seconds),
+    timezone,
+    'yyyy-MM-dd HH:mm:ss'
+  );
+}
+
 /**
  * Checks if a date is within a specified range.
  * @param {Date} date - The date to check.
@@ -158,6 +221,17 @@ function DateUtils_getTimeDifference(date1, date2) {
   return diffSeconds + ' second' + (diffSeconds > 1 ? 's' : '') + ' ago';
 }
 
+/**
+ * Gets the age of a date in hours.
+ * @param {Date} date - The date to measure.
+ * @param {Date} [now] - Reference date (defaults to now).
+ * @returns {number} Age in hours, rounded to one decimal place.
+ */
+function DateUtils_getAgeInHours(date, now) {
+  now = now || new Date();
+  return Math.round(((now.getTime() - date.getTime()) / 3600000) * 10) / 10;
+}
+
 /**
  * Validates if a string represents a valid date.
  * @param {string} dateString - The date string to validate.
@@ -179,10 +253,12 @@ var DateUtils = {
   createTimestampNote: DateUtils_createTimestampNote,
   createScriptTimestampNote: DateUtils_createScriptTimestampNote,
   parseDate: DateUtils_parseDate,
+  parseDateString: DateUtils_parseDateString,
   isDateInRange: DateUtils_isDateInRange,
   getStartOfDay: DateUtils_getStartOfDay,
   getEndOfDay: DateUtils_getEndOfDay,
   addDays: DateUtils_addDays,
   getTimeDifference: DateUtils_getTimeDifference,
+  getAgeInHours: DateUtils_getAgeInHours,
   isValidDateString: DateUtils_isValidDateString
 };
@@ -159,6 +159,18 @@ var ERROR_CODES = {
   ATTACHMENT_NOT_FOUND: 'ATTACHMENT_NOT_FOUND',
   LABEL_NOT_FOUND: 'LABEL_NOT_FOUND',
   FILE_PROCESSING_ERROR: 'FILE_PROCESSING_ERROR',
+  STALE_REPORT: 'STALE_REPORT',
+  COLUMN_MAP_ERROR: 'COLUMN_MAP_ERROR',
+  SCHEMA_VIOLATION: 'SCHEMA_VIOLATION',
+  REPORT_LAYOUT_ERROR: 'REPORT_LAYOUT_ERROR',
+  ROW_FILTER_ERROR: 'ROW_FILTER_ERROR',
+  DERIVED_COLUMN_ERROR: 'DERIVED_COLUMN_ERROR',
+  DUPLICATE_KEY: 'DUPLICATE_KEY',
+  PIPELINE_ERROR: 'PIPELINE_ERROR',
+  STAGED_WRITE_ERROR: 'STAGED_WRITE_ERROR',
+  WRITE_GUARD_TRIPPED: 'WRITE_GUARD_TRIPPED',
+  SNAPSHOT_ERROR: 'SNAPSHOT_ERROR',
+  UPSERT_ERROR: 'UPSERT_ERROR',
   NETWORK_ERROR: 'NETWORK_ERROR',
   PERMISSION_ERROR: 'PERMISSION_ERROR',
   GENERAL_ERROR: 'GENERAL_ERROR'
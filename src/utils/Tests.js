@@ -35,6 +35,21 @@ function runAllTests() {
     testResults.tests.dateUtils = testDateUtils();
     testResults.tests.errorHandler = testErrorHandler();
     testResults.tests.logger = testLogger();
+    testResults.tests.parserService = testParserService();
+    testResults.tests.emailMatching = testEmailMatching();
+    testResults.tests.xlsxService = testXlsxService();
+    testResults.tests.layout = testLayoutService();
+    testResults.tests.derivedColumns = testDerivedColumns();
+    testResults.tests.columnMap = testColumnMap();
+    testResults.tests.rowFilter = testRowFilter();
+    testResults.tests.dedupe = testDedupe();
+    testResults.tests.pipeline = testPipeline();
+    testResults.tests.writeGuards = testWriteGuards();
+    testResults.tests.snapshotCells = testSnapshotCells();
+    testResults.tests.upsert = testUpsert();
+    testResults.tests.changeDiff = testChangeDiff();
+    testResults.tests.schemaService = testSchemaService();
+    testResults.tests.transformService = testTransformService();
     
     // System connectivity tests (read-only)
     testResults.tests.gmailConnectivity = testGmailConnectivity();
@@ -343,6 +358,971 @@ function testLogger() {
   }
 }
 
+/**
+ * Tests ParserService functionality (in-memory, no Drive access).
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testParserService() {
+  try {
+    var tests = [];
+    
+    // Test CSV parsing with a custom delimiter, BOM and ragged rows
+    try {
+      var csvBlob = Utilities.newBlob('\uFEFFid;name\n1;"Smith; Jo"\n2\n\n', MIME_TYPES.CSV, 'report.csv');
+      var rows = ParserService_parseCsv(csvBlob, { delimiter: ';' });
+      if (rows.length === 3 && rows[0][0] === 'id' && rows[1][1] === 'Smith; Jo' && rows[2].length === 2) {
+        tests.push({ name: 'CSV parsing', result: 'PASS' });
+      } else {
+        tests.push({ name: 'CSV parsing', result: 'FAIL', error: 'Unexpected rows: ' + JSON.stringify(rows) });
+      }
+    } catch (error) {
+      tests.push({ name: 'CSV parsing', result: 'FAIL', error: error.message });
+    }
+    
+    // Test attachment format detection by extension
+    try {
+      var xlsBlob = Utilities.newBlob('', 'application/octet-stream', 'report.xls');
+      if (EmailService_detectAttachmentFormat(xlsBlob) === 'xls') {
+        tests.push({ name: 'attachment format detection', result: 'PASS' });
+      } else {
+        tests.push({ name: 'attachment format detection', result: 'FAIL', error: 'Expected xls' });
+      }
+    } catch (error) {
+      tests.push({ name: 'attachment format detection', result: 'FAIL', error: error.message });
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests the subject, sender and attachment name rules used to pick report emails.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testEmailMatching() {
+  try {
+    var tests = [];
+    var message = {
+      getSubject: function() { return 'Daily Attendance Report'; },
+      getFrom: function() { return 'Cognos Reports <Cognos@NISD.net>'; },
+      getAttachments: function() {
+        return [Utilities.newBlob('', MIME_TYPES.EXCEL, 'Attendance_2026.xlsx')];
+      }
+    };
+    
+    // Test sender allowlist with addresses and domains
+    try {
+      if (EmailService__isSenderAllowed(message.getFrom(), ['cognos@nisd.net']) &&
+          EmailService__isSenderAllowed(message.getFrom(), ['@nisd.net']) &&
+          !EmailService__isSenderAllowed(message.getFrom(), ['@isd.net', 'other@nisd.net'])) {
+        tests.push({ name: 'sender allowlist', result: 'PASS' });
+      } else {
+        tests.push({ name: 'sender allowlist', result: 'FAIL', error: 'Unexpected allowlist result' });
+      }
+    } catch (error) {
+      tests.push({ name: 'sender allowlist', result: 'FAIL', error: error.message });
+    }
+    
+    // Test combined match rules
+    try {
+      var matches = EmailService_messageMatches(message, {
+        subjectPattern: /^Daily/,
+        fromAllowlist: ['@nisd.net'],
+        attachmentNamePattern: 'attendance'
+      });
+      var rejects = EmailService_messageMatches(message, { subjectPattern: /^RE:/ }) ||
+        EmailService_messageMatches(message, { attachmentNamePattern: 'attendance', attachmentFormat: 'csv' });
+      if (matches && !rejects) {
+        tests.push({ name: 'message match rules', result: 'PASS' });
+      } else {
+        tests.push({ name: 'message match rules', result: 'FAIL', error: 'Unexpected match result' });
+      }
+    } catch (error) {
+      tests.push({ name: 'message match rules', result: 'FAIL', error: error.message });
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests the native xlsx reader helpers (in-memory, no Drive access).
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testXlsxService() {
+  try {
+    var tests = [];
+    
+    // Test column letters and date number formats
+    try {
+      var columnsOk = XlsxService_columnIndex('A') === 0 && XlsxService_columnIndex('Z') === 25 &&
+        XlsxService_columnIndex('AB') === 27;
+      var formatsOk = XlsxService_isDateFormat(14) && XlsxService_isDateFormat(164, 'yyyy-mm-dd') &&
+        XlsxService_isDateFormat(165, '[h]:mm') && !XlsxService_isDateFormat(0, 'General') &&
+        !XlsxService_isDateFormat(166, '"Days "0') && !XlsxService_isDateFormat(167, '[Red]#,##0.00');
+      if (columnsOk && formatsOk) {
+        tests.push({ name: 'columns and date formats', result: 'PASS' });
+      } else {
+        tests.push({ name: 'columns and date formats', result: 'FAIL', error: 'Unexpected column index or date format result' });
+      }
+    } catch (error) {
+      tests.push({ name: 'columns and date formats', result: 'FAIL', error: error.message });
+    }
+    
+    // Test sheet XML with shared strings, dates, booleans and gaps
+    try {
+      var worksheet = XmlService.parse(
+        '<worksheet xmlns="' + XLSX_NAMESPACES.main + '"><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Active</t></is></c></row>' +
+        '<row r="3"><c r="A3"><v>42</v></c><c r="B3" s="1"><v>45870</v></c><c r="C3" t="b"><v>1</v></c><c r="D3" s="1"/></row>' +
+        '</sheetData></worksheet>'
+      ).getRootElement();
+      var values = XlsxService__readSheetValues(worksheet, ['Student ID'], [false, true], false);
+      if (values.length === 3 && values[0].length === 3 && values[0][0] === 'Student ID' && values[1][2] === '' &&
+          values[2][0] === 42 && values[2][1] instanceof Date && values[2][2] === true &&
+          DateUtils_formatDate(values[2][1], 'yyyy-MM-dd') === '2025-08-01') {
+        tests.push({ name: 'sheet values', result: 'PASS' });
+      } else {
+        tests.push({ name: 'sheet values', result: 'FAIL', error: 'Unexpected values: ' + JSON.stringify(values) });
+      }
+    } catch (error) {
+      tests.push({ name: 'sheet values', result: 'FAIL', error: error.message });
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests header-driven column mapping (in-memory, no sheet access).
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testColumnMap() {
+  try {
+    var tests = [];
+    var sourceHeader = ['Student ID', 'Last Name', 'Campus', 'New Column'];
+    var rows = [[1001, 'Smith', 'NAHS', 'x']];
+    
+    // Test reordering, renaming and unmapped column warnings
+    try {
+      var mapped = ColumnMapService_apply(sourceHeader, rows, ['ID', 'Campus', 'Last Name'], { 'Student ID': 'ID' });
+      if (JSON.stringify(mapped.rows) === JSON.stringify([[1001, 'NAHS', 'Smith']]) &&
+          mapped.unmappedColumns.length === 1 && mapped.unmappedColumns[0] === 'New Column') {
+        tests.push({ name: 'column mapping', result: 'PASS' });
+      } else {
+        tests.push({ name: 'column mapping', result: 'FAIL', error: 'Unexpected result: ' + JSON.stringify(mapped) });
+      }
+    } catch (error) {
+      tests.push({ name: 'column mapping', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that a renamed report column is reported as a mapping failure
+    try {
+      ColumnMapService_apply(['ID', 'Last Name'], rows, ['ID', 'Last Name'], { 'Student ID': 'ID' });
+      tests.push({ name: 'mapping failure', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.COLUMN_MAP_ERROR && error.details.missingSourceColumns[0] === 'Student ID') {
+        tests.push({ name: 'mapping failure', result: 'PASS' });
+      } else {
+        tests.push({ name: 'mapping failure', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests title-row, footer and empty row/column stripping.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testLayoutService() {
+  try {
+    var tests = [];
+    var values = [
+      ['Enrollment Report', '', ''],
+      ['Campus: NAHS', '', ''],
+      ['', '', ''],
+      ['Student ID', '', 'Name'],
+      [1001, '', 'Smith'],
+      ['', '', ''],
+      [1002, '', 'Jones'],
+      ['Total: 2', '', ''],
+      ['Page 1 of 1', '', '']
+    ];
+    
+    // Test locating the header and removing footers, empty rows and empty columns
+    try {
+      var table = LayoutService_apply(values, {
+        skipRowsBefore: /^Student ID$/,
+        footerPatterns: [/^Total/i, /^Page \d+/i],
+        removeEmptyRows: true,
+        removeEmptyColumns: true
+      });
+      var expected = { skippedRows: 3, footerRows: 2, emptyRows: 1, emptyColumns: 1 };
+      if (JSON.stringify(table.header) === JSON.stringify(['Student ID', 'Name']) &&
+          JSON.stringify(table.rows) === JSON.stringify([[1001, 'Smith'], [1002, 'Jones']]) &&
+          JSON.stringify(table.removed) === JSON.stringify(expected)) {
+        tests.push({ name: 'layout stripping', result: 'PASS' });
+      } else {
+        tests.push({ name: 'layout stripping', result: 'FAIL', error: 'Unexpected result: ' + JSON.stringify(table) });
+      }
+    } catch (error) {
+      tests.push({ name: 'layout stripping', result: 'FAIL', error: error.message });
+    }
+    
+    // Test the default layout (header in row 1)
+    try {
+      var plain = LayoutService_apply([['A', 'B'], [1, 2]]);
+      if (plain.header[0] === 'A' && plain.rows.length === 1 && plain.removed.skippedRows === 0) {
+        tests.push({ name: 'default layout', result: 'PASS' });
+      } else {
+        tests.push({ name: 'default layout', result: 'FAIL', error: 'Unexpected result: ' + JSON.stringify(plain) });
+      }
+    } catch (error) {
+      tests.push({ name: 'default layout', result: 'FAIL', error: error.message });
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests derived column functions.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testDerivedColumns() {
+  try {
+    var tests = [];
+    
+    // Test adding columns, including one that uses an earlier derived column
+    try {
+      var derived = DerivedColumnService_apply(
+        ['First Name', 'Last Name', 'Grade', 'Entry Date', 'Exit Date'],
+        [[' Ana ', 'Lopez', '09', '8/4/2025', '8/14/2025']],
+        [
+          { name: 'Full Name', fn: 'fullName', args: ['First Name', 'Last Name'], options: { lastFirst: true } },
+          { name: 'Grade Band', fn: 'gradeBand', args: ['Grade'] },
+          { name: 'Days Enrolled', fn: 'daysEnrolled', args: ['Entry Date', 'Exit Date'] },
+          { name: 'Label', fn: 'concat', args: ['Full Name', 'Grade Band'], options: { separator: ' / ' } }
+        ]
+      );
+      var added = derived.rows[0].slice(5);
+      if (derived.header.length === 9 &&
+          JSON.stringify(added) === JSON.stringify(['Lopez, Ana', 'High', 10, 'Lopez, Ana / High'])) {
+        tests.push({ name: 'derived columns', result: 'PASS' });
+      } else {
+        tests.push({ name: 'derived columns', result: 'FAIL', error: 'Unexpected values: ' + JSON.stringify(added) });
+      }
+    } catch (error) {
+      tests.push({ name: 'derived columns', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that a missing argument column is reported
+    try {
+      DerivedColumnService_apply(['Grade'], [], [{ name: 'Age', fn: 'ageFromBirthdate', args: ['Birthdate'] }]);
+      tests.push({ name: 'missing argument column', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.DERIVED_COLUMN_ERROR) {
+        tests.push({ name: 'missing argument column', result: 'PASS' });
+      } else {
+        tests.push({ name: 'missing argument column', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests primary key deduplication policies.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testDedupe() {
+  try {
+    var tests = [];
+    var header = ['Student ID', 'Period', 'Course'];
+    var rows = [
+      ['123456', 1, 'Algebra I'],
+      ['123456', 2, 'Biology'],
+      [' 123456 ', 1, 'Geometry'],
+      ['', '', ''],
+      ['', '', '']
+    ];
+    var primaryKey = ['Student ID', 'Period'];
+    
+    // Test keepFirst and keepLast (empty keys are never duplicates)
+    try {
+      var first = DedupeService_apply(header, rows, primaryKey, 'keepFirst');
+      var last = DedupeService_apply(header, rows, primaryKey, 'keepLast');
+      if (first.rows.length === 4 && first.rows[0][2] === 'Algebra I' && first.duplicateKeyCount === 1 &&
+          last.rows.length === 4 && last.rows[1][2] === 'Geometry' && last.removedRows[0][2] === 'Algebra I') {
+        tests.push({ name: 'keepFirst and keepLast', result: 'PASS' });
+      } else {
+        tests.push({ name: 'keepFirst and keepLast', result: 'FAIL', error: 'Unexpected rows: ' + JSON.stringify(first.rows) });
+      }
+    } catch (error) {
+      tests.push({ name: 'keepFirst and keepLast', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that quarantine removes every row of a duplicated key
+    try {
+      var quarantined = DedupeService_apply(header, rows, primaryKey, 'quarantine');
+      if (quarantined.rows.length === 3 && quarantined.removedRows.length === 2 &&
+          quarantined.sampleKeys[0] === '123456 | 1') {
+        tests.push({ name: 'quarantine', result: 'PASS' });
+      } else {
+        tests.push({ name: 'quarantine', result: 'FAIL', error: 'Unexpected result: ' + JSON.stringify(quarantined) });
+      }
+    } catch (error) {
+      tests.push({ name: 'quarantine', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that the fail policy throws
+    try {
+      DedupeService_apply(header, rows, primaryKey, 'fail');
+      tests.push({ name: 'fail policy', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.DUPLICATE_KEY) {
+        tests.push({ name: 'fail policy', result: 'PASS' });
+      } else {
+        tests.push({ name: 'fail policy', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests running built-in and custom pipeline steps by name.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testPipeline() {
+  try {
+    var tests = [];
+    var table = {
+      header: ['Daily Report', ''],
+      rows: [['Student ID', 'Grade'], ['1001', '9'], ['1002', '6'], ['Total', '2']]
+    };
+    var options = {
+      layout: { skipRowsBefore: 'Student ID', footerPatterns: [/^Total/] },
+      filters: ['Grade >= 9']
+    };
+    
+    // Test built-in steps with a custom step between them
+    CUSTOM_PIPELINE_STEPS.testTag = function(current) {
+      return {
+        header: current.header.concat(['Tag']),
+        rows: current.rows.map(function(row) { return row.concat(['x']); }),
+        diagnostics: { tagged: current.rows.length }
+      };
+    };
+    try {
+      var run = PipelineService_run(['stripLayout', 'testTag', 'filterRows'], table, {
+        options: options,
+        sheetName: 'Test',
+        context: 'testPipeline'
+      });
+      var summary = PipelineService_summarize(run);
+      if (JSON.stringify(run.header) === JSON.stringify(['Student ID', 'Grade', 'Tag']) &&
+          JSON.stringify(run.rows) === JSON.stringify([['1001', '9', 'x']]) &&
+          run.diagnostics.stripLayout.footerRows === 1 && run.diagnostics.filterRows.dropped === 1 &&
+          summary.diagnostics.testTag.tagged === 2 && typeof summary.timings.filterRows === 'number') {
+        tests.push({ name: 'named steps', result: 'PASS' });
+      } else {
+        tests.push({ name: 'named steps', result: 'FAIL', error: 'Unexpected result: ' + JSON.stringify(run) });
+      }
+    } catch (error) {
+      tests.push({ name: 'named steps', result: 'FAIL', error: error.message });
+    } finally {
+      delete CUSTOM_PIPELINE_STEPS.testTag;
+    }
+    
+    // Test that an unknown step is reported
+    try {
+      PipelineService_run(['noSuchStep'], table, { options: {}, context: 'testPipeline' });
+      tests.push({ name: 'unknown step', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.PIPELINE_ERROR) {
+        tests.push({ name: 'unknown step', result: 'PASS' });
+      } else {
+        tests.push({ name: 'unknown step', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests write guard evaluation.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testWriteGuards() {
+  try {
+    var tests = [];
+    var guards = { minRows: 100, maxDropPercent: 50, matchColumnCount: true };
+    
+    // Test that a healthy report passes
+    try {
+      var passed = GuardService_evaluate(guards, { rowCount: 880, columnCount: 12, currentRowCount: 900, currentColumnCount: 12 });
+      if (passed.length === 0) {
+        tests.push({ name: 'healthy report', result: 'PASS' });
+      } else {
+        tests.push({ name: 'healthy report', result: 'FAIL', error: 'Unexpected trips: ' + passed.join('; ') });
+      }
+    } catch (error) {
+      tests.push({ name: 'healthy report', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that a collapsed report trips every guard
+    try {
+      var tripped = GuardService_evaluate(guards, { rowCount: 3, columnCount: 2, currentRowCount: 900, currentColumnCount: 12 });
+      if (tripped.length === 3) {
+        tests.push({ name: 'collapsed report', result: 'PASS' });
+      } else {
+        tests.push({ name: 'collapsed report', result: 'FAIL', error: 'Unexpected trips: ' + tripped.join('; ') });
+      }
+    } catch (error) {
+      tests.push({ name: 'collapsed report', result: 'FAIL', error: error.message });
+    }
+    
+    // Test the average baseline and an empty sheet (no baseline)
+    try {
+      var average = GuardService_evaluate({ maxDropPercent: 20 }, { rowCount: 700, columnCount: 12, averageRowCount: 1000, currentRowCount: 700 });
+      var empty = GuardService_evaluate({ maxDropPercent: 20 }, { rowCount: 5, columnCount: 12, currentRowCount: 0 });
+      if (average.length === 1 && average[0].indexOf('30%') !== -1 && empty.length === 0) {
+        tests.push({ name: 'drop baseline', result: 'PASS' });
+      } else {
+        tests.push({ name: 'drop baseline', result: 'FAIL', error: 'Unexpected trips: ' + average.concat(empty).join('; ') });
+      }
+    } catch (error) {
+      tests.push({ name: 'drop baseline', result: 'FAIL', error: error.message });
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests that snapshot cells survive the JSON round trip.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testSnapshotCells() {
+  try {
+    var tests = [];
+    var row = ['123456', 9, new Date(2025, 7, 4), '', true];
+    
+    try {
+      var restored = JSON.parse(JSON.stringify(row.map(SnapshotService__encodeCell))).map(SnapshotService__decodeCell);
+      if (restored[0] === '123456' && restored[1] === 9 && restored[2] instanceof Date &&
+          restored[2].getTime() === row[2].getTime() && restored[3] === '' && restored[4] === true) {
+        tests.push({ name: 'cell round trip', result: 'PASS' });
+      } else {
+        tests.push({ name: 'cell round trip', result: 'FAIL', error: 'Unexpected row: ' + JSON.stringify(restored) });
+      }
+    } catch (error) {
+      tests.push({ name: 'cell round trip', result: 'FAIL', error: error.message });
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests upsert planning by primary key.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testUpsert() {
+  try {
+    var tests = [];
+    var header = ['Student ID', 'Campus'];
+    var existing = [[1001, 'NAHS'], [1002, 'NAMS'], ['', ''], [1003, 'NAHS']];
+    var rows = [['001001', 'NAHS'], ['1003', 'NAMS'], ['1004', 'NAHS']];
+    
+    // Test matching, updating, appending and deleting
+    try {
+      var plan = UpsertService_plan(header, existing, rows, ['Student ID'], 'delete');
+      if (plan.counts.matched === 2 && plan.counts.updatedRows === 1 && plan.counts.appended === 1 &&
+          JSON.stringify(plan.deletePositions) === '[1]' && plan.existingRows.length === 3 &&
+          JSON.stringify(plan.changedPositions) === '[2]' &&
+          plan.existingRows[2][1] === 'NAMS' && plan.appendRows[0][0] === '1004') {
+        tests.push({ name: 'delete policy', result: 'PASS' });
+      } else {
+        tests.push({ name: 'delete policy', result: 'FAIL', error: 'Unexpected plan: ' + JSON.stringify(plan) });
+      }
+    } catch (error) {
+      tests.push({ name: 'delete policy', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that missing rows are flagged in the flag column (the rows' last column)
+    try {
+      var flagged = UpsertService_plan(header, existing.map(function(row) { return row.concat(['']); }),
+        rows, ['Student ID'], 'flag');
+      if (flagged.counts.flagged === 1 && flagged.existingRows[1][2] !== '' &&
+          JSON.stringify(flagged.changedPositions) === '[1,3]' &&
+          flagged.deletePositions.length === 0 && flagged.appendRows[0].length === 3) {
+        tests.push({ name: 'flag policy', result: 'PASS' });
+      } else {
+        tests.push({ name: 'flag policy', result: 'FAIL', error: 'Unexpected plan: ' + JSON.stringify(flagged) });
+      }
+    } catch (error) {
+      tests.push({ name: 'flag policy', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that rows without a key are rejected
+    try {
+      UpsertService_plan(header, existing, [['', 'NAHS']], ['Student ID'], 'keep');
+      tests.push({ name: 'missing key', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.UPSERT_ERROR) {
+        tests.push({ name: 'missing key', result: 'PASS' });
+      } else {
+        tests.push({ name: 'missing key', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests keyed diffs between a sheet's rows and new rows.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testChangeDiff() {
+  try {
+    var tests = [];
+    var header = ['Student ID', 'Campus', 'Period'];
+    var previous = [[1001, 'NAHS', 1], [1002, 'NAMS', 2], [1003, 'NAHS', 3]];
+    var rows = [['001001', 'NAHS', '1'], ['1003', 'NAMS', 4], ['1004', 'NAHS', 1]];
+    
+    // Test added, removed and changed rows with field-level values
+    try {
+      var diff = ChangeService_diff(header, previous, rows, ['Student ID']);
+      var changed = diff.changes.filter(function(c) { return c.type === 'changed'; })[0];
+      var removed = diff.changes.filter(function(c) { return c.type === 'removed'; })[0];
+      if (diff.counts.added === 1 && diff.counts.removed === 1 && diff.counts.changed === 1 &&
+          diff.counts.unchanged === 1 && removed.key === '1002' && changed.fields.length === 2 &&
+          changed.fields[0].field === 'Campus' && changed.fields[1].before === 3 && changed.fields[1].after === 4) {
+        tests.push({ name: 'keyed diff', result: 'PASS' });
+      } else {
+        tests.push({ name: 'keyed diff', result: 'FAIL', error: 'Unexpected diff: ' + JSON.stringify(diff) });
+      }
+    } catch (error) {
+      tests.push({ name: 'keyed diff', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that rows an upsert keeps or flags are not logged as removed
+    try {
+      var flaggedPrevious = previous.map(function(row) { return row.concat(['']); });
+      flaggedPrevious.push([1005, 'NAHS', 5, '2025-10-01T12:00:00.000Z']);
+      var kept = ChangeService_diff(header, previous, rows, ['Student ID'], undefined, { writeMode: 'upsert', onMissing: 'keep' });
+      var flagged = ChangeService_diff(header, flaggedPrevious, rows, ['Student ID'], undefined,
+        { writeMode: 'upsert', onMissing: 'flag', flagIndex: 3 });
+      var flaggedKeys = flagged.changes.filter(function(c) { return c.type === 'flagged'; }).map(function(c) { return c.key; });
+      if (kept.counts.removed === 0 && kept.counts.kept === 1 && flagged.counts.removed === 0 &&
+          flagged.counts.flagged === 2 && JSON.stringify(flaggedKeys) === '["1002"]') {
+        tests.push({ name: 'upsert missing rows', result: 'PASS' });
+      } else {
+        tests.push({ name: 'upsert missing rows', result: 'FAIL', error: 'Unexpected diffs: ' + JSON.stringify([kept.counts, flagged.counts, flaggedKeys]) });
+      }
+    } catch (error) {
+      tests.push({ name: 'upsert missing rows', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that an empty sheet gives a baseline diff
+    try {
+      var baseline = ChangeService_diff(header, [], rows, ['Student ID']);
+      if (baseline.baseline && baseline.counts.added === 3) {
+        tests.push({ name: 'baseline', result: 'PASS' });
+      } else {
+        tests.push({ name: 'baseline', result: 'FAIL', error: 'Unexpected diff: ' + JSON.stringify(baseline.counts) });
+      }
+    } catch (error) {
+      tests.push({ name: 'baseline', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that a route reads flags right of its range, so flagged rows are logged once
+    var openSpreadsheet = SheetService__openSpreadsheet;
+    try {
+      SheetService__openSpreadsheet = function() {
+        return Tests__createFakeSpreadsheet('Schedules', [
+          ['Student ID', 'Campus', 'Period', 'Notes', 'missing_since'],
+          [1001, 'NAHS', 1, '', ''],
+          [1002, 'NAMS', 2, 'moved', '2025-10-01T12:00:00.000Z'],
+          ['', '', '', '', ''],
+          [1005, 'NAHS', 5, '', '']
+        ]);
+      };
+      var route = { sheetName: 'Schedules', rangeToClear: 'A2:C', writeMode: 'upsert', onMissing: 'flag', primaryKey: ['Student ID'] };
+      var routeDiff = EmailProcessor__diffRoute(route, { header: header, rows: [['1001', 'NAHS', 1]] }, 'Test');
+      var routeFlagged = routeDiff.changes.filter(function(c) { return c.type === 'flagged'; }).map(function(c) { return c.key; });
+      if (routeDiff.counts.flagged === 2 && routeDiff.counts.unkeyed === 0 && JSON.stringify(routeFlagged) === '["1005"]') {
+        tests.push({ name: 'route flag column', result: 'PASS' });
+      } else {
+        tests.push({ name: 'route flag column', result: 'FAIL', error: 'Unexpected diff: ' + JSON.stringify(routeDiff) });
+      }
+    } catch (error) {
+      tests.push({ name: 'route flag column', result: 'FAIL', error: error.message });
+    } finally {
+      SheetService__openSpreadsheet = openSpreadsheet;
+    }
+    
+    // Test that a missing key column is rejected
+    try {
+      ChangeService_diff(header, previous, rows, ['Student Number']);
+      tests.push({ name: 'missing key column', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.DUPLICATE_KEY) {
+        tests.push({ name: 'missing key column', result: 'PASS' });
+      } else {
+        tests.push({ name: 'missing key column', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Creates an in-memory spreadsheet with one sheet, for tests of code that reads sheets
+ * (getSheetByName, getLastRow, getLastColumn and getRange by A1 notation such as
+ * "A2:O" or by row and column, with getRow, getLastColumn and getValues).
+ * @private
+ * @param {string} sheetName - The name of the sheet.
+ * @param {Array<Array<any>>} values - The sheet's cells from A1.
+ * @returns {Object} The fake spreadsheet.
+ */
+function Tests__createFakeSpreadsheet(sheetName, values) {
+  var lastColumn = values.reduce(function(max, row) { return Math.max(max, row.length); }, 0);
+  var columnNumber = function(letters) {
+    return letters.split('').reduce(function(n, letter) { return n * 26 + letter.charCodeAt(0) - 64; }, 0);
+  };
+  
+  var sheet = {
+    getName: function() { return sheetName; },
+    getLastRow: function() { return values.length; },
+    getLastColumn: function() { return lastColumn; },
+    getRange: function(row, column, numRows, numColumns) {
+      if (typeof row === 'string') {
+        var match = /^([A-Z]+)(\d+):([A-Z]+)(\d*)$/.exec(row);
+        column = columnNumber(match[1]);
+        row = Number(match[2]);
+        numColumns = columnNumber(match[3]) - column + 1;
+        numRows = match[4] ? Number(match[4]) - row + 1 : Math.max(values.length - row + 1, 0);
+      }
+      return {
+        getRow: function() { return row; },
+        getLastColumn: function() { return column + (numColumns || 1) - 1; },
+        getValues: function() {
+          var cells = [];
+          for (var r = 0; r < (numRows || 1); r++) {
+            var source = values[row - 1 + r] || [];
+            var cellsRow = [];
+            for (var c = 0; c < (numColumns || 1); c++) {
+              var cell = source[column - 1 + c];
+              cellsRow.push(cell === undefined ? '' : cell);
+            }
+            cells.push(cellsRow);
+          }
+          return cells;
+        }
+      };
+    }
+  };
+  
+  return {
+    getSheetByName: function(name) { return name === sheetName ? sheet : null; }
+  };
+}
+
+/**
+ * Tests row filter parsing and filtering.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testRowFilter() {
+  try {
+    var tests = [];
+    var header = ['Student ID', 'Campus', 'Grade Level', 'Status'];
+    var rows = [
+      [1, 'NAHS', 9, 'Active'],
+      [2, 'NAMS', 7, 'Active'],
+      [3, 'NAHS', '10', 'Withdrawn'],
+      [4, 'NAHS', 8, 'Active']
+    ];
+    
+    // Test that every filter has to pass
+    try {
+      var filtered = RowFilterService_apply(header, rows,
+        ["Campus in ['NAHS']", '`Grade Level` >= 9', "status != 'Withdrawn'"]);
+      if (filtered.kept === 1 && filtered.dropped === 3 && filtered.rows[0][0] === 1) {
+        tests.push({ name: 'row filtering', result: 'PASS' });
+      } else {
+        tests.push({ name: 'row filtering', result: 'FAIL', error: 'Unexpected result: ' + JSON.stringify(filtered) });
+      }
+    } catch (error) {
+      tests.push({ name: 'row filtering', result: 'FAIL', error: error.message });
+    }
+    
+    // Test that an unparseable filter is rejected
+    try {
+      RowFilterService_parse('Campus is NAHS');
+      tests.push({ name: 'invalid filter', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.INVALID_PARAMETERS) {
+        tests.push({ name: 'invalid filter', result: 'PASS' });
+      } else {
+        tests.push({ name: 'invalid filter', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests schema drift detection and value checks.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testSchemaService() {
+  try {
+    var tests = [];
+    var schema = {
+      version: '1.0.0',
+      columns: [
+        { name: 'Student ID', type: 'studentId', required: true },
+        { name: 'Campus', allowedValues: ['NAHS', 'NAMS'] },
+        { name: 'Phone', type: 'phone' }
+      ]
+    };
+    
+    // Test renamed and reordered header detection
+    try {
+      var renamed = SchemaService_detectDrift(['Student ID', 'School', 'Phone'], schema);
+      var reordered = SchemaService_detectDrift(['Campus', 'Student ID', 'Phone'], schema);
+      if (renamed.renamed.length === 1 && renamed.renamed[0].to === 'School' &&
+          renamed.missing.length === 0 && renamed.extra.length === 0 && reordered.reordered === true) {
+        tests.push({ name: 'drift detection', result: 'PASS' });
+      } else {
+        tests.push({ name: 'drift detection', result: 'FAIL', error: 'Unexpected drift: ' + JSON.stringify([renamed, reordered]) });
+      }
+    } catch (error) {
+      tests.push({ name: 'drift detection', result: 'FAIL', error: error.message });
+    }
+    
+    // Test value checks
+    var valueTests = [
+      { value: '123456', column: schema.columns[0], valid: true },
+      { value: '', column: schema.columns[0], valid: false },
+      { value: 'NAES', column: schema.columns[1], valid: false },
+      { value: '(210) 555-0100', column: schema.columns[2], valid: true },
+      { value: '555-0100', column: schema.columns[2], valid: false }
+    ];
+    valueTests.forEach(function(test) {
+      var name = test.column.name + ' "' + test.value + '"';
+      var problem = SchemaService_checkValue(test.value, test.column);
+      if ((problem === null) === test.valid) {
+        tests.push({ name: name, result: 'PASS' });
+      } else {
+        tests.push({ name: name, result: 'FAIL', error: problem || 'Should have been rejected' });
+      }
+    });
+    
+    // Test that drift fails validation under the default policy
+    try {
+      SchemaService_validate(['Student ID', 'Campus'], [], schema);
+      tests.push({ name: 'drift policy', result: 'FAIL', error: 'Should have thrown an error' });
+    } catch (error) {
+      if (error.code === ERROR_CODES.SCHEMA_VIOLATION && error.details.drift.missing[0] === 'Phone') {
+        tests.push({ name: 'drift policy', result: 'PASS' });
+      } else {
+        tests.push({ name: 'drift policy', result: 'FAIL', error: error.message });
+      }
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
+/**
+ * Tests value normalization.
+ * @returns {Object} Test result object with status, tests, and summary.
+ */
+function testTransformService() {
+  try {
+    var tests = [];
+    var valueTests = [
+      { value: 1234, rule: { padLength: 6 }, expected: '001234' },
+      { value: ' smith-jones ', rule: { trim: true, 'case': 'title' }, expected: 'Smith-Jones' },
+      { value: '210.555.0100 ext 12', rule: { phone: true }, expected: '(210) 555-0100 x12' },
+      { value: '   ', rule: { trim: true, emptyToNull: true }, expected: null },
+      { value: 'N/A', rule: { phone: true }, expected: 'N/A', invalid: true }
+    ];
+    
+    valueTests.forEach(function(test) {
+      var name = JSON.stringify(test.value) + ' ' + JSON.stringify(test.rule);
+      var result = TransformService_normalizeValue(test.value, test.rule);
+      if (result.value === test.expected && result.invalid === (test.invalid === true)) {
+        tests.push({ name: name, result: 'PASS' });
+      } else {
+        tests.push({ name: name, result: 'FAIL', error: 'Got ' + JSON.stringify(result) });
+      }
+    });
+    
+    // Test date parsing in the configured timezone
+    try {
+      var parsed = DateUtils_parseDateString('8/4/2025 1:30 PM');
+      var formatted = parsed && DateUtils_formatDate(parsed, 'yyyy-MM-dd HH:mm');
+      if (formatted === '2025-08-04 13:30' && DateUtils_parseDateString('2/30/2025') === null) {
+        tests.push({ name: 'date parsing', result: 'PASS' });
+      } else {
+        tests.push({ name: 'date parsing', result: 'FAIL', error: 'Got ' + formatted });
+      }
+    } catch (error) {
+      tests.push({ name: 'date parsing', result: 'FAIL', error: error.message });
+    }
+    
+    var failed = tests.filter(function(t) { return t.result === 'FAIL'; });
+    
+    return {
+      status: failed.length === 0 ? 'PASS' : 'FAIL',
+      tests: tests,
+      summary: tests.length + ' tests, ' + failed.length + ' failed'
+    };
+    
+  } catch (error) {
+    return { status: 'FAIL', error: error.message };
+  }
+}
+
 /**
  * Tests Gmail connectivity (read-only test).
  * @returns {Object} Test result object with status, labelCount, missingLabels, and message.
@@ -353,7 +1333,9 @@ function testGmailConnectivity() {
     
     if (Array.isArray(labels) && labels.length > 0) {
       // Check if configured labels exist
-      var configuredLabels = CONFIG.EMAIL_CONFIGS.map(function(c) { return c.label; });
+      var configuredLabels = CONFIG.EMAIL_CONFIGS
+        .filter(function(c) { return c.label !== undefined; })
+        .map(function(c) { return c.label; });
       var missingLabels = configuredLabels.filter(function(label) {
         return labels.indexOf(label) === -1;
       });
@@ -153,19 +153,22 @@ function Utils_testEmailConnectivity() {
     results.tests.configuredLabels = {};
     CONFIG.EMAIL_CONFIGS.forEach(function(config) {
       try {
-        var exists = EmailService_labelExists(config.label);
-        var emailCount = exists ? EmailService_getEmailCountByLabel(config.label) : 0;
+        var source = Config_getEmailSource(config);
+        var exists = EmailService_sourceExists(source);
+        var emailCount = exists ? EmailService_getEmailCount(source) : 0;
         
-        results.tests.configuredLabels[config.sheetName] = {
+        results.tests.configuredLabels[Config_getEmailConfigName(config)] = {
           status: exists ? 'PASS' : 'FAIL',
           labelName: config.label,
+          query: config.query,
           exists: exists,
           emailCount: emailCount
         };
       } catch (error) {
-        results.tests.configuredLabels[config.sheetName] = {
+        results.tests.configuredLabels[Config_getEmailConfigName(config)] = {
           status: 'ERROR',
           labelName: config.label,
+          query: config.query,
           error: error.message
         };
       }
@@ -348,6 +351,15 @@ function Utils_formatDataForLog(data, maxLength) {
   }
 }
 
+/**
+ * Escapes text for use in dialog HTML (element content and quoted attribute values).
+ * @param {*} text - The text.
+ * @returns {string} The escaped text.
+ */
+function Utils_escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 /**
  * Gets configuration summary.
  * @returns {Object} Configuration summary object.
@@ -361,7 +373,9 @@ function Utils_getConfigurationSummary() {
     },
     emailConfigs: {
       count: CONFIG.EMAIL_CONFIGS.length,
-      sheets: CONFIG.EMAIL_CONFIGS.map(function(c) { return c.sheetName; })
+      sheets: CONFIG.EMAIL_CONFIGS.reduce(function(sheets, c) {
+        return sheets.concat(Config_getEmailConfigRoutes(c).map(function(route) { return route.sheetName; }));
+      }, [])
     },
     pushConfigs: {
       sourceSheetCount: Object.keys(CONFIG.PUSH_DATA_CONFIGS.sourceSheets).length,
@@ -383,5 +397,6 @@ var Utils = {
   runSystemTests: Utils_runSystemTests,
   clearLogs: Utils_clearLogs,
   formatDataForLog: Utils_formatDataForLog,
+  escapeHtml: Utils_escapeHtml,
   getConfigurationSummary: Utils_getConfigurationSummary
 };
@@ -12,6 +12,28 @@
  * @property {string} label - Gmail label to process.
  * @property {string} sheetName - Target sheet name.
  * @property {string} rangeToClear - Range to clear in the sheet.
+ * @property {string} [onAlreadyProcessed] - "skip" or "flag" for already-imported emails.
+ * @property {number} [maxAgeHours] - Maximum accepted age of the latest email, in hours.
+ * @property {string} [attachmentFormat] - "xlsx", "xls", "csv" or "auto".
+ * @property {{delimiter: string, encoding: string}} [csv] - CSV parsing options.
+ * @property {string} [xlsxReader] - "native" or "drive" (xlsx attachments only).
+ * @property {number|string} [tab] - Report tab to import (1-based position or name).
+ * @property {string} [id] - Configuration name (defaults to sheetName).
+ * @property {Array<Object>} [routes] - Attachment/tab routes replacing sheetName and rangeToClear.
+ * @property {Object} [layout] - Report layout (headerRow, skipRowsBefore, footerPatterns, ...).
+ * @property {Array<Object>} [derivedColumns] - Computed columns ({name, fn, args, options}).
+ * @property {Object<string, string>} [columnMap] - Report header -> target header map.
+ * @property {Object<string, Object>} [normalizers] - Header name -> normalization rules.
+ * @property {Array<string>} [filters] - Row filter expressions.
+ * @property {Array<string>} [primaryKey] - Columns that identify a row.
+ * @property {string} [onDuplicate] - "keepFirst", "keepLast", "fail" or "quarantine".
+ * @property {Array<string>} [pipeline] - Ordered pipeline step names.
+ * @property {boolean} [stagedWrite] - Write through a hidden staging sheet.
+ * @property {Object} [guards] - Write guards ({minRows, maxDropPercent, dropBaseline, matchColumnCount}).
+ * @property {boolean} [snapshot] - Snapshot each sheet before it is replaced.
+ * @property {string} [writeMode] - "replace" or "upsert" (keyed on primaryKey).
+ * @property {string} [onMissing] - "delete", "flag" or "keep" rows missing from an upsert.
+ * @property {boolean} [trackChanges] - Log added, removed and changed rows (keyed on primaryKey).
  */
 
 /**
@@ -86,13 +108,795 @@ function Validators_validateEmailConfig(config, context) {
     );
   }
   
-  var required = ['label', 'sheetName', 'rangeToClear'];
+  if (config.label !== undefined && config.query !== undefined) {
+    throw ErrorHandler_createError(
+      context + ': Set either label or query, not both',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { label: config.label, query: config.query }
+    );
+  }
+  
+  var required = [config.query !== undefined ? 'query' : 'label'];
+  if (config.routes === undefined) {
+    required.push('sheetName', 'rangeToClear');
+  }
   ErrorHandler_validateRequired(config, required, context);
   
   // Validate specific fields
-  Validators_validateSheetName(config.sheetName, context + '.sheetName');
-  Validators_validateRange(config.rangeToClear, context + '.rangeToClear');
-  Validators_validateGmailLabel(config.label, context + '.label');
+  if (config.routes !== undefined) {
+    if (!Array.isArray(config.routes) || config.routes.length === 0) {
+      throw ErrorHandler_createError(
+        context + '.routes: Routes must be a non-empty array',
+        ERROR_CODES.MISSING_PARAMETERS
+      );
+    }
+    config.routes.forEach(function(route, index) {
+      Validators_validateEmailRoute(route, context + '.routes[' + index + ']');
+    });
+  } else {
+    Validators_validateEmailRoute(config, context);
+  }
+  if (config.query !== undefined) {
+    Validators_validateGmailQuery(config.query, context + '.query');
+  } else {
+    Validators_validateGmailLabel(config.label, context + '.label');
+  }
+  
+  if (config.subjectPattern !== undefined) {
+    Validators_validatePattern(config.subjectPattern, context + '.subjectPattern');
+  }
+  
+  if (config.routes !== undefined && config.attachmentNamePattern !== undefined) {
+    Validators_validatePattern(config.attachmentNamePattern, context + '.attachmentNamePattern');
+  }
+  
+  if (config.routes !== undefined && config.layout !== undefined) {
+    Validators_validateLayout(config.layout, context + '.layout');
+  }
+  
+  if (config.routes !== undefined && config.derivedColumns !== undefined) {
+    Validators_validateDerivedColumns(config.derivedColumns, context + '.derivedColumns');
+  }
+  
+  if (config.routes !== undefined && config.columnMap !== undefined) {
+    Validators_validateColumnMap(config.columnMap, context + '.columnMap');
+  }
+  
+  if (config.routes !== undefined && config.normalizers !== undefined) {
+    Validators_validateNormalizers(config.normalizers, context + '.normalizers');
+  }
+  
+  if (config.routes !== undefined && config.filters !== undefined) {
+    Validators_validateRowFilters(config.filters, context + '.filters');
+  }
+  
+  if (config.routes !== undefined) {
+    Validators_validateDedupe(config, context);
+  }
+  
+  // Routes inherit writeMode, onMissing, trackChanges and primaryKey, so check them as resolved
+  Config_getEmailConfigRoutes(config).forEach(function(route, index) {
+    var routeContext = config.routes !== undefined ? context + '.routes[' + index + ']' : context;
+    Validators_validateWriteMode(route, routeContext);
+    Validators_validateTrackChanges(route, routeContext);
+  });
+  
+  if (config.routes !== undefined && config.pipeline !== undefined) {
+    Validators_validatePipeline(config.pipeline, context + '.pipeline');
+  }
+  
+  if (config.routes !== undefined && config.guards !== undefined) {
+    Validators_validateGuards(config.guards, context + '.guards');
+  }
+  
+  if (config.fromAllowlist !== undefined &&
+      (!Array.isArray(config.fromAllowlist) || config.fromAllowlist.length === 0 ||
+       !config.fromAllowlist.every(function(entry) {
+         return typeof entry === 'string' && /^[^\s@<>]*@[^\s@<>]+$/.test(entry.trim());
+       }))) {
+    throw ErrorHandler_createError(
+      context + '.fromAllowlist: Must be a non-empty array of email addresses or "@domain" entries',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.fromAllowlist }
+    );
+  }
+  
+  if (config.postProcess !== undefined) {
+    Validators_validatePostProcess(config.postProcess, context + '.postProcess');
+  }
+  
+  if (config.stagedWrite !== undefined && typeof config.stagedWrite !== 'boolean') {
+    throw ErrorHandler_createError(
+      context + '.stagedWrite: Must be a boolean',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.stagedWrite }
+    );
+  }
+  
+  // A staged swap writes from A2 like an unstaged import, so it must clear from there too
+  if (config.stagedWrite !== undefined ? config.stagedWrite : CONFIG.STAGED_WRITES.enabled) {
+    Config_getEmailConfigRoutes(config).forEach(function(route, index) {
+      if (route.writeMode !== 'upsert' && !/^A2:/.test(String(route.rangeToClear))) {
+        throw ErrorHandler_createError(
+          (config.routes !== undefined ? context + '.routes[' + index + ']' : context) +
+            '.rangeToClear: Must start at A2 for a staged write (see stagedWrite)',
+          ERROR_CODES.INVALID_PARAMETERS,
+          { provided: route.rangeToClear }
+        );
+      }
+    });
+  }
+  
+  if (config.snapshot !== undefined && typeof config.snapshot !== 'boolean') {
+    throw ErrorHandler_createError(
+      context + '.snapshot: Must be a boolean',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.snapshot }
+    );
+  }
+  
+  if (config.archiveRaw !== undefined && typeof config.archiveRaw !== 'boolean') {
+    throw ErrorHandler_createError(
+      context + '.archiveRaw: Must be a boolean',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.archiveRaw }
+    );
+  }
+  
+  if (config.onAlreadyProcessed !== undefined &&
+      ['skip', 'flag'].indexOf(config.onAlreadyProcessed) === -1) {
+    throw ErrorHandler_createError(
+      context + '.onAlreadyProcessed: Must be "skip" or "flag"',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.onAlreadyProcessed }
+    );
+  }
+  
+  if (config.maxAgeHours !== undefined &&
+      (typeof config.maxAgeHours !== 'number' || !(config.maxAgeHours > 0))) {
+    throw ErrorHandler_createError(
+      context + '.maxAgeHours: Must be a positive number',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.maxAgeHours }
+    );
+  }
+  
+  if (config.attachmentFormat !== undefined &&
+      config.attachmentFormat !== 'auto' && !ATTACHMENT_FORMATS.hasOwnProperty(config.attachmentFormat)) {
+    throw ErrorHandler_createError(
+      context + '.attachmentFormat: Must be one of auto, ' + Object.keys(ATTACHMENT_FORMATS).join(', '),
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.attachmentFormat }
+    );
+  }
+  
+  if (config.xlsxReader !== undefined && ['native', 'drive'].indexOf(config.xlsxReader) === -1) {
+    throw ErrorHandler_createError(
+      context + '.xlsxReader: Must be "native" or "drive"',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: config.xlsxReader }
+    );
+  }
+  
+  if (config.csv !== undefined) {
+    if (!config.csv || typeof config.csv !== 'object') {
+      throw ErrorHandler_createError(
+        context + '.csv: Must be an object',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: config.csv }
+      );
+    }
+    if (config.csv.delimiter !== undefined &&
+        (typeof config.csv.delimiter !== 'string' || config.csv.delimiter.length !== 1)) {
+      throw ErrorHandler_createError(
+        context + '.csv.delimiter: Must be a single character',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: config.csv.delimiter }
+      );
+    }
+  }
+}
+
+/**
+ * Validates the sheet routing of an email configuration or of one of its routes.
+ * @param {Object} route - Object with sheetName, rangeToClear, optional tab and
+ *   optional attachmentNamePattern.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the route is invalid.
+ * @returns {void}
+ */
+function Validators_validateEmailRoute(route, context) {
+  context = context || 'Email route';
+  
+  if (!route || typeof route !== 'object') {
+    throw ErrorHandler_createError(
+      context + ': Route must be an object',
+      ERROR_CODES.MISSING_PARAMETERS,
+      { provided: route, type: typeof route }
+    );
+  }
+  
+  ErrorHandler_validateRequired(route, ['sheetName', 'rangeToClear'], context);
+  Validators_validateSheetName(route.sheetName, context + '.sheetName');
+  Validators_validateRange(route.rangeToClear, context + '.rangeToClear');
+  
+  if (route.tab !== undefined &&
+      !(typeof route.tab === 'number' && route.tab >= 1 && Math.floor(route.tab) === route.tab) &&
+      !(typeof route.tab === 'string' && route.tab.trim().length > 0)) {
+    throw ErrorHandler_createError(
+      context + '.tab: Must be a 1-based tab position or a tab name',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: route.tab }
+    );
+  }
+  
+  if (route.attachmentNamePattern !== undefined) {
+    Validators_validatePattern(route.attachmentNamePattern, context + '.attachmentNamePattern');
+  }
+  
+  if (route.historySheetName !== undefined) {
+    Validators_validateSheetName(route.historySheetName, context + '.historySheetName');
+  }
+  
+  if (route.layout !== undefined) {
+    Validators_validateLayout(route.layout, context + '.layout');
+  }
+  
+  if (route.derivedColumns !== undefined) {
+    Validators_validateDerivedColumns(route.derivedColumns, context + '.derivedColumns');
+  }
+  
+  if (route.columnMap !== undefined) {
+    Validators_validateColumnMap(route.columnMap, context + '.columnMap');
+  }
+  
+  if (route.normalizers !== undefined) {
+    Validators_validateNormalizers(route.normalizers, context + '.normalizers');
+  }
+  
+  if (route.filters !== undefined) {
+    Validators_validateRowFilters(route.filters, context + '.filters');
+  }
+  
+  Validators_validateDedupe(route, context);
+  
+  if (route.pipeline !== undefined) {
+    Validators_validatePipeline(route.pipeline, context + '.pipeline');
+  }
+  
+  if (route.guards !== undefined) {
+    Validators_validateGuards(route.guards, context + '.guards');
+  }
+}
+
+/**
+ * Validates the write guards of an email configuration or route.
+ * @param {WriteGuards} guards - The guards to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the guards are not an object, minRows is not a non-negative
+ *   integer, maxDropPercent is not between 0 and 100, dropBaseline is not one of
+ *   GUARD_BASELINES or matchColumnCount is not a boolean.
+ * @returns {void}
+ */
+function Validators_validateGuards(guards, context) {
+  context = context || 'Write guards';
+  
+  if (!guards || typeof guards !== 'object' || Array.isArray(guards)) {
+    throw ErrorHandler_createError(
+      context + ': Must be an object',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: guards }
+    );
+  }
+  
+  if (guards.minRows !== undefined &&
+      (typeof guards.minRows !== 'number' || guards.minRows < 0 || Math.floor(guards.minRows) !== guards.minRows)) {
+    throw ErrorHandler_createError(
+      context + '.minRows: Must be a non-negative integer',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: guards.minRows }
+    );
+  }
+  
+  if (guards.maxDropPercent !== undefined &&
+      (typeof guards.maxDropPercent !== 'number' || !(guards.maxDropPercent >= 0 && guards.maxDropPercent <= 100))) {
+    throw ErrorHandler_createError(
+      context + '.maxDropPercent: Must be a number from 0 to 100',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: guards.maxDropPercent }
+    );
+  }
+  
+  if (guards.dropBaseline !== undefined && GUARD_BASELINES.indexOf(guards.dropBaseline) === -1) {
+    throw ErrorHandler_createError(
+      context + '.dropBaseline: Must be one of ' + GUARD_BASELINES.join(', '),
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: guards.dropBaseline }
+    );
+  }
+  
+  if (guards.matchColumnCount !== undefined && typeof guards.matchColumnCount !== 'boolean') {
+    throw ErrorHandler_createError(
+      context + '.matchColumnCount: Must be a boolean',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: guards.matchColumnCount }
+    );
+  }
+}
+
+/**
+ * Validates a pipeline: an ordered list of step names (see PipelineService_run).
+ * @param {Array<string>} pipeline - The step names to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the pipeline is not an array of unique names of registered steps.
+ * @returns {void}
+ */
+function Validators_validatePipeline(pipeline, context) {
+  context = context || 'Pipeline';
+  
+  if (!Array.isArray(pipeline) ||
+      !pipeline.every(function(name, index) { return typeof name === 'string' && pipeline.indexOf(name) === index; })) {
+    throw ErrorHandler_createError(
+      context + ': Must be an array of unique step names',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: pipeline }
+    );
+  }
+  
+  pipeline.forEach(function(name, index) {
+    if (!PipelineService_getStep(name)) {
+      throw ErrorHandler_createError(
+        context + '[' + index + ']: Unknown step "' + name + '"; steps are ' + PipelineService_getStepNames().join(', '),
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: name }
+      );
+    }
+  });
+}
+
+/**
+ * Validates the primaryKey and onDuplicate options of an email configuration or route.
+ * @param {Object} options - Object with optional primaryKey and onDuplicate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If primaryKey is not a non-empty array of unique column names or
+ *   onDuplicate is not one of DEDUPE_POLICIES.
+ * @returns {void}
+ */
+function Validators_validateDedupe(options, context) {
+  context = context || 'Deduplication';
+  
+  if (options.primaryKey !== undefined &&
+      (!Array.isArray(options.primaryKey) || options.primaryKey.length === 0 ||
+       !options.primaryKey.every(function(column, index) {
+         return typeof column === 'string' && column.trim().length > 0 &&
+           options.primaryKey.indexOf(column) === index;
+       }))) {
+    throw ErrorHandler_createError(
+      context + '.primaryKey: Must be a non-empty array of unique column names',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: options.primaryKey }
+    );
+  }
+  
+  if (options.onDuplicate !== undefined && DEDUPE_POLICIES.indexOf(options.onDuplicate) === -1) {
+    throw ErrorHandler_createError(
+      context + '.onDuplicate: Must be one of ' + DEDUPE_POLICIES.join(', '),
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: options.onDuplicate }
+    );
+  }
+}
+
+/**
+ * Validates a column map (report header -> target header).
+ * @param {Object<string, string>} columnMap - The column map to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the map is not an object of non-empty header names, or maps
+ *   two report columns to the same target column.
+ * @returns {void}
+ */
+function Validators_validateColumnMap(columnMap, context) {
+  context = context || 'Column map';
+  
+  if (!columnMap || typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+    throw ErrorHandler_createError(
+      context + ': Must be an object of report header -> target header',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: columnMap }
+    );
+  }
+  
+  var targets = [];
+  for (var source in columnMap) {
+    if (!columnMap.hasOwnProperty(source)) {
+      continue;
+    }
+    var target = columnMap[source];
+    if (source.trim().length === 0 || typeof target !== 'string' || target.trim().length === 0) {
+      throw ErrorHandler_createError(
+        context + ': Header names must be non-empty strings',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { source: source, target: target }
+      );
+    }
+    if (targets.indexOf(target.trim()) !== -1) {
+      throw ErrorHandler_createError(
+        context + ': Target column "' + target + '" is mapped more than once',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { target: target }
+      );
+    }
+    targets.push(target.trim());
+  }
+}
+
+/**
+ * Validates a report layout (see LayoutService_apply).
+ * @param {Object} layout - The layout to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the layout is invalid.
+ * @returns {void}
+ */
+function Validators_validateLayout(layout, context) {
+  context = context || 'Report layout';
+  
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    throw ErrorHandler_createError(
+      context + ': Must be an object',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: layout }
+    );
+  }
+  
+  if (layout.headerRow !== undefined &&
+      !(typeof layout.headerRow === 'number' && layout.headerRow >= 1 && Math.floor(layout.headerRow) === layout.headerRow)) {
+    throw ErrorHandler_createError(
+      context + '.headerRow: Must be a 1-based row number',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: layout.headerRow }
+    );
+  }
+  
+  if (layout.skipRowsBefore !== undefined) {
+    if (layout.headerRow !== undefined) {
+      throw ErrorHandler_createError(
+        context + ': Use either headerRow or skipRowsBefore',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { headerRow: layout.headerRow, skipRowsBefore: String(layout.skipRowsBefore) }
+      );
+    }
+    Validators_validatePattern(layout.skipRowsBefore, context + '.skipRowsBefore');
+  }
+  
+  if (layout.footerPatterns !== undefined) {
+    if (!Array.isArray(layout.footerPatterns)) {
+      throw ErrorHandler_createError(
+        context + '.footerPatterns: Must be an array of patterns',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: layout.footerPatterns }
+      );
+    }
+    layout.footerPatterns.forEach(function(pattern, index) {
+      Validators_validatePattern(pattern, context + '.footerPatterns[' + index + ']');
+    });
+  }
+  
+  ['removeEmptyRows', 'removeEmptyColumns'].forEach(function(key) {
+    if (layout[key] !== undefined && typeof layout[key] !== 'boolean') {
+      throw ErrorHandler_createError(
+        context + '.' + key + ': Must be a boolean',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: layout[key] }
+      );
+    }
+  });
+}
+
+/**
+ * Validates derived column definitions (see DerivedColumnService_apply).
+ * @param {Array<Object>} derivedColumns - The derived columns to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If a definition is invalid or names an unknown function.
+ * @returns {void}
+ */
+function Validators_validateDerivedColumns(derivedColumns, context) {
+  context = context || 'Derived columns';
+  
+  if (!Array.isArray(derivedColumns)) {
+    throw ErrorHandler_createError(
+      context + ': Must be an array of {name, fn, args}',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: derivedColumns }
+    );
+  }
+  
+  var names = [];
+  derivedColumns.forEach(function(column, index) {
+    var columnContext = context + '[' + index + ']';
+    
+    if (!column || typeof column.name !== 'string' || column.name.trim().length === 0 ||
+        names.indexOf(column.name) !== -1) {
+      throw ErrorHandler_createError(
+        columnContext + '.name: Must be a unique, non-empty column name',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column && column.name }
+      );
+    }
+    names.push(column.name);
+    
+    if (!DERIVED_COLUMN_FUNCTIONS.hasOwnProperty(column.fn)) {
+      throw ErrorHandler_createError(
+        columnContext + '.fn: Must be one of ' + Object.keys(DERIVED_COLUMN_FUNCTIONS).join(', '),
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column.fn }
+      );
+    }
+    
+    if (!Array.isArray(column.args) || column.args.length === 0 ||
+        !column.args.every(function(arg) { return typeof arg === 'string' && arg.trim().length > 0; })) {
+      throw ErrorHandler_createError(
+        columnContext + '.args: Must be a non-empty array of column names',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column.args }
+      );
+    }
+    
+    if (column.options !== undefined && (!column.options || typeof column.options !== 'object')) {
+      throw ErrorHandler_createError(
+        columnContext + '.options: Must be an object',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column.options }
+      );
+    }
+  });
+}
+
+/**
+ * Validates per-column normalization rules (header name -> rules).
+ * @param {Object<string, Object>} normalizers - The normalizers to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If a rule is unknown or has an invalid value.
+ * @returns {void}
+ */
+function Validators_validateNormalizers(normalizers, context) {
+  context = context || 'Normalizers';
+  
+  if (!normalizers || typeof normalizers !== 'object' || Array.isArray(normalizers)) {
+    throw ErrorHandler_createError(
+      context + ': Must be an object of header name -> rules',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: normalizers }
+    );
+  }
+  
+  for (var column in normalizers) {
+    if (!normalizers.hasOwnProperty(column)) {
+      continue;
+    }
+    var rule = normalizers[column];
+    var ruleContext = context + '["' + column + '"]';
+    
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw ErrorHandler_createError(
+        ruleContext + ': Must be an object of rules',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: rule }
+      );
+    }
+    
+    for (var key in rule) {
+      if (!rule.hasOwnProperty(key)) {
+        continue;
+      }
+      var value = rule[key];
+      var valid;
+      switch (key) {
+        case 'trim':
+        case 'emptyToNull':
+        case 'date':
+        case 'phone':
+          valid = typeof value === 'boolean';
+          break;
+        case 'case':
+          valid = ['upper', 'lower', 'title'].indexOf(value) !== -1;
+          break;
+        case 'padLength':
+          valid = typeof value === 'number' && value >= 1 && Math.floor(value) === value;
+          break;
+        case 'numberFormat':
+          valid = typeof value === 'string' && value.trim().length > 0;
+          break;
+        default:
+          throw ErrorHandler_createError(
+            ruleContext + ': Unknown rule "' + key + '"',
+            ERROR_CODES.INVALID_PARAMETERS,
+            { rule: key }
+          );
+      }
+      if (!valid) {
+        throw ErrorHandler_createError(
+          ruleContext + '.' + key + ': Invalid value',
+          ERROR_CODES.INVALID_PARAMETERS,
+          { provided: value }
+        );
+      }
+    }
+    
+    if ([rule.padLength, rule.date, rule.phone].filter(Boolean).length > 1) {
+      throw ErrorHandler_createError(
+        ruleContext + ': Use only one of padLength, date and phone',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: rule }
+      );
+    }
+  }
+}
+
+/**
+ * Validates row filter expressions (see RowFilterService_parse).
+ * @param {Array<string>} filters - The filters to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the filters are not an array or an expression cannot be parsed.
+ * @returns {void}
+ */
+function Validators_validateRowFilters(filters, context) {
+  context = context || 'Row filters';
+  
+  if (!Array.isArray(filters)) {
+    throw ErrorHandler_createError(
+      context + ': Must be an array of filter expressions',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: filters }
+    );
+  }
+  
+  filters.forEach(function(filter, index) {
+    RowFilterService_parse(filter, context + '[' + index + ']');
+  });
+}
+
+/**
+ * Validates a dataset schema (see CONFIG.SCHEMAS).
+ * @param {Object} schema - The schema to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the schema is invalid.
+ * @returns {void}
+ */
+function Validators_validateSchema(schema, context) {
+  context = context || 'Schema';
+  
+  if (!schema || typeof schema !== 'object') {
+    throw ErrorHandler_createError(
+      context + ': Must be an object',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: schema }
+    );
+  }
+  
+  if ((typeof schema.version !== 'string' || schema.version.trim().length === 0) && typeof schema.version !== 'number') {
+    throw ErrorHandler_createError(
+      context + '.version: Must be a non-empty string or a number',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: schema.version }
+    );
+  }
+  
+  ['onDrift', 'onInvalid'].forEach(function(key) {
+    if (schema[key] !== undefined && ['fail', 'warn'].indexOf(schema[key]) === -1) {
+      throw ErrorHandler_createError(
+        context + '.' + key + ': Must be "fail" or "warn"',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: schema[key] }
+      );
+    }
+  });
+  
+  if (!Array.isArray(schema.columns) || schema.columns.length === 0) {
+    throw ErrorHandler_createError(
+      context + '.columns: Must be a non-empty array',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: schema.columns }
+    );
+  }
+  
+  var names = [];
+  schema.columns.forEach(function(column, index) {
+    var columnContext = context + '.columns[' + index + ']';
+    if (!column || typeof column.name !== 'string' || column.name.trim().length === 0 ||
+        names.indexOf(column.name) !== -1) {
+      throw ErrorHandler_createError(
+        columnContext + '.name: Must be a unique, non-empty column name',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column && column.name }
+      );
+    }
+    names.push(column.name);
+    
+    if (column.type !== undefined && !SCHEMA_TYPE_CHECKS.hasOwnProperty(column.type)) {
+      throw ErrorHandler_createError(
+        columnContext + '.type: Must be one of ' + Object.keys(SCHEMA_TYPE_CHECKS).join(', '),
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column.type }
+      );
+    }
+    
+    if (column.required !== undefined && typeof column.required !== 'boolean') {
+      throw ErrorHandler_createError(
+        columnContext + '.required: Must be a boolean',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column.required }
+      );
+    }
+    
+    if (column.allowedValues !== undefined &&
+        (!Array.isArray(column.allowedValues) || column.allowedValues.length === 0)) {
+      throw ErrorHandler_createError(
+        columnContext + '.allowedValues: Must be a non-empty array',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column.allowedValues }
+      );
+    }
+  });
+}
+
+/**
+ * Validates the mailbox post-processing options of an email configuration.
+ * @param {PostProcessOptions} postProcess - The options to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the options are invalid.
+ * @returns {void}
+ */
+function Validators_validatePostProcess(postProcess, context) {
+  context = context || 'Post-processing options';
+  
+  if (!postProcess || typeof postProcess !== 'object') {
+    throw ErrorHandler_createError(
+      context + ': Must be an object',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: postProcess }
+    );
+  }
+  
+  ['processedLabel', 'failedLabel'].forEach(function(key) {
+    var value = postProcess[key];
+    if (value !== undefined && typeof value !== 'boolean' &&
+        !(typeof value === 'string' && value.trim().length > 0)) {
+      throw ErrorHandler_createError(
+        context + '.' + key + ': Must be a label name or a boolean',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: value }
+      );
+    }
+  });
+  
+  ['markRead', 'archive'].forEach(function(key) {
+    if (postProcess[key] !== undefined && typeof postProcess[key] !== 'boolean') {
+      throw ErrorHandler_createError(
+        context + '.' + key + ': Must be a boolean',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: postProcess[key] }
+      );
+    }
+  });
+}
+
+/**
+ * Validates a match pattern (a RegExp or a non-empty string).
+ * @param {RegExp|string} pattern - The pattern to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the pattern is invalid.
+ * @returns {void}
+ */
+function Validators_validatePattern(pattern, context) {
+  context = context || 'Pattern';
+  
+  if (!(pattern instanceof RegExp) && !(typeof pattern === 'string' && pattern.length > 0)) {
+    throw ErrorHandler_createError(
+      context + ': Must be a RegExp or a non-empty string',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: String(pattern) }
+    );
+  }
 }
 
 /**
@@ -114,6 +918,45 @@ function Validators_validateGmailLabel(label, context) {
   }
 }
 
+/**
+ * Validates a Gmail search query.
+ * @param {string} query - The Gmail search query to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the query is invalid.
+ * @returns {void}
+ */
+function Validators_validateGmailQuery(query, context) {
+  context = context || 'Gmail query';
+  
+  if (!query || typeof query !== 'string' || query.trim().length === 0) {
+    throw ErrorHandler_createError(
+      context + ': Invalid Gmail search query provided',
+      ERROR_CODES.MISSING_PARAMETERS,
+      { provided: query, type: typeof query }
+    );
+  }
+}
+
+/**
+ * Validates a calendar day in yyyy-MM-dd format (e.g., "2025-08-01").
+ * @param {string} day - The day to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the day is not a real date in yyyy-MM-dd format.
+ * @returns {void}
+ */
+function Validators_validateDay(day, context) {
+  context = context || 'Date';
+  
+  var parsed = typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day) ? new Date(day + 'T00:00:00Z') : null;
+  if (!parsed || isNaN(parsed.getTime()) || parsed.toISOString().substring(0, 10) !== day) {
+    throw ErrorHandler_createError(
+      context + ': Must be a date in yyyy-MM-dd format',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: day }
+    );
+  }
+}
+
 /**
  * Validates a spreadsheet range (e.g., "A2:O").
  * @param {string} range - The range to validate.
@@ -217,6 +1060,128 @@ function Validators_validatePushDataConfig(config, context) {
     ErrorHandler_validateRequired(target, ['spreadsheetId', 'sheetName'], targetContext);
     Validators_validateSpreadsheetId(target.spreadsheetId, targetContext + '.spreadsheetId');
     Validators_validateSheetName(target.sheetName, targetContext + '.sheetName');
+    if (target.filters !== undefined) {
+      Validators_validateRowFilters(target.filters, targetContext + '.filters');
+    }
+    if (target.columns !== undefined) {
+      Validators_validatePushColumns(target.columns, targetContext + '.columns');
+    }
+    if (target.pipeline !== undefined) {
+      Validators_validatePipeline(target.pipeline, targetContext + '.pipeline');
+    }
+    Validators_validateDedupe(target, targetContext);
+    Validators_validateWriteMode(target, targetContext);
+  });
+}
+
+/**
+ * Validates the writeMode and onMissing options of an email route or push target.
+ * @param {Object} options - Object with optional writeMode, onMissing and primaryKey.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If writeMode is not one of WRITE_MODES, onMissing is not one of
+ *   UPSERT_MISSING_POLICIES, or writeMode is "upsert" without a primaryKey.
+ * @returns {void}
+ */
+function Validators_validateWriteMode(options, context) {
+  context = context || 'Write mode';
+  
+  if (options.writeMode !== undefined && WRITE_MODES.indexOf(options.writeMode) === -1) {
+    throw ErrorHandler_createError(
+      context + '.writeMode: Must be one of ' + WRITE_MODES.join(', '),
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: options.writeMode }
+    );
+  }
+  
+  if (options.onMissing !== undefined && UPSERT_MISSING_POLICIES.indexOf(options.onMissing) === -1) {
+    throw ErrorHandler_createError(
+      context + '.onMissing: Must be one of ' + UPSERT_MISSING_POLICIES.join(', '),
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: options.onMissing }
+    );
+  }
+  
+  if (options.writeMode === 'upsert' && options.primaryKey === undefined) {
+    throw ErrorHandler_createError(
+      context + '.writeMode: "upsert" needs a primaryKey to match rows by',
+      ERROR_CODES.MISSING_PARAMETERS,
+      { writeMode: options.writeMode }
+    );
+  }
+}
+
+/**
+ * Validates the trackChanges option of an email configuration or route: a boolean,
+ * and a primaryKey to match rows by when it is true.
+ * @param {Object} options - The configuration or route.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the option is invalid.
+ * @returns {void}
+ */
+function Validators_validateTrackChanges(options, context) {
+  context = context || 'Change tracking';
+  
+  if (options.trackChanges !== undefined && typeof options.trackChanges !== 'boolean') {
+    throw ErrorHandler_createError(
+      context + '.trackChanges: Must be a boolean',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: options.trackChanges }
+    );
+  }
+  
+  if (options.trackChanges === true && options.primaryKey === undefined) {
+    throw ErrorHandler_createError(
+      context + '.trackChanges: Needs a primaryKey to match rows by',
+      ERROR_CODES.MISSING_PARAMETERS,
+      { trackChanges: options.trackChanges }
+    );
+  }
+}
+
+/**
+ * Validates the columns spec of a push target: source header names, or
+ * {source, target} objects to rename, with each target name used once.
+ * @param {Array<string|Object>} columns - The columns spec to validate.
+ * @param {string} [context] - Context for error messages.
+ * @throws {Error} If the spec is invalid.
+ * @returns {void}
+ */
+function Validators_validatePushColumns(columns, context) {
+  context = context || 'Push columns';
+  
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw ErrorHandler_createError(
+      context + ': Must be a non-empty array',
+      ERROR_CODES.INVALID_PARAMETERS,
+      { provided: columns }
+    );
+  }
+  
+  var isName = function(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+  };
+  var names = [];
+  columns.forEach(function(column, index) {
+    var valid = isName(column) ||
+      (column && typeof column === 'object' && isName(column.source) &&
+        (column.target === undefined || isName(column.target)));
+    if (!valid) {
+      throw ErrorHandler_createError(
+        context + '[' + index + ']: Must be a header name or {source, target}',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { provided: column }
+      );
+    }
+    
+    var name = (typeof column === 'string' ? column : column.target || column.source).trim();
+    if (names.indexOf(name) !== -1) {
+      throw ErrorHandler_createError(
+        context + ': Target column "' + name + '" is listed more than once',
+        ERROR_CODES.INVALID_PARAMETERS,
+        { target: name }
+      );
+    }
+    names.push(name);
   });
 }
 
@@ -224,11 +1189,13 @@ function Validators_validatePushDataConfig(config, context) {
  * Validates an email attachment.
  * @param {GoogleAppsScript.Gmail.GmailAttachment} attachment - The attachment to validate.
  * @param {string} [context] - Context for error messages.
+ * @param {string} [format="xlsx"] - Expected format: "xlsx", "xls", "csv" or "auto".
  * @throws {Error} If the attachment is invalid.
  * @returns {void}
  */
-function Validators_validateEmailAttachment(attachment, context) {
+function Validators_validateEmailAttachment(attachment, context, format) {
   context = context || 'Email attachment';
+  format = format || 'xlsx';
   
   if (!attachment) {
     throw ErrorHandler_createError(
@@ -237,15 +1204,17 @@ function Validators_validateEmailAttachment(attachment, context) {
     );
   }
   
-  // Validate content type
-  var contentType = attachment.getContentType();
-  if (contentType !== MIME_TYPES.EXCEL) {
+  // Validate content type (or file extension)
+  var detectedFormat = EmailService_detectAttachmentFormat(attachment);
+  if (!detectedFormat || (format !== 'auto' && detectedFormat !== format)) {
     throw ErrorHandler_createError(
-      context + ': Invalid attachment type. Expected Excel file.',
+      context + ': Invalid attachment type. Expected ' +
+        (format === 'auto' ? 'a supported report file' : format.toUpperCase() + ' file') + '.',
       ERROR_CODES.ATTACHMENT_NOT_FOUND,
       { 
-        providedType: contentType, 
-        expectedType: MIME_TYPES.EXCEL,
+        providedType: attachment.getContentType(), 
+        detectedFormat: detectedFormat,
+        expectedFormat: format,
         fileName: attachment.getName()
       }
     );
@@ -332,7 +1301,24 @@ var Validators = {
   validateSpreadsheetId: Validators_validateSpreadsheetId,
   validateSheetName: Validators_validateSheetName,
   validateEmailConfig: Validators_validateEmailConfig,
+  validateEmailRoute: Validators_validateEmailRoute,
+  validatePattern: Validators_validatePattern,
+  validateLayout: Validators_validateLayout,
+  validateDerivedColumns: Validators_validateDerivedColumns,
+  validateDedupe: Validators_validateDedupe,
+  validatePipeline: Validators_validatePipeline,
+  validateGuards: Validators_validateGuards,
+  validateWriteMode: Validators_validateWriteMode,
+  validateTrackChanges: Validators_validateTrackChanges,
+  validateColumnMap: Validators_validateColumnMap,
+  validateNormalizers: Validators_validateNormalizers,
+  validateRowFilters: Validators_validateRowFilters,
+  validatePushColumns: Validators_validatePushColumns,
+  validateSchema: Validators_validateSchema,
+  validatePostProcess: Validators_validatePostProcess,
   validateGmailLabel: Validators_validateGmailLabel,
+  validateGmailQuery: Validators_validateGmailQuery,
+  validateDay: Validators_validateDay,
   validateRange: Validators_validateRange,
   validateDataArray: Validators_validateDataArray,
   validatePushDataConfig: Validators_validatePushDataConfig,